@@ -0,0 +1,4 @@
+// Supported ISO 4217 currency codes
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CNY', 'KRW', 'BRL', 'RUB', 'AUD', 'CAD', 'CHF', 'SGD', 'MYR', 'THB', 'IDR', 'PHP', 'VND', 'ZAR', 'MXN'];
+
+module.exports = CURRENCIES;
@@ -0,0 +1,37 @@
+// Categories every new user starts with. Children roll up into their parent in reports.
+const DEFAULT_CATEGORIES = [
+  { name: 'Salary', type: 'income', icon: 'MdWork', color: '#13ec5b' },
+  { name: 'Freelance', type: 'income', icon: 'MdLaptop', color: '#22c55e' },
+  { name: 'Investment Income', type: 'income', icon: 'MdTrendingUp', color: '#10b981' },
+  { name: 'Gifts', type: 'income', icon: 'MdCardGiftcard', color: '#14b8a6' },
+  { name: 'Other Income', type: 'income', icon: 'MdAttachMoney', color: '#84cc16' },
+  {
+    name: 'Housing', type: 'expense', icon: 'MdHome', color: '#8b5cf6',
+    children: ['Rent', 'Utilities', 'Maintenance']
+  },
+  {
+    name: 'Food', type: 'expense', icon: 'MdRestaurant', color: '#f97316',
+    children: ['Groceries', 'Dining Out']
+  },
+  {
+    name: 'Transport', type: 'expense', icon: 'MdDirectionsCar', color: '#3b82f6',
+    children: ['Fuel', 'Public Transport']
+  },
+  { name: 'Shopping', type: 'expense', icon: 'MdShoppingBag', color: '#ec4899' },
+  { name: 'Entertainment', type: 'expense', icon: 'MdMovie', color: '#eab308' },
+  { name: 'Healthcare', type: 'expense', icon: 'MdLocalHospital', color: '#ef4444' },
+  { name: 'Education', type: 'expense', icon: 'MdSchool', color: '#6366f1' },
+  { name: 'Travel', type: 'expense', icon: 'MdFlight', color: '#0ea5e9' },
+  { name: 'Other Expenses', type: 'expense', icon: 'MdMoreHoriz', color: '#64748b' }
+];
+
+// Catch-all categories for imported rows whose default category has the wrong type
+const FALLBACK_CATEGORIES = {
+  income: 'Other Income',
+  expense: 'Other Expenses'
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  FALLBACK_CATEGORIES
+};
@@ -0,0 +1,65 @@
+const Investment = require('../models/Investment');
+const Notification = require('../models/Notification');
+const { ACCRUING_TYPES, maturityValue } = require('../utils/investments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 12 * 60 * 60 * 1000; // twice a day
+
+const noticeDays = () => parseInt(process.env.MATURITY_NOTICE_DAYS) || 30;
+
+// Notify owners of fixed deposits and PPF accounts maturing within the notice
+// period. Each maturity date is claimed on the holding before notifying, so a
+// rerun or a concurrent run never notifies twice; a changed or extended
+// maturity date is notified again.
+const runMaturityReminders = async (now = new Date()) => {
+  const until = new Date(now.getTime() + noticeDays() * DAY_MS);
+  const due = await Investment.find({
+    type: { $in: ACCRUING_TYPES },
+    maturityDate: { $gt: now, $lte: until },
+    $expr: { $ne: ['$maturityNotifiedFor', '$maturityDate'] }
+  });
+
+  let notified = 0;
+  for (const investment of due) {
+    try {
+      const claimed = await Investment.updateOne(
+        { _id: investment._id, maturityNotifiedFor: { $ne: investment.maturityDate } },
+        { $set: { maturityNotifiedFor: investment.maturityDate } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const days = Math.ceil((investment.maturityDate - now) / DAY_MS);
+      const value = await maturityValue(investment);
+      await Notification.create({
+        userId: investment.user,
+        title: `${investment.name} matures soon`,
+        message: `${investment.name} matures on ${investment.maturityDate.toISOString().slice(0, 10)} `
+          + `(in ${days} day${days === 1 ? '' : 's'}) for about ${value}${investment.currency ? ` ${investment.currency}` : ''}.`,
+        type: 'investment',
+        link: '/investments/maturities'
+      });
+      notified += 1;
+    } catch (err) {
+      console.error(`Maturity reminder for investment ${investment._id} failed: ${err.message}`);
+    }
+  }
+
+  return { due: due.length, notified };
+};
+
+// Run once immediately (to catch up after downtime) and then on an interval
+const startMaturityScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const run = () => runMaturityReminders().catch(err => {
+    console.error(`Maturity scheduler error: ${err.message}`);
+  });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runMaturityReminders,
+  startMaturityScheduler
+};
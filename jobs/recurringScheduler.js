@@ -0,0 +1,92 @@
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Transaction = require('../models/Transaction');
+const { dayKey, occurrenceDate, hasEnded } = require('../utils/recurrence');
+const { applyFundingRules } = require('../utils/goals');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Create the transactions that have fallen due for one rule, including any
+// missed while the server was down. Upserting on (recurring, occurrenceDate)
+// means a rerun or a concurrent run never duplicates an occurrence.
+const processRule = async (rule, now = new Date()) => {
+  const exceptions = new Map(rule.exceptions.map(e => [dayKey(e.date), e]));
+  let created = 0;
+
+  for (;;) {
+    const date = occurrenceDate(rule, rule.nextIndex);
+
+    if (hasEnded(rule, date, rule.occurrenceCount)) {
+      rule.status = 'completed';
+      break;
+    }
+    if (date > now) break;
+
+    const exception = exceptions.get(dayKey(date));
+    if (exception?.action !== 'skip') {
+      const result = await Transaction.updateOne(
+        { recurring: rule._id, occurrenceDate: date },
+        {
+          $setOnInsert: {
+            user: rule.user,
+            type: rule.type,
+            category: exception?.category ?? rule.category,
+            amount: exception?.amount ?? rule.amount,
+            description: exception?.description ?? rule.description,
+            account: rule.account,
+            currency: rule.currency,
+            date,
+            recurring: rule._id,
+            occurrenceDate: date
+          }
+        },
+        { upsert: true }
+      );
+      if (result.upsertedCount > 0) {
+        created += 1;
+        await applyFundingRules(await Transaction.findById(result.upsertedId));
+      }
+      rule.lastOccurrenceDate = date;
+    }
+
+    rule.nextIndex += 1;
+    rule.occurrenceCount += 1;
+  }
+
+  rule.nextDate = rule.status === 'completed' ? undefined : occurrenceDate(rule, rule.nextIndex);
+  await rule.save();
+  return created;
+};
+
+// Process every active rule that is due
+const runRecurringTransactions = async (now = new Date()) => {
+  const rules = await RecurringTransaction.find({ status: 'active', nextDate: { $lte: now } });
+  let created = 0;
+
+  for (const rule of rules) {
+    try {
+      created += await processRule(rule, now);
+    } catch (err) {
+      console.error(`Recurring transaction ${rule._id} failed: ${err.message}`);
+    }
+  }
+
+  return { rules: rules.length, created };
+};
+
+// Run once immediately (to catch up after downtime) and then on an interval
+const startRecurringScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const run = () => runRecurringTransactions().catch(err => {
+    console.error(`Recurring transaction scheduler error: ${err.message}`);
+  });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  processRule,
+  runRecurringTransactions,
+  startRecurringScheduler
+};
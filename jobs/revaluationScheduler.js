@@ -0,0 +1,51 @@
+const Investment = require('../models/Investment');
+const { syncPrices } = require('../utils/prices');
+const { revalueInvestment } = require('../utils/investments');
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000; // every six hours
+
+// Pull the day's prices for every symbol held, then revalue every holding
+// (accruing interest on fixed deposits and PPF) and record its valuation for
+// the day. Valuations are upserted per day, so
+// rerunning on the same day replaces that day's figures.
+const runRevaluation = async (now = new Date()) => {
+  const symbols = (await Investment.distinct('symbol')).filter(Boolean);
+  if (symbols.length > 0) {
+    try {
+      await syncPrices(symbols, now);
+    } catch (err) {
+      // Stored prices still revalue holdings when the provider is down
+      console.error(`Price provider failed: ${err.message}`);
+    }
+  }
+
+  let valued = 0;
+  let revalued = 0;
+  for await (const investment of Investment.find({}).cursor()) {
+    try {
+      if (await revalueInvestment(investment, now)) revalued += 1;
+      valued += 1;
+    } catch (err) {
+      console.error(`Revaluing investment ${investment._id} failed: ${err.message}`);
+    }
+  }
+
+  return { symbols: symbols.length, valued, revalued };
+};
+
+// Run once immediately (to record today after downtime) and then on an interval
+const startRevaluationScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const run = () => runRevaluation().catch(err => {
+    console.error(`Revaluation scheduler error: ${err.message}`);
+  });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runRevaluation,
+  startRevaluationScheduler
+};
@@ -0,0 +1,76 @@
+const Sip = require('../models/Sip');
+const Investment = require('../models/Investment');
+const { instalmentDate, instalmentAmount, hasEnded, recordInstalment } = require('../utils/sips');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Buy the instalments that have fallen due for one plan, including any missed
+// while the server was down. The unique (sip, instalmentDate) index on
+// investment transactions means a rerun or a concurrent run never buys an
+// instalment twice; an instalment that can't be bought is recorded as missed.
+const processSip = async (sip, now = new Date()) => {
+  const investment = await Investment.findById(sip.investment);
+  let recorded = 0;
+
+  for (;;) {
+    const date = instalmentDate(sip, sip.nextIndex);
+
+    if (!investment || hasEnded(sip, date)) {
+      sip.status = 'completed';
+      break;
+    }
+    if (date > now) break;
+
+    try {
+      await recordInstalment(sip, investment, sip.nextIndex);
+      recorded += 1;
+      sip.lastInstalmentDate = date;
+    } catch (err) {
+      if (err.code === 11000) {
+        sip.lastInstalmentDate = date;
+      } else {
+        sip.missed.push({ date, amount: instalmentAmount(sip, sip.nextIndex), reason: 'failed', message: err.message });
+      }
+    }
+
+    sip.nextIndex += 1;
+  }
+
+  sip.nextDate = sip.status === 'completed' ? undefined : instalmentDate(sip, sip.nextIndex);
+  await sip.save();
+  return recorded;
+};
+
+// Process every active plan that is due
+const runSips = async (now = new Date()) => {
+  const sips = await Sip.find({ status: 'active', nextDate: { $lte: now } });
+  let recorded = 0;
+
+  for (const sip of sips) {
+    try {
+      recorded += await processSip(sip, now);
+    } catch (err) {
+      console.error(`SIP ${sip._id} failed: ${err.message}`);
+    }
+  }
+
+  return { sips: sips.length, recorded };
+};
+
+// Run once immediately (to catch up after downtime) and then on an interval
+const startSipScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const run = () => runSips().catch(err => {
+    console.error(`SIP scheduler error: ${err.message}`);
+  });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  processSip,
+  runSips,
+  startSipScheduler
+};
@@ -0,0 +1,16 @@
+const User = require('../models/User');
+
+// Must run after auth; only lets admin users through
+const admin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('role');
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+module.exports = admin;
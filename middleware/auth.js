@@ -1,23 +1,63 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { checkVerificationPolicy } = require('../utils/verificationPolicy');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   
   if (!token) {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
   
+  let decoded;
   try {
     // Verify JWT_SECRET is set in environment
     if (!process.env.JWT_SECRET) {
       throw new Error('JWT_SECRET not configured');
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. a 2FA login challenge) are not access tokens
+    if (decoded.purpose) {
+      throw new Error('Not an access token');
+    }
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid token.' });
+  }
+
+  try {
+    // Tokens belong to a session that may have been logged out or revoked
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid).select('revokedAt');
+      if (!session || session.revokedAt) {
+        return res.status(401).json({ error: 'Session has been revoked.' });
+      }
+    }
+
+    const user = await User.findById(decoded.id).select('passwordChangedAt emailVerified createdAt');
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid token.' });
+    }
+
+    // iat is in whole seconds, so compare at that resolution
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({ error: 'Password was changed. Please log in again.' });
+    }
+
+    // Account endpoints stay reachable so unverified users can verify or sign out
+    if (req.baseUrl !== '/api/auth') {
+      const verificationError = checkVerificationPolicy(user, req);
+      if (verificationError) {
+        return res.status(403).json({ error: verificationError, code: 'EMAIL_NOT_VERIFIED' });
+      }
+    }
+
     req.user = decoded;
     next();
   } catch (err) {
-    res.status(401).json({ error: 'Invalid token.' });
+    res.status(500).json({ error: err.message });
   }
 };
 
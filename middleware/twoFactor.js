@@ -0,0 +1,27 @@
+const User = require('../models/User');
+const { SECRET_FIELDS, verifySecondFactor } = require('../utils/twoFactor');
+
+// Must run after auth; when the user has two-factor authentication on, requires
+// a current TOTP (or recovery code) in the body as `totpCode`
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.twoFactor?.enabled) {
+      return next();
+    }
+
+    if (!req.body?.totpCode) {
+      return res.status(403).json({ error: 'Two-factor code required', code: 'TOTP_REQUIRED' });
+    }
+
+    await verifySecondFactor(user, req.body.totpCode);
+    next();
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+module.exports = requireTwoFactor;
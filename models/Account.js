@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const CURRENCIES = require('../config/currencies');
+
+const accountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['bank', 'credit_card', 'cash', 'wallet', 'savings', 'other'],
+    required: true
+  },
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    default: 'USD'
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+accountSchema.index({ user: 1, archived: 1 });
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// File attached to a transaction (a receipt photo or PDF). The bytes live in
+// the storage backend (utils/storage.js) under storageKey.
+const attachmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Detected from the file's content, not the type the client claimed
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+attachmentSchema.index({ transaction: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // A null category is the user's overall monthly limit
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  // First month (YYYY-MM) the budget applies to, used as the rollover origin
+  startMonth: {
+    type: String,
+    match: /^\d{4}-(0[1-9]|1[0-2])$/,
+    default: () => {
+      const now = new Date();
+      return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One budget per category (and one overall budget) per user
+budgetSchema.index({ user: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
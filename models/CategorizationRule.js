@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// User-defined rule that fills in a transaction's category, tags or payee when
+// its description, amount, account and type all match (see utils/rules.js).
+// Rules run in ascending priority order.
+const categorizationRuleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  priority: {
+    type: Number,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    descriptionContains: { type: String, trim: true },
+    descriptionRegex: { type: String },
+    minAmount: { type: Number, min: 0 },
+    maxAmount: { type: Number, min: 0 },
+    account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' },
+    // Set automatically to the category's type when the rule sets a category
+    type: { type: String, enum: ['income', 'expense'] }
+  },
+  actions: {
+    category: { type: String },
+    tags: { type: [String], default: undefined },
+    payee: { type: String, trim: true }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorizationRuleSchema.index({ user: 1, priority: 1 });
+
+module.exports = mongoose.model('CategorizationRule', categorizationRuleSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// User-defined transaction category. Transactions, budgets and recurring rules
+// refer to categories by name, so renames and merges update them too.
+const categorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased name; keeps "Food" and "food" from becoming two categories
+  nameKey: {
+    type: String,
+    required: true
+  },
+  // Top-level category this one rolls up into (one level of nesting)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  icon: {
+    type: String,
+    default: 'MdCategory'
+  },
+  color: {
+    type: String,
+    default: '#64748b'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.pre('validate', function(next) {
+  if (this.name) this.nameKey = this.name.toLowerCase();
+  next();
+});
+
+// Index for faster queries
+categorySchema.index({ user: 1, nameKey: 1 }, { unique: true });
+categorySchema.index({ user: 1, parent: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const CURRENCIES = require('../config/currencies');
+
+// 1 unit of `base` is worth `rate` units of `quote` on `date`
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    enum: CURRENCIES,
+    required: true
+  },
+  quote: {
+    type: String,
+    enum: CURRENCIES,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Stored at UTC midnight of the day the rate applies to
+  date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    default: 'manual'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+exchangeRateSchema.index({ base: 1, quote: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,4 +1,42 @@
 const mongoose = require('mongoose');
+const CURRENCIES = require('../config/currencies');
+
+// Puts money into the goal automatically when a matching transaction is
+// created: a percentage of income, or the round-up of an expense to the next
+// multiple of roundTo (see applyFundingRules in utils/goals.js)
+const fundingRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['percentage', 'round-up'],
+    required: true
+  },
+  percentage: {
+    type: Number,
+    min: 0.01,
+    max: 100
+  },
+  roundTo: {
+    type: Number,
+    min: 0.01
+  },
+  // Only transactions in this category or its subcategories; unset matches all
+  category: {
+    type: String
+  },
+  // Only transactions in this account; unset matches all
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const goalSchema = new mongoose.Schema({
   user: {
@@ -16,6 +54,7 @@ const goalSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Balance of the goal's contribution ledger, kept in sync by utils/goals.js
   currentAmount: {
     type: Number,
     default: 0,
@@ -25,6 +64,11 @@ const goalSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Currency the amounts are recorded in; unset means the user's base currency
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
   category: {
     type: String,
     default: 'Other'
@@ -42,6 +86,13 @@ const goalSchema = new mongoose.Schema({
     enum: ['active', 'completed', 'cancelled'],
     default: 'active'
   },
+  completedAt: {
+    type: Date
+  },
+  fundingRules: {
+    type: [fundingRuleSchema],
+    default: undefined
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -51,4 +102,7 @@ const goalSchema = new mongoose.Schema({
 // Index for faster queries
 goalSchema.index({ user: 1, status: 1 });
 
+// Full-text search, scoped to one user
+goalSchema.index({ user: 1, name: 'text' }, { name: 'goal_search' });
+
 module.exports = mongoose.model('Goal', goalSchema);
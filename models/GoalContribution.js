@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One movement of money into or out of a goal. A goal's currentAmount is the
+// sum of its deposits minus its withdrawals (see utils/goals.js).
+const goalContributionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  goal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'withdrawal'],
+    required: true
+  },
+  // In the goal's currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  // Where the money came from or went to, when it was a real transaction
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // opening: the balance a goal had before it had a ledger;
+  // adjustment: written when currentAmount is edited directly;
+  // rule: written by one of the goal's funding rules for `transaction`
+  source: {
+    type: String,
+    enum: ['manual', 'opening', 'adjustment', 'rule'],
+    default: 'manual'
+  },
+  // The funding rule (a subdocument of the goal) behind a rule contribution
+  rule: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+goalContributionSchema.index({ goal: 1, date: 1 });
+// A goal has at most one opening balance, even when two requests open its ledger at once
+goalContributionSchema.index({ goal: 1, source: 1 }, { unique: true, partialFilterExpression: { source: 'opening' } });
+goalContributionSchema.index({ transaction: 1 }, { partialFilterExpression: { transaction: { $exists: true } } });
+
+module.exports = mongoose.model('GoalContribution', goalContributionSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Saved CSV column mapping for a bank's statement layout
+const importMappingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Header names or zero-based column indexes for each Transaction field
+  columns: {
+    date: { type: String, required: true },
+    amount: String,
+    debit: String,
+    credit: String,
+    description: String,
+    category: String,
+    type: String
+  },
+  dateFormat: {
+    type: String,
+    enum: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'],
+    default: 'YYYY-MM-DD'
+  },
+  delimiter: {
+    type: String,
+    default: ','
+  },
+  hasHeader: {
+    type: Boolean,
+    default: true
+  },
+  defaultCategory: {
+    type: String,
+    trim: true,
+    default: 'Uncategorized'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importMappingSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportMapping', importMappingSchema);
@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const CURRENCIES = require('../config/currencies');
+
+// Units still held from one purchase, oldest first; sales use them up in order
+const lotSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  units: {
+    type: Number,
+    required: true
+  },
+  // Purchase price per unit including the buy's fees
+  unitCost: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
 
 const investmentSchema = new mongoose.Schema({
   user: {
@@ -16,6 +34,15 @@ const investmentSchema = new mongoose.Schema({
     enum: ['stock', 'mutual_fund', 'fd', 'ppf', 'other'],
     required: true
   },
+  // Ticker or fund scheme code; holdings with one and with units are revalued
+  // from PriceHistory (see jobs/revaluationScheduler.js)
+  symbol: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Entered by the user, or for holdings with buys and sells the cost of the
+  // units still held (kept in sync by utils/investments.js)
   investedAmount: {
     type: Number,
     required: true,
@@ -30,10 +57,70 @@ const investmentSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Currency the amounts are recorded in; unset means the user's base currency
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
   notes: {
     type: String,
     trim: true
   },
+  // Derived from the holding's transactions: units still held and their
+  // average cost, open lots, gains on units sold, and dividends, interest and
+  // standalone fees received or paid
+  units: {
+    type: Number
+  },
+  averageCost: {
+    type: Number
+  },
+  lots: {
+    type: [lotSchema],
+    default: undefined
+  },
+  realizedGain: {
+    type: Number,
+    default: 0
+  },
+  income: {
+    type: Number,
+    default: 0
+  },
+  fees: {
+    type: Number,
+    default: 0
+  },
+  // Price the current value was last worked out from, and the day it was for
+  lastPrice: {
+    type: Number
+  },
+  lastPriceDate: {
+    type: Date
+  },
+  // Fixed deposits and PPF: annual interest rate (%), how often it compounds,
+  // tenure and maturity. Their current value is accrued from these (see
+  // utils/deposits.js); PPF always compounds yearly and matures on the
+  // scheme's date.
+  interestRate: {
+    type: Number,
+    min: 0
+  },
+  compounding: {
+    type: String,
+    enum: ['simple', 'monthly', 'quarterly', 'half-yearly', 'yearly']
+  },
+  tenureMonths: {
+    type: Number,
+    min: 1
+  },
+  maturityDate: {
+    type: Date
+  },
+  // Maturity date the owner was last reminded of, so each is notified once
+  maturityNotifiedFor: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -42,5 +129,13 @@ const investmentSchema = new mongoose.Schema({
 
 // Index for faster queries
 investmentSchema.index({ user: 1, type: 1 });
+investmentSchema.index({ symbol: 1 }, { partialFilterExpression: { symbol: { $exists: true } } });
+investmentSchema.index({ maturityDate: 1 }, { partialFilterExpression: { maturityDate: { $exists: true } } });
+
+// Full-text search, scoped to one user
+investmentSchema.index(
+  { user: 1, name: 'text', notes: 'text' },
+  { weights: { name: 3, notes: 1 }, name: 'investment_search' }
+);
 
 module.exports = mongoose.model('Investment', investmentSchema);
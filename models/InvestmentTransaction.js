@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One trade or cash flow on a holding. Buys and sells move units at a price;
+// dividends, interest, fees and PPF deposits and withdrawals are cash amounts
+// only. The holding's units, lots and gains are derived from these (see
+// utils/investments.js).
+const investmentTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['buy', 'sell', 'dividend', 'interest', 'fee', 'deposit', 'withdrawal'],
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  // Buys and sells only
+  units: {
+    type: Number,
+    min: 0
+  },
+  price: {
+    type: Number,
+    min: 0
+  },
+  // Brokerage and charges on a buy or sell: added to a buy's cost, taken off
+  // a sale's proceeds
+  fees: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cash moved, in the holding's currency: units × price for trades, the
+  // amount received or paid otherwise
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Set on buys made by an SIP, with the expense that paid for it when the
+  // plan has a linked account
+  sip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sip'
+  },
+  instalmentDate: {
+    type: Date
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+investmentTransactionSchema.index({ investment: 1, date: 1 });
+
+// One buy per SIP instalment, so scheduler reruns never duplicate
+investmentTransactionSchema.index(
+  { sip: 1, instalmentDate: 1 },
+  { unique: true, partialFilterExpression: { sip: { $exists: true } } }
+);
+
+module.exports = mongoose.model('InvestmentTransaction', investmentTransactionSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// What one holding was worth at the end of a day, written by the revaluation
+// job (jobs/revaluationScheduler.js) for charting portfolio value over time
+const investmentValuationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: true
+  },
+  // Stored at UTC midnight of the day valued
+  date: {
+    type: Date,
+    required: true
+  },
+  // Amounts are in `currency` (unset means the user's base currency)
+  value: {
+    type: Number,
+    required: true
+  },
+  invested: {
+    type: Number
+  },
+  // Holdings valued from a price; unset for ones with an entered value
+  units: {
+    type: Number
+  },
+  price: {
+    type: Number
+  },
+  currency: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+investmentValuationSchema.index({ investment: 1, date: 1 }, { unique: true });
+investmentValuationSchema.index({ user: 1, date: 1 });
+
+module.exports = mongoose.model('InvestmentValuation', investmentValuationSchema);
@@ -35,4 +35,10 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, read: 1 });
 
+// Full-text search, scoped to one user
+notificationSchema.index(
+  { userId: 1, title: 'text', message: 'text' },
+  { weights: { title: 2, message: 1 }, name: 'notification_search' }
+);
+
 module.exports = mongoose.model('Notification', notificationSchema);
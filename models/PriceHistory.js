@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Closing price (or NAV) of a ticker or fund scheme code on `date`, in the
+// currency the holdings of that symbol are recorded in
+const priceHistorySchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Stored at UTC midnight of the day the price applies to
+  date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    default: 'manual'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceHistorySchema.index({ symbol: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const CURRENCIES = require('../config/currencies');
+
+const exceptionSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['skip', 'modify'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    min: 0
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const recurringTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Copied onto every transaction the rule creates; the currency defaults to
+  // the account's
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+  // Total number of occurrences in the series (skipped ones included)
+  occurrences: {
+    type: Number,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active'
+  },
+  // Position of the next occurrence to materialize
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+  nextDate: {
+    type: Date
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  lastOccurrenceDate: {
+    type: Date
+  },
+  exceptions: [exceptionSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for the scheduler's due-rule scan
+recurringTransactionSchema.index({ status: 1, nextDate: 1 });
+recurringTransactionSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('RecurringTransaction', recurringTransactionSchema);
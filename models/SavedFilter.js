@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Named transaction filter (see utils/filters.js for the grammar) that can be
+// applied to the transaction list and reports with ?savedFilter=<id>
+const savedFilterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+savedFilterSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedFilter', savedFilterSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// An instalment that was due but not bought, because the plan was paused or
+// the purchase failed
+const missedInstalmentSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['paused', 'failed'],
+    required: true
+  },
+  message: {
+    type: String
+  }
+}, { _id: false });
+
+// A systematic investment plan: a monthly purchase of a holding, bought at
+// the holding's price on each instalment date (see jobs/sipScheduler.js)
+const sipSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: true
+  },
+  // Amount of the first year's instalments, in the holding's currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // Day of the month instalments fall on (the last day in shorter months)
+  dayOfMonth: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 31
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+  // Yearly increase in the instalment amount (%), applied every twelve instalments
+  stepUpPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Account each instalment is paid from, recorded as an expense in `category`
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  category: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active'
+  },
+  // Position of the next instalment to buy, counted in months from the first
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+  nextDate: {
+    type: Date
+  },
+  lastInstalmentDate: {
+    type: Date
+  },
+  pausedAt: {
+    type: Date
+  },
+  missed: [missedInstalmentSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for the scheduler's due-plan scan
+sipSchema.index({ status: 1, nextDate: 1 });
+sipSchema.index({ user: 1, investment: 1 });
+
+module.exports = mongoose.model('Sip', sipSchema);
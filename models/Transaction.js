@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const CURRENCIES = require('../config/currencies');
+
+// One category/amount line of a split transaction
+const splitSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
   user: {
@@ -6,9 +24,10 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Transfers are kept out of income and expense totals
   type: {
     type: String,
-    enum: ['income', 'expense'],
+    enum: ['income', 'expense', 'transfer'],
     required: true
   },
   category: {
@@ -20,14 +39,55 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Split transactions divide the amount across categories; the lines add up
+  // to the amount and category holds the largest line's category
+  splits: {
+    type: [splitSchema],
+    default: undefined
+  },
   description: {
     type: String,
     trim: true
   },
+  payee: {
+    type: String,
+    trim: true
+  },
+  // Free-form labels, stored lowercase (e.g. "trip-goa-2026", "reimbursable")
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  // Currency the amounts are recorded in; unset means the user's base currency
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
   date: {
     type: Date,
     default: Date.now
   },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Transfer legs: 'out' debits the account, 'in' credits it
+  transferDirection: {
+    type: String,
+    enum: ['in', 'out']
+  },
+  linkedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Set when the transaction was materialized from a recurring rule
+  recurring: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTransaction'
+  },
+  occurrenceDate: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -36,5 +96,19 @@ const transactionSchema = new mongoose.Schema({
 
 // Index for faster queries
 transactionSchema.index({ user: 1, date: -1 });
+transactionSchema.index({ account: 1, date: 1 });
+transactionSchema.index({ user: 1, tags: 1 });
+
+// Full-text search, scoped to one user (the user prefix needs an equality match)
+transactionSchema.index(
+  { user: 1, description: 'text', category: 'text' },
+  { weights: { description: 3, category: 1 }, name: 'transaction_search' }
+);
+
+// One transaction per recurring occurrence, so scheduler reruns never duplicate
+transactionSchema.index(
+  { recurring: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurring: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Transaction', transactionSchema);
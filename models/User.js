@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const CURRENCIES = require('../config/currencies');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -30,9 +31,39 @@ const userSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CNY', 'KRW', 'BRL', 'RUB', 'AUD', 'CAD', 'CHF', 'SGD', 'MYR', 'THB', 'IDR', 'PHP', 'VND', 'ZAR', 'MXN'],
+    enum: CURRENCIES,
     default: 'USD'
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Access tokens issued before this are rejected
+  passwordChangedAt: {
+    type: Date
+  },
+  // Set to false at registration; accounts created before verification
+  // existed have no value and are treated as verified
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication. Secrets are stored encrypted and recovery
+  // codes hashed; none of them are returned unless explicitly selected.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: { type: Number, select: false },
+    failedAttempts: { type: Number, default: 0, select: false },
+    lockedUntil: { type: Date, select: false },
+    enabledAt: { type: Date }
+  },
   createdAt: {
     type: Date,
     default: Date.now
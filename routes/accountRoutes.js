@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Sip = require('../models/Sip');
+const auth = require('../middleware/auth');
+const CURRENCIES = require('../config/currencies');
+const { signedAmount, getAccountTotals, findActiveAccount, createTransfer } = require('../utils/accounts');
+const { userCurrency } = require('../utils/currency');
+
+const router = express.Router();
+
+const ACCOUNT_TYPES = ['bank', 'credit_card', 'cash', 'wallet', 'savings', 'other'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Get all accounts for user with current balances
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.includeArchived !== 'true') query.archived = false;
+
+    const accounts = await Account.find(query).sort({ createdAt: 1 });
+    const totals = await getAccountTotals(req.user.id, accounts.map(a => a._id));
+
+    res.json(accounts.map(account => ({
+      ...account.toObject(),
+      balance: account.openingBalance + (totals[account._id.toString()]?.total || 0),
+      transactionCount: totals[account._id.toString()]?.count || 0
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create account with validation (in the user's base currency unless given)
+router.post('/', auth, [
+  body('name').trim().notEmpty().withMessage('Account name is required'),
+  body('type').isIn(ACCOUNT_TYPES).withMessage('Invalid account type'),
+  body('openingBalance').optional().isFloat().withMessage('Opening balance must be a number'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Invalid currency'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const account = await Account.create({
+      name: req.body.name,
+      type: req.body.type,
+      openingBalance: req.body.openingBalance,
+      currency: req.body.currency || await userCurrency(req.user.id),
+      user: req.user.id
+    });
+    res.status(201).json(account);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move money between two accounts
+router.post('/transfers', auth, [
+  body('fromAccount').isMongoId().withMessage('Source account is required'),
+  body('toAccount').isMongoId().withMessage('Destination account is required'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('date').optional().isISO8601().withMessage('Invalid date format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { fromAccount, toAccount, amount, date, description } = req.body;
+
+    if (fromAccount === toAccount) {
+      return res.status(400).json({ error: 'Cannot transfer to the same account' });
+    }
+
+    const from = await findActiveAccount(req.user.id, fromAccount);
+    const to = await findActiveAccount(req.user.id, toAccount);
+
+    if (from.currency !== to.currency) {
+      return res.status(400).json({ error: 'Transfers between accounts in different currencies are not supported' });
+    }
+
+    const [debit, credit] = await createTransfer({
+      userId: req.user.id,
+      from,
+      to,
+      amount,
+      date,
+      description
+    });
+    res.status(201).json({ debit, credit });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get an account's running balance, oldest transaction first
+router.get('/:id/balance', auth, [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, user: req.user.id });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { startDate, endDate } = req.query;
+    const filter = { user: req.user.id, account: account._id };
+
+    // Balance brought forward from before the requested window
+    let openingBalance = account.openingBalance;
+    if (startDate) {
+      const prior = await getAccountTotals(req.user.id, [account._id], new Date(startDate));
+      openingBalance += prior[account._id.toString()]?.total || 0;
+      filter.date = { $gte: new Date(startDate) };
+    }
+    if (endDate) {
+      filter.date = { ...filter.date, $lte: new Date(endDate) };
+    }
+
+    const transactions = await Transaction.find(filter).sort({ date: 1, _id: 1 });
+
+    let balance = openingBalance;
+    const entries = transactions.map(t => {
+      balance += signedAmount(t);
+      return { ...t.toObject(), runningBalance: balance };
+    });
+
+    res.json({
+      account,
+      openingBalance,
+      closingBalance: balance,
+      entries
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update account with validation (set archived to hide it from pickers). Its
+// balance is a plain sum of amounts in its currency, so the currency is fixed
+// once anything is recorded in it.
+router.put('/:id', auth, [
+  body('name').optional().trim().notEmpty().withMessage('Account name cannot be empty'),
+  body('type').optional().isIn(ACCOUNT_TYPES).withMessage('Invalid account type'),
+  body('openingBalance').optional().isFloat().withMessage('Opening balance must be a number'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Invalid currency'),
+  body('archived').optional().isBoolean().withMessage('Archived must be true or false'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (req.body.currency) {
+      const existing = await Account.findOne({ _id: req.params.id, user: req.user.id });
+      if (!existing) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      if (req.body.currency !== existing.currency && (
+        await Transaction.exists({ account: existing._id })
+        || await RecurringTransaction.exists({ account: existing._id })
+        || await Sip.exists({ account: existing._id }))) {
+        return res.status(400).json({ error: 'The currency of an account with transactions, recurring transactions or SIPs cannot be changed' });
+      }
+    }
+
+    const account = await Account.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      {
+        name: req.body.name,
+        type: req.body.type,
+        openingBalance: req.body.openingBalance,
+        currency: req.body.currency,
+        archived: req.body.archived
+      },
+      { new: true, runValidators: true }
+    );
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json(account);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete account (only when it has no transactions; archive it otherwise)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, user: req.user.id });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const used = await Transaction.exists({ account: account._id });
+    if (used) {
+      return res.status(400).json({ error: 'Account has transactions; archive it instead' });
+    }
+    if (await RecurringTransaction.exists({ account: account._id, status: { $ne: 'completed' } })) {
+      return res.status(400).json({ error: 'Account is used by a recurring transaction; change or delete it first' });
+    }
+    if (await Sip.exists({ account: account._id, status: { $ne: 'completed' } })) {
+      return res.status(400).json({ error: 'Account pays for an SIP; change or delete the SIP first' });
+    }
+
+    await account.deleteOne();
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
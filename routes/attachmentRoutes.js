@@ -0,0 +1,106 @@
+const express = require('express');
+const multer = require('multer');
+const Transaction = require('../models/Transaction');
+const Attachment = require('../models/Attachment');
+const auth = require('../middleware/auth');
+const { getStorage } = require('../utils/storage');
+const { MAX_FILE_SIZE, saveAttachment, removeAttachments } = require('../utils/attachments');
+
+// Mounted at /api/transactions/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+});
+
+// Report upload problems (size limit, wrong field) as client errors
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+// Attachments hang off the user's own transactions only
+const findTransaction = async (req) => {
+  const transaction = await Transaction.findOne({ _id: req.params.id, user: req.user.id });
+  if (!transaction) {
+    throw Object.assign(new Error('Transaction not found'), { status: 404 });
+  }
+  return transaction;
+};
+
+const findAttachment = async (req) => {
+  const attachment = await Attachment.findOne({
+    _id: req.params.attachmentId,
+    transaction: req.params.id,
+    user: req.user.id
+  }).select('+storageKey');
+  if (!attachment) {
+    throw Object.assign(new Error('Attachment not found'), { status: 404 });
+  }
+  return attachment;
+};
+
+// Get a transaction's attachments
+router.get('/', auth, async (req, res) => {
+  try {
+    const transaction = await findTransaction(req);
+    const attachments = await Attachment.find({ transaction: transaction._id }).sort({ createdAt: 1 });
+    res.json(attachments);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Upload an attachment (multipart `file`; images or PDF)
+router.post('/', auth, uploadFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required' });
+    }
+    const transaction = await findTransaction(req);
+    const attachment = await saveAttachment(transaction, req.file);
+    res.status(201).json(attachment);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Download an attachment
+router.get('/:attachmentId', auth, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    const stream = await getStorage().get(attachment.storageKey);
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${req.query.inline === 'true' ? 'inline' : 'attachment'}; filename="${attachment.filename}"`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Attachment file is missing' });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete an attachment
+router.delete('/:attachmentId', auth, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    await removeAttachments({ _id: attachment._id });
+    res.json({ message: 'Attachment deleted' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,36 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
 const auth = require('../middleware/auth');
+const requireTwoFactor = require('../middleware/twoFactor');
+const CURRENCIES = require('../config/currencies');
+const { signAccessToken, createSession, rotateRefreshToken, revokeSession, revokeUserSessions } = require('../utils/tokens');
+const { createUserToken, consumeUserToken } = require('../utils/userTokens');
+const { sendMail } = require('../utils/mailer');
+const { passwordResetEmail, verificationEmail } = require('../utils/emails');
+const { isVerified } = require('../utils/verificationPolicy');
+const { createDefaultCategories } = require('../utils/categories');
+const { removeAttachments } = require('../utils/attachments');
+const { userCurrency, stampCurrency } = require('../utils/currency');
+const { generateSecret, verifyCode, otpauthUri } = require('../utils/totp');
+const {
+  SECRET_FIELDS,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '30d' });
-};
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48');
+const RESEND_VERIFICATION_INTERVAL_MS = 60 * 1000;
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -20,6 +41,47 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// User fields returned alongside tokens on register and login
+const authResponse = (user, tokens) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  profileImage: user.profileImage,
+  phone: user.phone,
+  themeMode: user.themeMode,
+  emailVerified: isVerified(user),
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  createdAt: user.createdAt,
+  ...tokens
+});
+
+// Remove a user and every document that belongs to them. Any registered model
+// with a `user` (or, for notifications, `userId`) path is owned data, so new
+// collections are covered automatically. Stored files go first, while their
+// attachment records still point at them.
+const deleteUserData = async (userId) => {
+  await removeAttachments({ user: userId });
+
+  const models = mongoose.modelNames()
+    .map(name => mongoose.model(name))
+    .filter(model => model.modelName !== 'User');
+
+  for (const model of models) {
+    const ownerPath = ['user', 'userId'].find(path => model.schema.path(path));
+    if (ownerPath) {
+      await model.deleteMany({ [ownerPath]: userId });
+    }
+  }
+  await User.deleteOne({ _id: userId });
+};
+
+// Issue a verification token and email it in the background
+const sendVerificationEmail = (user) => {
+  return createUserToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60)
+    .then(token => sendMail(verificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS)))
+    .catch(err => console.error(`Verification email failed: ${err.message}`));
+};
+
 // Register user with validation
 router.post('/register', [
   body('name').trim().notEmpty().withMessage('Name is required'),
@@ -36,18 +98,12 @@ router.post('/register', [
     }
 
     // Create user
-    const user = await User.create({ name, email, password });
-
-    res.status(201).json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      profileImage: user.profileImage,
-      phone: user.phone,
-      themeMode: user.themeMode,
-      createdAt: user.createdAt,
-      token: generateToken(user._id)
-    });
+    const user = await User.create({ name, email, password, emailVerified: false });
+    await createDefaultCategories(user._id);
+    const tokens = await createSession(user, req);
+    sendVerificationEmail(user);
+
+    res.status(201).json(authResponse(user, tokens));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -73,16 +129,165 @@ router.post('/login', [
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // With 2FA on, the password only earns a challenge to exchange at /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user._id)
+      });
+    }
+
+    const tokens = await createSession(user, req);
+
+    res.json(authResponse(user, tokens));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Second login step: exchange a challenge token and TOTP (or recovery code) for tokens
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').notEmpty().withMessage('Two-factor code is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const result = await verifySecondFactor(user, req.body.code);
+    const tokens = await createSession(user, req);
+
     res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      profileImage: user.profileImage,
-      phone: user.phone,
-      themeMode: user.themeMode,
-      createdAt: user.createdAt,
-      token: generateToken(user._id)
+      ...authResponse(user, tokens),
+      ...(result.method === 'recovery_code' && { recoveryCodesLeft: result.recoveryCodesLeft })
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+    res.json(tokens);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Confirm an email address using the emailed verification token
+router.get('/verify-email', [
+  query('token').notEmpty().withMessage('Verification token is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const verificationToken = await consumeUserToken(req.query.token, 'email_verification');
+    if (!verificationToken) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      verificationToken.user,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    res.json({ message: 'Email verified successfully', email: user.email });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a new verification email to the signed-in user
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (isVerified(user)) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    // One email a minute is plenty and keeps the endpoint from being used to spam
+    const recent = await UserToken.exists({
+      user: user._id,
+      type: 'email_verification',
+      createdAt: { $gt: new Date(Date.now() - RESEND_VERIFICATION_INTERVAL_MS) }
     });
+    if (recent) {
+      return res.status(429).json({ error: 'Verification email was sent recently. Please wait a minute and try again.' });
+    }
+
+    sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log out the current device
+router.post('/logout', auth, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await revokeSession(req.user.id, req.user.sid, 'logout');
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List active sessions (signed-in devices)
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(s => ({
+      ...s.toObject(),
+      current: s._id.toString() === req.user.sid
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke every session except the current one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user.id, { except: req.user.sid });
+    res.json({ message: 'Other sessions revoked', count: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await revokeSession(req.user.id, req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -139,10 +344,13 @@ router.post('/seed-data', auth, async (req, res) => {
       { type: 'expense', amount: 5000, category: 'Food', description: 'Groceries', date: new Date(now.getFullYear(), now.getMonth() - 3, 10), name: 'Groceries' },
     ];
     
+    const currency = await userCurrency(req.user.id);
+
     // Insert transactions
     await Transaction.insertMany(
       sampleTransactions.map(t => ({
         ...t,
+        currency,
         user: req.user.id,
         status: 'Completed'
       }))
@@ -160,6 +368,7 @@ router.post('/seed-data', auth, async (req, res) => {
     await Goal.insertMany(
       sampleGoals.map(g => ({
         ...g,
+        currency,
         user: req.user.id
       }))
     );
@@ -174,10 +383,14 @@ router.post('/seed-data', auth, async (req, res) => {
 router.put('/profile', auth, async (req, res) => {
   try {
     const { name, phone, profileImage, themeMode, currency } = req.body;
-    
-    // Valid currency codes
-    const validCurrencies = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CNY', 'KRW', 'BRL', 'RUB', 'AUD', 'CAD', 'CHF', 'SGD', 'MYR', 'THB', 'IDR', 'PHP', 'VND', 'ZAR', 'MXN'];
-    
+
+    // Records saved without a currency are read in the base currency, so pin
+    // them to the current one before it changes
+    if (currency && CURRENCIES.includes(currency)) {
+      const previous = await userCurrency(req.user.id);
+      if (previous !== currency) await stampCurrency(req.user.id, previous);
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       { 
@@ -185,7 +398,7 @@ router.put('/profile', auth, async (req, res) => {
         ...(phone !== undefined && { phone }),
         ...(profileImage !== undefined && { profileImage }),
         ...(themeMode !== undefined && { themeMode }),
-        ...(currency && validCurrencies.includes(currency) && { currency })
+        ...(currency && CURRENCIES.includes(currency) && { currency })
       },
       { new: true }
     ).select('-password');
@@ -204,7 +417,7 @@ router.put('/profile', auth, async (req, res) => {
 router.put('/password', auth, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, requireTwoFactor, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     
@@ -228,9 +441,223 @@ router.put('/password', auth, [
 
     // Update password (will be hashed by pre('save') middleware)
     user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign out every other device; this one gets a fresh access token
+    await revokeUserSessions(user._id, { except: req.user.sid, reason: 'password_changed' });
+    const tokens = req.user.sid
+      ? { token: signAccessToken(user._id, req.user.sid) }
+      : await createSession(user, req);
+
+    res.json({ message: 'Password updated successfully', ...tokens });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get two-factor authentication status
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesLeft: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start 2FA enrollment: returns a new secret and otpauth URI for an authenticator app
+router.post('/2fa/setup', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    // Kept pending until a code from the app confirms it was set up correctly
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': encryptSecret(secret) });
+
+    res.json({ secret, otpauthUri: otpauthUri(secret, user.email) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm enrollment with a code from the app; returns one-time recovery codes
+router.post('/2fa/enable', auth, [
+  body('code').notEmpty().withMessage('Two-factor code is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      twoFactor: {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        recoveryCodes: hashes,
+        lastUsedStep: step,
+        failedAttempts: 0,
+        enabledAt: new Date()
+      }
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn 2FA off (needs the password and a current code)
+router.post('/2fa/disable', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('totpCode').notEmpty().withMessage('Two-factor code is required'),
+], handleValidationErrors, requireTwoFactor, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    await User.updateOne({ _id: user._id }, { twoFactor: { enabled: false } });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace all recovery codes (the old ones stop working)
+router.post('/2fa/recovery-codes', auth, [
+  body('totpCode').notEmpty().withMessage('Two-factor code is required'),
+], handleValidationErrors, requireTwoFactor, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': hashes });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Permanently delete the account and all of its data
+router.delete('/account', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+], handleValidationErrors, requireTwoFactor, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    await deleteUserData(user._id);
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Request a password reset email. The response is the same whether or not the
+// email is registered, and the email is sent in the background so response
+// timing doesn't give it away either.
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      createUserToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES)
+        .then(token => sendMail(passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES)))
+        .catch(err => console.error(`Password reset email failed: ${err.message}`));
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set a new password using an emailed reset token
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const resetToken = await consumeUserToken(req.body.token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    // Update password (will be hashed by pre('save') middleware)
+    user.password = req.body.password;
+    user.passwordChangedAt = new Date();
     await user.save();
 
-    res.json({ message: 'Password updated successfully' });
+    // Whoever had access before the reset is signed out everywhere
+    await revokeUserSessions(user._id, { reason: 'password_changed' });
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,116 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Budget = require('../models/Budget');
+const auth = require('../middleware/auth');
+const { toMonthKey, getBudgetReport } = require('../utils/budgets');
+const { resolveCategory } = require('../utils/categories');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Get all budgets for user
+router.get('/', auth, async (req, res) => {
+  try {
+    const budgets = await Budget.find({ user: req.user.id }).sort({ category: 1 });
+    res.json(budgets);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get budget vs actual status for a month (defaults to current month)
+router.get('/status', auth, [
+  query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const month = req.query.month || toMonthKey(new Date());
+    const report = await getBudgetReport(req.user.id, [month]);
+    const { spentByCategory, ...status } = report[month];
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create budget with validation (omit category for the overall limit)
+router.post('/', auth, [
+  body('category').optional({ values: 'null' }).trim().notEmpty().withMessage('Category cannot be empty'),
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('rollover').optional().isBoolean().withMessage('Rollover must be true or false'),
+  body('startMonth').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Start month must be in YYYY-MM format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const category = req.body.category
+      ? (await resolveCategory(req.user.id, req.body.category, 'expense')).name
+      : null;
+
+    const existing = await Budget.findOne({ user: req.user.id, category });
+    if (existing) {
+      return res.status(400).json({
+        error: category ? `A budget for ${category} already exists` : 'An overall budget already exists'
+      });
+    }
+
+    const budget = await Budget.create({
+      category,
+      amount: req.body.amount,
+      rollover: req.body.rollover,
+      startMonth: req.body.startMonth,
+      user: req.user.id
+    });
+    res.status(201).json(budget);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Update budget with validation
+router.put('/:id', auth, [
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('rollover').optional().isBoolean().withMessage('Rollover must be true or false'),
+  body('startMonth').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Start month must be in YYYY-MM format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      {
+        amount: req.body.amount,
+        rollover: req.body.rollover,
+        startMonth: req.body.startMonth
+      },
+      { new: true, runValidators: true }
+    );
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+    res.json(budget);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete budget
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+    res.json({ message: 'Budget deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const CategorizationRule = require('../models/CategorizationRule');
+const Goal = require('../models/Goal');
+const Sip = require('../models/Sip');
+const ImportMapping = require('../models/ImportMapping');
+const SavedFilter = require('../models/SavedFilter');
+const auth = require('../middleware/auth');
+const { ensureCategories, renameCategory, mergeCategory } = require('../utils/categories');
+const { filterNamesCategory } = require('../utils/filters');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// A parent must be the user's own top-level category of the same type
+const findParent = async (userId, parentId, type) => {
+  const parent = await Category.findOne({ _id: parentId, user: userId });
+  if (!parent) {
+    throw Object.assign(new Error('Parent category not found'), { status: 404 });
+  }
+  if (parent.parent) {
+    throw Object.assign(new Error('Categories can only be nested one level deep'), { status: 400 });
+  }
+  if (parent.type !== type) {
+    throw Object.assign(new Error(`${parent.name} is an ${parent.type} category`), { status: 400 });
+  }
+  return parent;
+};
+
+// Get categories for user as a tree (?flat=true for a plain list)
+router.get('/', auth, async (req, res) => {
+  try {
+    await ensureCategories(req.user.id);
+
+    const query = { user: req.user.id };
+    if (req.query.type) query.type = req.query.type;
+
+    const categories = await Category.find(query).sort({ type: 1, name: 1 });
+    if (req.query.flat === 'true') {
+      return res.json(categories);
+    }
+
+    const tree = categories
+      .filter(c => !c.parent)
+      .map(parent => ({
+        ...parent.toObject(),
+        children: categories.filter(c => c.parent && c.parent.equals(parent._id))
+      }));
+    res.json(tree);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create category with validation
+router.post('/', auth, [
+  body('name').trim().notEmpty().withMessage('Category name is required'),
+  body('type').isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+  body('parent').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent category'),
+  body('icon').optional().isString(),
+  body('color').optional().isString(),
+], handleValidationErrors, async (req, res) => {
+  try {
+    await ensureCategories(req.user.id);
+
+    const existing = await Category.findOne({ user: req.user.id, nameKey: req.body.name.toLowerCase() });
+    if (existing) {
+      return res.status(400).json({ error: `A category named ${existing.name} already exists` });
+    }
+
+    if (req.body.parent) {
+      await findParent(req.user.id, req.body.parent, req.body.type);
+    }
+
+    const category = await Category.create({
+      name: req.body.name,
+      type: req.body.type,
+      parent: req.body.parent || null,
+      icon: req.body.icon,
+      color: req.body.color,
+      user: req.user.id
+    });
+    res.status(201).json(category);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Update category with validation (renaming re-points existing transactions)
+router.put('/:id', auth, [
+  body('name').optional().trim().notEmpty().withMessage('Category name cannot be empty'),
+  body('parent').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent category'),
+  body('type').not().exists().withMessage('Category type cannot be changed; merge into another category instead'),
+  body('icon').optional().isString(),
+  body('color').optional().isString(),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, user: req.user.id });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (req.body.parent !== undefined) {
+      if (req.body.parent) {
+        if (req.body.parent === category._id.toString()) {
+          return res.status(400).json({ error: 'A category cannot be its own parent' });
+        }
+        if (await Category.exists({ parent: category._id })) {
+          return res.status(400).json({ error: `${category.name} has subcategories and cannot be nested` });
+        }
+        await findParent(req.user.id, req.body.parent, category.type);
+      }
+      category.parent = req.body.parent || null;
+    }
+    if (req.body.icon !== undefined) category.icon = req.body.icon;
+    if (req.body.color !== undefined) category.color = req.body.color;
+
+    if (req.body.name && req.body.name !== category.name) {
+      await renameCategory(category, req.body.name);
+    } else {
+      await category.save();
+    }
+    res.json(category);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Merge a category into another, moving its transactions, budgets and rules
+router.post('/:id/merge', auth, [
+  body('into').isMongoId().withMessage('Target category is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const source = await Category.findOne({ _id: req.params.id, user: req.user.id });
+    const target = await Category.findOne({ _id: req.body.into, user: req.user.id });
+    if (!source || !target) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const merged = await mergeCategory(source, target);
+    res.json({ message: `${source.name} merged into ${target.name}`, category: merged });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete category (only when nothing uses it; merge it otherwise)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, user: req.user.id });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(400).json({ error: `${category.name} has subcategories; delete or move them first` });
+    }
+
+    // The same records a rename or merge repoints
+    const inUse = await Transaction.exists({ user: req.user.id, category: category.name })
+      || await Transaction.exists({ user: req.user.id, 'splits.category': category.name })
+      || await Budget.exists({ user: req.user.id, category: category.name })
+      || await RecurringTransaction.exists({ user: req.user.id, category: category.name })
+      || await RecurringTransaction.exists({ user: req.user.id, 'exceptions.category': category.name })
+      || await ImportMapping.exists({ user: req.user.id, defaultCategory: category.name })
+      || await CategorizationRule.exists({ user: req.user.id, 'actions.category': category.name })
+      || await Goal.exists({ user: req.user.id, 'fundingRules.category': category.name })
+      || await Goal.exists({ user: req.user.id, category: category.name })
+      || await Sip.exists({ user: req.user.id, category: category.name })
+      || (await SavedFilter.find({ user: req.user.id })).some(saved => filterNamesCategory(saved.filter, category.name));
+    if (inUse) {
+      return res.status(400).json({ error: `${category.name} is in use; merge it into another category instead` });
+    }
+
+    await category.deleteOne();
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const CURRENCIES = require('../config/currencies');
+const { upsertRates, syncRates, lookupRate } = require('../utils/currency');
+const { parseCSV } = require('../utils/importParsers');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Report upload problems (size limit, wrong field) as client errors
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+// Check one uploaded rate, returning an error message or null
+const validateRate = (r) => {
+  if (!CURRENCIES.includes(r.base)) return `Invalid base currency: ${r.base}`;
+  if (!CURRENCIES.includes(r.quote)) return `Invalid quote currency: ${r.quote}`;
+  if (r.base === r.quote) return 'Base and quote currencies must differ';
+  if (!(r.rate > 0)) return `Invalid rate: ${r.rate}`;
+  if (isNaN(new Date(r.date).getTime())) return `Invalid date: ${r.date}`;
+  return null;
+};
+
+// Get stored rates (optionally for one pair and date range)
+router.get('/', auth, [
+  query('base').optional().isIn(CURRENCIES).withMessage('Invalid base currency'),
+  query('quote').optional().isIn(CURRENCIES).withMessage('Invalid quote currency'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { base, quote, startDate, endDate } = req.query;
+    const query = {};
+
+    if (base) query.base = base;
+    if (quote) query.quote = quote;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const rates = await ExchangeRate.find(query).sort({ date: -1 }).limit(1000);
+    res.json(rates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Convert an amount between currencies at a date's rate
+router.get('/convert', auth, [
+  query('amount').isFloat().withMessage('Amount must be a number'),
+  query('from').isIn(CURRENCIES).withMessage('Invalid source currency'),
+  query('to').isIn(CURRENCIES).withMessage('Invalid target currency'),
+  query('date').optional().isISO8601().withMessage('Invalid date format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const found = await lookupRate(from, to, date);
+
+    if (!found) {
+      return res.status(404).json({ error: `No exchange rate available for ${from}/${to}` });
+    }
+
+    res.json({
+      amount: parseFloat(req.query.amount),
+      from,
+      to,
+      rate: found.rate,
+      rateDate: found.date,
+      source: found.source,
+      converted: Math.round(parseFloat(req.query.amount) * found.rate * 100) / 100
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload rates as JSON { rates: [...] } or a CSV file with date,base,quote,rate columns (admin only)
+router.post('/', auth, admin, uploadFile, async (req, res) => {
+  try {
+    let rates;
+    if (req.file) {
+      const [header, ...rows] = parseCSV(req.file.buffer.toString('utf8'));
+      const columns = header.map(h => h.trim().toLowerCase());
+      rates = rows.map(cells => columns.reduce((acc, col, i) => ({ ...acc, [col]: (cells[i] || '').trim() }), {}));
+    } else if (Array.isArray(req.body.rates)) {
+      rates = req.body.rates;
+    } else {
+      return res.status(400).json({ error: 'Provide a rates array or a CSV file' });
+    }
+
+    rates = rates.map(r => ({
+      base: String(r.base || '').toUpperCase(),
+      quote: String(r.quote || '').toUpperCase(),
+      rate: parseFloat(r.rate),
+      date: r.date
+    }));
+
+    const errors = rates
+      .map((r, index) => ({ row: index + 1, error: validateRate(r) }))
+      .filter(e => e.error);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid exchange rates', errors });
+    }
+
+    const result = await upsertRates(rates, 'manual');
+    res.status(201).json({ message: 'Exchange rates saved', count: rates.length, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pull rates for a base currency from the configured provider (admin only)
+router.post('/sync', auth, admin, [
+  body('base').isIn(CURRENCIES).withMessage('Invalid base currency'),
+  body('date').optional().isISO8601().withMessage('Invalid date format'),
+  body('provider').optional().isString(),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+    const rates = await syncRates(req.body.base, date, req.body.provider);
+    res.json({ message: 'Exchange rates synced', count: rates.length, rates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a stored rate (admin only)
+router.delete('/:id', auth, admin, async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+    res.json({ message: 'Exchange rate deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
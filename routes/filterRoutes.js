@@ -0,0 +1,96 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SavedFilter = require('../models/SavedFilter');
+const auth = require('../middleware/auth');
+const { compileFilter } = require('../utils/filters');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Reject filters that would fail when applied, so saved filters always work
+const validFilter = () => body('filter').custom((filter) => {
+  compileFilter(filter);
+  return true;
+});
+
+// Get all saved filters for user
+router.get('/', auth, async (req, res) => {
+  try {
+    const filters = await SavedFilter.find({ user: req.user.id }).sort({ name: 1 });
+    res.json(filters);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a filter with validation
+router.post('/', auth, [
+  body('name').trim().notEmpty().withMessage('Filter name is required'),
+  validFilter(),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const existing = await SavedFilter.findOne({ user: req.user.id, name: req.body.name });
+    if (existing) {
+      return res.status(400).json({ error: `A filter named ${req.body.name} already exists` });
+    }
+
+    const filter = await SavedFilter.create({
+      name: req.body.name,
+      filter: req.body.filter,
+      user: req.user.id
+    });
+    res.status(201).json(filter);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a saved filter with validation
+router.put('/:id', auth, [
+  body('name').optional().trim().notEmpty().withMessage('Filter name cannot be empty'),
+  validFilter().optional(),
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (req.body.name) {
+      const existing = await SavedFilter.findOne({ user: req.user.id, name: req.body.name, _id: { $ne: req.params.id } });
+      if (existing) {
+        return res.status(400).json({ error: `A filter named ${req.body.name} already exists` });
+      }
+    }
+
+    const filter = await SavedFilter.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { name: req.body.name, filter: req.body.filter },
+      { new: true, runValidators: true }
+    );
+    if (!filter) {
+      return res.status(404).json({ error: 'Saved filter not found' });
+    }
+    res.json(filter);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a saved filter
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const filter = await SavedFilter.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!filter) {
+      return res.status(404).json({ error: 'Saved filter not found' });
+    }
+    res.json({ message: 'Saved filter deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,22 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Goal = require('../models/Goal');
+const GoalContribution = require('../models/GoalContribution');
 const auth = require('../middleware/auth');
+const CURRENCIES = require('../config/currencies');
+const { paginationValidators, paginate } = require('../utils/pagination');
+const {
+  ensureOpeningBalance,
+  syncGoal,
+  recordContribution,
+  removeContribution,
+  adjustBalance,
+  contributionHistory,
+  projectGoals,
+  MAX_FUNDING_RULES,
+  validateFundingRule
+} = require('../utils/goals');
+const { userCurrency, createUserConverter } = require('../utils/currency');
 
 const router = express.Router();
 
@@ -14,13 +29,64 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Get all goals for user
-router.get('/', auth, async (req, res) => {
+const findGoal = async (req) => {
+  const goal = await Goal.findOne({ _id: req.params.id, user: req.user.id });
+  if (!goal) {
+    throw Object.assign(new Error('Goal not found'), { status: 404 });
+  }
+  return goal;
+};
+
+const DEFAULT_LOOKBACK_MONTHS = 3;
+
+const lookbackValidator = query('months').optional().isInt({ min: 1, max: 12 }).withMessage('Months must be between 1 and 12');
+
+const contributionValidators = [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('date').optional().isISO8601().withMessage('Invalid date format'),
+  body('note').optional().isString().withMessage('Note must be text'),
+  body('transaction').optional().isMongoId().withMessage('Invalid transaction'),
+];
+
+// Shape checks shared by create and update; validateFundingRule does the rest
+const fundingRuleValidators = [
+  body('percentage').optional({ values: 'null' }).isFloat({ min: 0.01, max: 100 }).withMessage('Percentage must be between 0.01 and 100'),
+  body('roundTo').optional({ values: 'null' }).isFloat({ min: 0.01 }).withMessage('Round-up amount must be a positive number'),
+  body('category').optional({ values: 'null' }).trim().notEmpty().withMessage('Category cannot be empty'),
+  body('account').optional({ values: 'null' }).isMongoId().withMessage('Invalid account'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be true or false'),
+];
+
+const findFundingRule = (goal, ruleId) => {
+  const rule = goal.fundingRules && goal.fundingRules.id(ruleId);
+  if (!rule) {
+    throw Object.assign(new Error('Funding rule not found'), { status: 404 });
+  }
+  return rule;
+};
+
+// Get a page of goals for user
+router.get('/', auth, [
+  ...paginationValidators(['createdAt', 'deadline', 'name', 'targetAmount', 'currentAmount']),
+], handleValidationErrors, async (req, res) => {
   try {
-    const goals = await Goal.find({ user: req.user.id }).sort({ createdAt: -1 });
-    res.json(goals);
+    const page = await paginate(Goal, { user: req.user.id }, req.query, { defaultSort: '-createdAt' });
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get projections for all goals, with how much of the average monthly surplus
+// the active goals need (?months= sets the lookback, default 3)
+router.get('/projections', auth, [lookbackValidator], handleValidationErrors, async (req, res) => {
+  try {
+    const goals = await Goal.find({ user: req.user.id }).sort({ deadline: 1 });
+    const months = parseInt(req.query.months || DEFAULT_LOOKBACK_MONTHS);
+    const converter = await createUserConverter(req.user.id);
+    res.json(await projectGoals(req.user.id, goals, { months, converter }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -31,6 +97,7 @@ router.post('/', auth, [
   body('current').optional().isFloat({ min: 0 }).withMessage('Current amount must be a positive'),
   body('category').trim().notEmpty().withMessage('Category is required'),
   body('deadline').optional().isISO8601().withMessage('Invalid deadline format'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Invalid currency'),
 ], handleValidationErrors, async (req, res) => {
   try {
     const goal = await Goal.create({
@@ -41,41 +108,59 @@ router.post('/', auth, [
       category: req.body.category,
       icon: req.body.icon,
       color: req.body.color,
+      currency: req.body.currency || await userCurrency(req.user.id),
       user: req.user.id
     });
+
+    // A starting amount opens the goal's ledger
+    await ensureOpeningBalance(goal);
+    await syncGoal(goal);
     res.status(201).json(goal);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update goal with validation
+// Update goal with validation (a new current amount is recorded in the ledger
+// as an adjustment)
 router.put('/:id', auth, [
   body('name').optional().trim().notEmpty().withMessage('Goal name cannot be empty'),
   body('target').optional().isFloat({ min: 0 }).withMessage('Target amount must be a positive number'),
   body('current').optional().isFloat({ min: 0 }).withMessage('Current amount must be positive'),
   body('deadline').optional().isISO8601().withMessage('Invalid deadline format'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Invalid currency'),
 ], handleValidationErrors, async (req, res) => {
   try {
-    const goal = await Goal.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      {
-        name: req.body.name,
-        targetAmount: req.body.target,
-        currentAmount: req.body.current,
-        deadline: req.body.deadline,
-        category: req.body.category,
-        icon: req.body.icon,
-        color: req.body.color,
-      },
-      { new: true }
-    );
-    if (!goal) {
-      return res.status(404).json({ error: 'Goal not found' });
+    const goal = await findGoal(req);
+
+    // Ledger entries are in the goal's currency, so it is fixed once there are any
+    if (req.body.currency && req.body.currency !== (goal.currency || await userCurrency(req.user.id))
+      && (goal.currentAmount > 0 || await GoalContribution.exists({ goal: goal._id }))) {
+      return res.status(400).json({ error: 'The currency of a goal with contributions cannot be changed' });
+    }
+
+    const updates = {
+      name: req.body.name,
+      targetAmount: req.body.target,
+      deadline: req.body.deadline,
+      category: req.body.category,
+      icon: req.body.icon,
+      color: req.body.color,
+      currency: req.body.currency,
+    };
+    for (const [field, value] of Object.entries(updates)) {
+      if (value !== undefined) goal.set(field, value);
+    }
+
+    // A new target can complete or reopen the goal
+    if (req.body.current !== undefined) {
+      await adjustBalance(goal, parseFloat(req.body.current));
+    } else {
+      await syncGoal(goal);
     }
     res.json(goal);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -89,32 +174,200 @@ router.delete('/:id', auth, async (req, res) => {
     if (!goal) {
       return res.status(404).json({ error: 'Goal not found' });
     }
+    await GoalContribution.deleteMany({ goal: goal._id });
     res.json({ message: 'Goal deleted' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Add funds to goal with validation
-router.put('/:id/add-funds', auth, [
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+// Add funds to goal with validation (records a deposit)
+router.put('/:id/add-funds', auth, contributionValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    await recordContribution(goal, {
+      type: 'deposit',
+      amount: parseFloat(req.body.amount),
+      date: req.body.date,
+      note: req.body.note,
+      transaction: req.body.transaction
+    });
+    res.json(goal);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get a page of a goal's deposits and withdrawals
+router.get('/:id/contributions', auth, [
+  ...paginationValidators(['date', 'amount', 'createdAt']),
 ], handleValidationErrors, async (req, res) => {
   try {
-    const goal = await Goal.findOne({
-      _id: req.params.id,
-      user: req.user.id
+    const goal = await findGoal(req);
+    await ensureOpeningBalance(goal);
+    const page = await paginate(GoalContribution, { goal: goal._id }, req.query, { defaultSort: '-date' });
+    res.json(page);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Record a deposit or withdrawal with validation (withdrawing below the target
+// reopens a completed goal)
+router.post('/:id/contributions', auth, [
+  body('type').isIn(['deposit', 'withdrawal']).withMessage('Type must be deposit or withdrawal'),
+  ...contributionValidators,
+], handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    const contribution = await recordContribution(goal, {
+      type: req.body.type,
+      amount: parseFloat(req.body.amount),
+      date: req.body.date,
+      note: req.body.note,
+      transaction: req.body.transaction
     });
-    if (!goal) {
-      return res.status(404).json({ error: 'Goal not found' });
+    res.status(201).json({ contribution, goal });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete a deposit or withdrawal
+router.delete('/:id/contributions/:contributionId', auth, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    const contribution = await GoalContribution.findOne({ _id: req.params.contributionId, goal: goal._id });
+    if (!contribution) {
+      return res.status(404).json({ error: 'Contribution not found' });
     }
-    goal.currentAmount = (goal.currentAmount || 0) + (req.body.amount || 0);
-    if (goal.currentAmount >= goal.targetAmount) {
-      goal.status = 'completed';
+    await removeContribution(goal, contribution);
+    res.json({ message: 'Contribution deleted', goal });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get a goal's funding rules
+router.get('/:id/funding-rules', auth, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    res.json(goal.fundingRules || []);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Add a funding rule with validation: a percentage of income or the round-up
+// of expenses, optionally limited to a category and an account. Rules apply to
+// transactions created from now on.
+router.post('/:id/funding-rules', auth, [
+  body('type').isIn(['percentage', 'round-up']).withMessage('Type must be percentage or round-up'),
+  ...fundingRuleValidators,
+], handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    if ((goal.fundingRules || []).length >= MAX_FUNDING_RULES) {
+      return res.status(400).json({ error: `A goal can have at most ${MAX_FUNDING_RULES} funding rules` });
     }
+
+    const rule = await validateFundingRule(req.user.id, {
+      type: req.body.type,
+      percentage: req.body.percentage ?? undefined,
+      roundTo: req.body.roundTo ?? undefined,
+      category: req.body.category ?? undefined,
+      account: req.body.account ?? undefined,
+      enabled: req.body.enabled
+    });
+
+    if (!goal.fundingRules) goal.fundingRules = [];
+    goal.fundingRules.push(rule);
     await goal.save();
-    res.json(goal);
+    res.status(201).json(goal.fundingRules[goal.fundingRules.length - 1]);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Update a funding rule with validation (null clears the category or account)
+router.put('/:id/funding-rules/:ruleId', auth, [
+  body('type').optional().isIn(['percentage', 'round-up']).withMessage('Type must be percentage or round-up'),
+  ...fundingRuleValidators,
+], handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    const existing = findFundingRule(goal, req.params.ruleId);
+
+    const merged = { ...existing.toObject() };
+    for (const field of ['type', 'percentage', 'roundTo', 'category', 'account', 'enabled']) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field] ?? undefined;
+    }
+    const rule = await validateFundingRule(req.user.id, merged);
+
+    for (const field of ['type', 'percentage', 'roundTo', 'category', 'account', 'enabled']) {
+      existing.set(field, rule[field]);
+    }
+    await goal.save();
+    res.json(existing);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete a funding rule (what it already contributed stays in the ledger)
+router.delete('/:id/funding-rules/:ruleId', auth, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    findFundingRule(goal, req.params.ruleId).deleteOne();
+    await goal.save();
+    res.json({ message: 'Funding rule deleted' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get one goal's projection (?months= sets the lookback, default 3)
+router.get('/:id/projection', auth, [lookbackValidator], handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    const months = parseInt(req.query.months || DEFAULT_LOOKBACK_MONTHS);
+    const converter = await createUserConverter(req.user.id);
+    const { goals: [projection], surplus, currency } = await projectGoals(req.user.id, [goal], { months, converter });
+    res.json({
+      ...projection,
+      lookbackMonths: months,
+      averageMonthlySurplus: surplus.averageMonthly,
+      surplusCurrency: currency
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get the goal's balance over time for charting (?interval=day|week|month)
+router.get('/:id/history', auth, [
+  query('interval').optional().isIn(['day', 'week', 'month']).withMessage('Interval must be day, week or month'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    const interval = req.query.interval || 'month';
+    const points = await contributionHistory(goal, { interval, startDate: req.query.startDate, endDate: req.query.endDate });
+    res.json({
+      goal: {
+        _id: goal._id,
+        name: goal.name,
+        targetAmount: goal.targetAmount,
+        currentAmount: goal.currentAmount,
+        deadline: goal.deadline,
+        status: goal.status
+      },
+      interval,
+      points
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -129,10 +382,13 @@ router.post('/seed', auth, async (req, res) => {
     ];
     
     await Goal.deleteMany({ user: req.user.id });
+    await GoalContribution.deleteMany({ user: req.user.id });
     
+    const currency = await userCurrency(req.user.id);
     await Goal.insertMany(
       sampleGoals.map(g => ({
         ...g,
+        currency,
         user: req.user.id
       }))
     );
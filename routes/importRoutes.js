@@ -0,0 +1,236 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const ImportMapping = require('../models/ImportMapping');
+const Category = require('../models/Category');
+const auth = require('../middleware/auth');
+const { csvToRows, ofxToRows, qifToRows, mapRow, detectFormat } = require('../utils/importParsers');
+const { ensureCategories } = require('../utils/categories');
+const { loadRules, fillFromRules } = require('../utils/rules');
+const { userCurrency } = require('../utils/currency');
+const { applyFundingRules } = require('../utils/goals');
+const { FALLBACK_CATEGORIES } = require('../config/defaultCategories');
+
+const router = express.Router();
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE }
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Report upload problems (size limit, wrong field) as client errors
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+// Resolve CSV options from a saved mapping, an inline mapping, or both
+const resolveCsvOptions = async (req) => {
+  let saved = null;
+  if (req.body.mappingId) {
+    saved = await ImportMapping.findOne({ _id: req.body.mappingId, user: req.user.id });
+    if (!saved) throw Object.assign(new Error('Import mapping not found'), { status: 404 });
+  }
+
+  let columns = saved ? saved.columns.toObject() : {};
+  if (req.body.mapping) {
+    try {
+      columns = { ...columns, ...JSON.parse(req.body.mapping) };
+    } catch (err) {
+      throw Object.assign(new Error('Mapping must be valid JSON'), { status: 400 });
+    }
+  }
+
+  if (!columns.date || !(columns.amount || columns.debit || columns.credit)) {
+    throw Object.assign(new Error('CSV imports need a mapping with date and amount (or debit/credit) columns'), { status: 400 });
+  }
+
+  return {
+    columns,
+    dateFormat: req.body.dateFormat || saved?.dateFormat,
+    delimiter: req.body.delimiter || saved?.delimiter || ',',
+    hasHeader: req.body.hasHeader !== undefined ? req.body.hasHeader !== 'false' : (saved ? saved.hasHeader : true),
+    defaultCategory: req.body.defaultCategory || saved?.defaultCategory
+  };
+};
+
+// Import a CSV, OFX or QIF statement (dryRun=true previews without saving)
+router.post('/', auth, uploadFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A statement file is required' });
+    }
+
+    const text = req.file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const format = detectFormat(req.body.format, req.file.originalname, text);
+    const dryRun = (req.query.dryRun || req.body.dryRun) === 'true';
+
+    let rows;
+    let options;
+    if (format === 'csv') {
+      options = await resolveCsvOptions(req);
+      rows = csvToRows(text, options.columns, options);
+    } else if (format === 'ofx') {
+      options = { dateFormat: 'YYYY-MM-DD', defaultCategory: req.body.defaultCategory };
+      rows = ofxToRows(text);
+    } else if (format === 'qif') {
+      options = { dateFormat: req.body.dateFormat || 'MM/DD/YYYY', defaultCategory: req.body.defaultCategory };
+      rows = qifToRows(text);
+    } else {
+      return res.status(400).json({ error: 'Format must be csv, ofx or qif' });
+    }
+
+    // Categorization rules pick the category for rows the statement left
+    // uncategorized (ahead of the default category) and add payees and tags
+    const rules = await loadRules(req.user.id);
+    const currency = await userCurrency(req.user.id);
+
+    const results = rows.map((row, index) => {
+      const { transaction, errors } = mapRow(row, options);
+      if (errors.length === 0 && rules.length > 0) {
+        const ownCategory = row.category && row.category.trim();
+        const filled = fillFromRules({ ...transaction, category: ownCategory || undefined }, rules);
+        Object.assign(transaction, filled, { category: filled.category || transaction.category });
+      }
+      const doc = new Transaction({ ...transaction, currency: transaction.currency || currency, user: req.user.id });
+      const validation = errors.length === 0 ? doc.validateSync() : null;
+      if (validation) {
+        errors.push(...Object.values(validation.errors).map(e => e.message));
+      }
+      return { row: index + 1, transaction, doc, errors };
+    });
+
+    // Use the user's spelling of known categories; unknown ones are created on import
+    await ensureCategories(req.user.id);
+    const categories = new Map((await Category.find({ user: req.user.id })).map(c => [c.nameKey, c]));
+    const newCategories = new Map();
+    const defaultKey = String(options.defaultCategory || 'Uncategorized').toLowerCase();
+    for (const r of results.filter(r => r.errors.length === 0)) {
+      // Rows left in the default category go to a catch-all of their own type
+      // when the default is for the other type (e.g. income in an expense category)
+      const assigned = categories.get(r.doc.category.toLowerCase()) || newCategories.get(r.doc.category.toLowerCase());
+      if (r.doc.category.toLowerCase() === defaultKey && assigned && assigned.type !== r.doc.type) {
+        r.doc.category = FALLBACK_CATEGORIES[r.doc.type];
+        r.transaction.category = r.doc.category;
+      }
+
+      const key = r.doc.category.toLowerCase();
+      const known = categories.get(key) || newCategories.get(key);
+      if (!known) {
+        newCategories.set(key, { name: r.doc.category, type: r.doc.type });
+      } else if (known.type !== r.doc.type) {
+        r.errors.push(`${known.name} is an ${known.type} category`);
+      } else {
+        r.doc.category = known.name;
+        r.transaction.category = known.name;
+      }
+    }
+
+    const valid = results.filter(r => r.errors.length === 0);
+    const invalid = results.filter(r => r.errors.length > 0);
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        format,
+        total: results.length,
+        valid: valid.length,
+        invalid: invalid.length,
+        newCategories: [...newCategories.values()],
+        preview: results.map(({ row, transaction, errors }) => ({ row, transaction, errors }))
+      });
+    }
+
+    if (valid.length > 0) {
+      await Category.insertMany([...newCategories.values()].map(c => ({
+        ...c,
+        nameKey: c.name.toLowerCase(),
+        user: req.user.id
+      })));
+      const inserted = await Transaction.insertMany(valid.map(r => r.doc));
+      for (const transaction of inserted) {
+        await applyFundingRules(transaction);
+      }
+    }
+
+    res.status(valid.length > 0 ? 201 : 200).json({
+      format,
+      total: results.length,
+      imported: valid.length,
+      failed: invalid.length,
+      createdCategories: [...newCategories.values()].map(c => c.name),
+      errors: invalid.map(({ row, errors }) => ({ row, errors }))
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get saved CSV column mappings
+router.get('/mappings', auth, async (req, res) => {
+  try {
+    const mappings = await ImportMapping.find({ user: req.user.id }).sort({ name: 1 });
+    res.json(mappings);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a CSV column mapping with validation
+router.post('/mappings', auth, [
+  body('name').trim().notEmpty().withMessage('Mapping name is required'),
+  body('columns.date').notEmpty().withMessage('A date column is required'),
+  body('columns').custom(columns => columns.amount || columns.debit || columns.credit)
+    .withMessage('An amount column (or debit/credit columns) is required'),
+  body('dateFormat').optional().isIn(['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY']).withMessage('Invalid date format'),
+  body('hasHeader').optional().isBoolean().withMessage('hasHeader must be true or false'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const mapping = await ImportMapping.create({
+      name: req.body.name,
+      columns: req.body.columns,
+      dateFormat: req.body.dateFormat,
+      delimiter: req.body.delimiter,
+      hasHeader: req.body.hasHeader,
+      defaultCategory: req.body.defaultCategory,
+      user: req.user.id
+    });
+    res.status(201).json(mapping);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a saved mapping
+router.delete('/mappings/:id', auth, async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    if (!mapping) {
+      return res.status(404).json({ error: 'Import mapping not found' });
+    }
+    res.json({ message: 'Import mapping deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
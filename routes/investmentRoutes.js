@@ -1,7 +1,24 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Investment = require('../models/Investment');
+const InvestmentTransaction = require('../models/InvestmentTransaction');
+const InvestmentValuation = require('../models/InvestmentValuation');
+const Sip = require('../models/Sip');
 const auth = require('../middleware/auth');
+const CURRENCIES = require('../config/currencies');
+const { paginationValidators, paginate } = require('../utils/pagination');
+const {
+  DEPOSIT_TYPES,
+  syncInvestment,
+  recordTransaction,
+  updateTransaction,
+  removeTransaction,
+  revalueInvestment,
+  maturitySchedule
+} = require('../utils/investments');
+const { COMPOUNDING_OPTIONS } = require('../utils/deposits');
+const { syncPrices } = require('../utils/prices');
+const { userCurrency } = require('../utils/currency');
 
 const router = express.Router();
 
@@ -14,64 +31,171 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Get all investments for user
-router.get('/', auth, async (req, res) => {
+// Kept in sync from the holding's transactions, never set directly
+const DERIVED_FIELDS = ['units', 'averageCost', 'lots', 'realizedGain', 'income', 'fees', 'lastPrice', 'lastPriceDate', 'maturityNotifiedFor'];
+
+const withoutDerived = (fields) => Object.fromEntries(
+  Object.entries(fields).filter(([field]) => !DERIVED_FIELDS.includes(field))
+);
+
+const findInvestment = async (req) => {
+  const investment = await Investment.findOne({ _id: req.params.id, user: req.user.id });
+  if (!investment) {
+    throw Object.assign(new Error('Investment not found'), { status: 404 });
+  }
+  return investment;
+};
+
+// Interest terms of fixed deposits and PPF accounts
+const depositValidators = [
+  body('interestRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Interest rate must be a percentage'),
+  body('compounding').optional().isIn(COMPOUNDING_OPTIONS).withMessage(`Compounding must be one of: ${COMPOUNDING_OPTIONS.join(', ')}`),
+  body('tenureMonths').optional().isInt({ min: 1, max: 1200 }).withMessage('Tenure must be a whole number of months'),
+  body('maturityDate').optional().isISO8601().withMessage('Invalid maturity date format'),
+];
+
+const transactionValidators = (optional) => [
+  (optional ? body('type').optional() : body('type'))
+    .isIn(['buy', 'sell', 'dividend', 'interest', 'fee', ...DEPOSIT_TYPES])
+    .withMessage('Type must be buy, sell, dividend, interest, fee, deposit or withdrawal'),
+  body('date').optional().isISO8601().withMessage('Invalid date format'),
+  body('units').optional().isFloat({ gt: 0 }).withMessage('Units must be a positive number'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('fees').optional().isFloat({ min: 0 }).withMessage('Fees must be a positive number'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('notes').optional().isString().withMessage('Notes must be text'),
+];
+
+const transactionFields = (body) => Object.fromEntries(
+  ['type', 'date', 'units', 'price', 'fees', 'amount', 'notes']
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+// Get a page of investments for user
+router.get('/', auth, [
+  ...paginationValidators(['purchaseDate', 'name', 'investedAmount', 'currentValue', 'createdAt']),
+], handleValidationErrors, async (req, res) => {
   try {
     const { type } = req.query;
     const query = { user: req.user.id };
     
     if (type) query.type = type;
 
-    const investments = await Investment.find(query).sort({ purchaseDate: -1 });
-    res.json(investments);
+    const page = await paginate(Investment, query, req.query, { defaultSort: '-purchaseDate' });
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Create investment with validation
+// Get the user's fixed deposits and PPF accounts by maturity date, with what
+// each will be worth (?days= for those maturing within that many days;
+// matured ones are included with ?includeMatured=true)
+router.get('/maturities', auth, [
+  query('days').optional().isInt({ min: 0 }).withMessage('Days must be a positive whole number'),
+  query('includeMatured').optional().isBoolean().withMessage('includeMatured must be true or false'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const now = new Date();
+    const from = req.query.includeMatured === 'true' ? null : now;
+    const until = req.query.days !== undefined
+      ? new Date(now.getTime() + parseInt(req.query.days) * 24 * 60 * 60 * 1000)
+      : null;
+
+    const maturities = await maturitySchedule(req.user.id, { from, until });
+    res.json(maturities);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Create investment with validation (units and price record the purchase as
+// the holding's first buy instead of a lump investedAmount). Fixed deposits
+// need an interest rate and a tenure or maturity date; their value and PPF's
+// are accrued from then on.
 router.post('/', auth, [
   body('name').trim().notEmpty().withMessage('Investment name is required'),
   body('type').isIn(['stock', 'mutual_fund', 'fd', 'ppf', 'nps', 'gold', 'real_estate', 'crypto', 'other']).withMessage('Invalid investment type'),
-  body('investedAmount').isFloat({ min: 0 }).withMessage('Invested amount must be a positive number'),
+  body('investedAmount').if(body('units').not().exists()).isFloat({ min: 0 }).withMessage('Invested amount must be a positive number'),
+  body('units').optional().isFloat({ gt: 0 }).withMessage('Units must be a positive number'),
+  body('price').if(body('units').exists()).isFloat({ min: 0 }).withMessage('Price is required with units'),
+  body('fees').optional().isFloat({ min: 0 }).withMessage('Fees must be a positive number'),
+  body('symbol').optional().isString().trim().isLength({ max: 32 }).withMessage('Symbol must be a ticker or scheme code'),
   body('currentValue').optional().isFloat({ min: 0 }).withMessage('Current value must be a positive number'),
   body('purchaseDate').optional().isISO8601().withMessage('Invalid date format'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Invalid currency'),
+  body('interestRate').if(body('type').equals('fd')).exists().withMessage('Fixed deposits need an interest rate'),
+  ...depositValidators,
 ], handleValidationErrors, async (req, res) => {
   try {
+    const { units, price, fees, ...body } = req.body;
+    const fields = withoutDerived(body);
+    if (!fields.currency) fields.currency = await userCurrency(req.user.id);
+    if (units === undefined) {
+      const investment = await syncInvestment(new Investment({
+        ...fields,
+        user: req.user.id
+      }));
+      return res.status(201).json(investment);
+    }
+
+    const purchaseDate = fields.purchaseDate || new Date();
     const investment = await Investment.create({
-      ...req.body,
+      ...fields,
+      investedAmount: 0,
+      purchaseDate,
       user: req.user.id
     });
+    await recordTransaction(investment, { type: 'buy', units, price, fees, date: purchaseDate });
+    // An explicit current value wins over the purchase price
+    if (fields.currentValue !== undefined) {
+      investment.currentValue = fields.currentValue;
+      await investment.save();
+    }
     res.status(201).json(investment);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Update investment with validation
+// Update investment with validation (accruing holdings are revalued for
+// their new terms)
 router.put('/:id', auth, [
   body('name').optional().trim().notEmpty().withMessage('Investment name cannot be empty'),
   body('type').optional().isIn(['stock', 'mutual_fund', 'fd', 'ppf', 'nps', 'gold', 'real_estate', 'crypto', 'other']).withMessage('Invalid investment type'),
   body('investedAmount').optional().isFloat({ min: 0 }).withMessage('Invested amount must be a positive number'),
+  body('symbol').optional().isString().trim().isLength({ max: 32 }).withMessage('Symbol must be a ticker or scheme code'),
   body('currentValue').optional().isFloat({ min: 0 }).withMessage('Current value must be a positive number'),
   body('purchaseDate').optional().isISO8601().withMessage('Invalid date format'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Invalid currency'),
+  ...depositValidators,
 ], handleValidationErrors, async (req, res) => {
   try {
-    const investment = await Investment.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      req.body,
-      { new: true }
-    );
-    if (!investment) {
-      return res.status(404).json({ error: 'Investment not found' });
+    const fields = withoutDerived(req.body);
+    const investment = await findInvestment(req);
+    if (fields.investedAmount !== undefined && investment.units != null) {
+      return res.status(400).json({ error: 'The invested amount of a holding with buys and sells comes from its transactions' });
     }
+    if (fields.investedAmount !== undefined
+      && await InvestmentTransaction.exists({ investment: investment._id, type: { $in: DEPOSIT_TYPES } })) {
+      return res.status(400).json({ error: 'The invested amount of a PPF account comes from its deposits and withdrawals' });
+    }
+    // Trades, lots and gains are recorded in the holding's currency
+    if (fields.currency && fields.currency !== (investment.currency || await userCurrency(req.user.id))
+      && await InvestmentTransaction.exists({ investment: investment._id })) {
+      return res.status(400).json({ error: 'The currency of a holding with transactions cannot be changed' });
+    }
+
+    investment.set(fields);
+    await syncInvestment(investment);
     res.json(investment);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Delete investment
+// Delete investment (with its transactions, valuations and SIPs)
 router.delete('/:id', auth, async (req, res) => {
   try {
     const investment = await Investment.findOneAndDelete({
@@ -81,10 +205,122 @@ router.delete('/:id', auth, async (req, res) => {
     if (!investment) {
       return res.status(404).json({ error: 'Investment not found' });
     }
+    await InvestmentTransaction.deleteMany({ investment: investment._id });
+    await InvestmentValuation.deleteMany({ investment: investment._id });
+    await Sip.deleteMany({ investment: investment._id });
     res.json({ message: 'Investment deleted' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Revalue the user's holdings now: pull prices for their symbols from the
+// configured provider and record today's valuations
+router.post('/revalue', auth, async (req, res) => {
+  try {
+    const investments = await Investment.find({ user: req.user.id });
+    const symbols = investments.map(i => i.symbol).filter(Boolean);
+
+    const now = new Date();
+    let prices = [];
+    if (symbols.length > 0) {
+      try {
+        prices = await syncPrices(symbols, now);
+      } catch (err) {
+        console.error(`Price provider failed: ${err.message}`);
+      }
+    }
+
+    let revalued = 0;
+    for (const investment of investments) {
+      if (await revalueInvestment(investment, now)) revalued += 1;
+    }
+    res.json({ message: 'Investments revalued', pricesFetched: prices.length, revalued, investments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a holding's daily valuations (optionally within a date range)
+router.get('/:id/valuations', auth, [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const investment = await findInvestment(req);
+    const query = { investment: investment._id };
+    if (req.query.startDate || req.query.endDate) {
+      query.date = {};
+      if (req.query.startDate) query.date.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) query.date.$lte = new Date(req.query.endDate);
+    }
+
+    const valuations = await InvestmentValuation.find(query).sort({ date: 1 }).limit(2000);
+    res.json(valuations);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get a page of a holding's buys, sells, dividends, interest and fees
+router.get('/:id/transactions', auth, [
+  ...paginationValidators(['date', 'amount', 'createdAt']),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const investment = await findInvestment(req);
+    const query = { investment: investment._id };
+    if (req.query.type) query.type = req.query.type;
+
+    const page = await paginate(InvestmentTransaction, query, req.query, { defaultSort: '-date' });
+    res.json(page);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Record a transaction with validation: buys and sells take units and a price
+// (plus optional fees), dividends, interest, fees, deposits and withdrawals an
+// amount. Sales use up the oldest lots first; PPF deposits and withdrawals
+// must keep to the scheme's yearly limit and lock-in.
+router.post('/:id/transactions', auth, transactionValidators(false), handleValidationErrors, async (req, res) => {
+  try {
+    const investment = await findInvestment(req);
+    const transaction = await recordTransaction(investment, transactionFields(req.body));
+    res.status(201).json({ transaction, investment });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Update a transaction with validation (rejected if a later sale would then be
+// for more units than were held)
+router.put('/:id/transactions/:transactionId', auth, transactionValidators(true), handleValidationErrors, async (req, res) => {
+  try {
+    const investment = await findInvestment(req);
+    const existing = await InvestmentTransaction.findOne({ _id: req.params.transactionId, investment: investment._id });
+    if (!existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const transaction = await updateTransaction(investment, existing, transactionFields(req.body));
+    res.json({ transaction, investment });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete a transaction
+router.delete('/:id/transactions/:transactionId', auth, async (req, res) => {
+  try {
+    const investment = await findInvestment(req);
+    const transaction = await InvestmentTransaction.findOne({ _id: req.params.transactionId, investment: investment._id });
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    await removeTransaction(investment, transaction);
+    res.json({ message: 'Transaction deleted', investment });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
@@ -1,16 +1,35 @@
 const express = require('express');
+const { validationResult } = require('express-validator');
 const router = express.Router();
 const Notification = require('../models/Notification');
 const auth = require('../middleware/auth');
+const { paginationValidators, paginate } = require('../utils/pagination');
 
-// Get all notifications for user
-router.get('/', auth, async (req, res) => {
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Get a page of notifications for user (?read=true|false to filter)
+router.get('/', auth, [
+  ...paginationValidators(['createdAt']),
+], handleValidationErrors, async (req, res) => {
   try {
-    const notifications = await Notification.find({ userId: req.user.id })
-      .sort({ createdAt: -1 })
-      .limit(50);
-    res.json(notifications);
+    const query = { userId: req.user.id };
+    if (req.query.read === 'true' || req.query.read === 'false') {
+      query.read = req.query.read === 'true';
+    }
+
+    const page = await paginate(Notification, query, req.query, { defaultSort: '-createdAt' });
+    res.json(page);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error('Error fetching notifications:', err);
     res.status(500).json({ error: 'Server error' });
   }
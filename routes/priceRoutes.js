@@ -0,0 +1,134 @@
+const express = require('express');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+const PriceHistory = require('../models/PriceHistory');
+const Investment = require('../models/Investment');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { upsertPrices, syncPrices } = require('../utils/prices');
+const { normalizeSymbol } = require('../utils/priceProviders');
+const { parseCSV } = require('../utils/importParsers');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Report upload problems (size limit, wrong field) as client errors
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+// Check one uploaded price, returning an error message or null
+const validatePrice = (p) => {
+  if (!p.symbol) return 'Symbol is required';
+  if (!(p.price > 0)) return `Invalid price: ${p.price}`;
+  if (isNaN(new Date(p.date).getTime())) return `Invalid date: ${p.date}`;
+  return null;
+};
+
+// Get stored prices (optionally for one symbol and date range)
+router.get('/', auth, [
+  query('symbol').optional().isString().withMessage('Symbol must be text'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { symbol, startDate, endDate } = req.query;
+    const query = {};
+
+    if (symbol) query.symbol = normalizeSymbol(symbol);
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const prices = await PriceHistory.find(query).sort({ date: -1 }).limit(1000);
+    res.json(prices);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload prices as JSON { prices: [...] } or a CSV file with symbol,date,price columns (admin only)
+router.post('/', auth, admin, uploadFile, async (req, res) => {
+  try {
+    let prices;
+    if (req.file) {
+      const [header, ...rows] = parseCSV(req.file.buffer.toString('utf8'));
+      const columns = header.map(h => h.trim().toLowerCase());
+      prices = rows.map(cells => columns.reduce((acc, col, i) => ({ ...acc, [col]: (cells[i] || '').trim() }), {}));
+    } else if (Array.isArray(req.body.prices)) {
+      prices = req.body.prices;
+    } else {
+      return res.status(400).json({ error: 'Provide a prices array or a CSV file' });
+    }
+
+    prices = prices.map(p => ({
+      symbol: normalizeSymbol(p.symbol),
+      price: parseFloat(p.price),
+      date: p.date
+    }));
+
+    const errors = prices
+      .map((p, index) => ({ row: index + 1, error: validatePrice(p) }))
+      .filter(e => e.error);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid prices', errors });
+    }
+
+    const result = await upsertPrices(prices, 'manual');
+    res.status(201).json({ message: 'Prices saved', count: prices.length, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pull prices from the configured provider (admin only). Without symbols,
+// every symbol anyone holds is synced.
+router.post('/sync', auth, admin, [
+  body('symbols').optional().isArray().withMessage('Symbols must be an array'),
+  body('date').optional().isISO8601().withMessage('Invalid date format'),
+  body('provider').optional().isString(),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+    const symbols = req.body.symbols || (await Investment.distinct('symbol')).filter(Boolean);
+    const prices = await syncPrices(symbols, date, req.body.provider);
+    res.json({ message: 'Prices synced', count: prices.length, prices });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete a stored price (admin only)
+router.delete('/:id', auth, admin, async (req, res) => {
+  try {
+    const price = await PriceHistory.findByIdAndDelete(req.params.id);
+    if (!price) {
+      return res.status(404).json({ error: 'Price not found' });
+    }
+    res.json({ message: 'Price deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
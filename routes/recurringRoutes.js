@@ -0,0 +1,359 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { dayKey, occurrenceDate, indexOnOrAfter, isOccurrence, hasEnded, upcomingOccurrences } = require('../utils/recurrence');
+const { processRule } = require('../jobs/recurringScheduler');
+const { resolveCategory } = require('../utils/categories');
+const { findActiveAccount, accountCurrency } = require('../utils/accounts');
+const { userCurrency } = require('../utils/currency');
+const { resolveSplits, primaryCategory } = require('../utils/splits');
+const { applyFundingRules, undoFundingRules } = require('../utils/goals');
+const CURRENCIES = require('../config/currencies');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Point the rule at its next occurrence and reopen or close it as needed
+const syncSchedule = (rule) => {
+  const nextDate = occurrenceDate(rule, rule.nextIndex);
+  if (hasEnded(rule, nextDate, rule.occurrenceCount)) {
+    rule.status = 'completed';
+    rule.nextDate = undefined;
+  } else {
+    if (rule.status === 'completed') rule.status = 'active';
+    rule.nextDate = nextDate;
+  }
+};
+
+const findRule = (req) => RecurringTransaction.findOne({ _id: req.params.id, user: req.user.id });
+
+// The account and currency a rule's transactions are recorded in. An account
+// fixes the currency to its own.
+const resolveAccount = async (userId, account, currency) => {
+  if (!account) return { account: undefined, currency: currency || await userCurrency(userId) };
+  const found = await findActiveAccount(userId, account);
+  return { account: found._id, currency: accountCurrency(found, currency) };
+};
+
+const occurrenceValidators = [
+  param('date').isISO8601().withMessage('Invalid occurrence date'),
+];
+
+// Get all recurring rules for user
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { user: req.user.id };
+
+    if (status) query.status = status;
+
+    const rules = await RecurringTransaction.find(query).sort({ nextDate: 1 });
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single recurring rule
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview upcoming occurrences
+router.get('/:id/upcoming', auth, [
+  query('count').optional().isInt({ min: 1, max: 100 }).withMessage('Count must be between 1 and 100'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+    if (rule.status === 'completed') {
+      return res.json([]);
+    }
+    res.json(upcomingOccurrences(rule, parseInt(req.query.count || 5)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create recurring rule with validation
+router.post('/', auth, [
+  body('type').isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+  body('category').trim().notEmpty().withMessage('Category is required'),
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('frequency').isIn(['daily', 'weekly', 'monthly', 'yearly']).withMessage('Frequency must be daily, weekly, monthly or yearly'),
+  body('interval').optional().isInt({ min: 1 }).withMessage('Interval must be a positive integer'),
+  body('startDate').isISO8601().withMessage('Invalid start date format'),
+  body('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  body('occurrences').optional().isInt({ min: 1 }).withMessage('Occurrences must be a positive integer'),
+  body('account').optional().isMongoId().withMessage('Invalid account'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Invalid currency'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (req.body.endDate && new Date(req.body.endDate) < new Date(req.body.startDate)) {
+      return res.status(400).json({ error: 'End date must be after start date' });
+    }
+
+    const category = await resolveCategory(req.user.id, req.body.category, req.body.type);
+    const { account, currency } = await resolveAccount(req.user.id, req.body.account, req.body.currency);
+
+    const rule = new RecurringTransaction({
+      type: req.body.type,
+      category: category.name,
+      amount: req.body.amount,
+      description: req.body.description,
+      account,
+      currency,
+      frequency: req.body.frequency,
+      interval: req.body.interval,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      occurrences: req.body.occurrences,
+      user: req.user.id
+    });
+    syncSchedule(rule);
+    await rule.save();
+
+    // Materialize anything already due (e.g. a start date in the past)
+    if (rule.status === 'active' && rule.nextDate <= new Date()) {
+      await processRule(rule);
+    }
+
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Update recurring rule; changes apply to occurrences not yet created
+router.put('/:id', auth, [
+  body('type').optional().isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+  body('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('frequency').optional().isIn(['daily', 'weekly', 'monthly', 'yearly']).withMessage('Frequency must be daily, weekly, monthly or yearly'),
+  body('interval').optional().isInt({ min: 1 }).withMessage('Interval must be a positive integer'),
+  body('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  body('endDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid end date format'),
+  body('occurrences').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Occurrences must be a positive integer'),
+  body('account').optional({ values: 'null' }).isMongoId().withMessage('Invalid account'),
+  body('currency').optional({ values: 'null' }).isIn(CURRENCIES).withMessage('Invalid currency'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+
+    const fields = ['type', 'category', 'amount', 'description', 'frequency', 'interval', 'startDate', 'endDate', 'occurrences'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    if (rule.isModified('category') || rule.isModified('type')) {
+      rule.category = (await resolveCategory(req.user.id, rule.category, rule.type)).name;
+    }
+
+    // A new account brings its own currency unless one is given
+    if (req.body.account !== undefined || req.body.currency !== undefined) {
+      const account = req.body.account !== undefined ? req.body.account : rule.account;
+      const currency = req.body.currency !== undefined
+        ? req.body.currency
+        : (req.body.account !== undefined ? undefined : rule.currency);
+      Object.assign(rule, await resolveAccount(req.user.id, account, currency || undefined));
+    }
+
+    // A new schedule resumes after the last occurrence already created
+    if (rule.isModified('frequency') || rule.isModified('interval') || rule.isModified('startDate')) {
+      rule.nextIndex = rule.lastOccurrenceDate
+        ? indexOnOrAfter(rule, new Date(rule.lastOccurrenceDate.getTime() + DAY_MS))
+        : 0;
+    }
+
+    if (rule.status !== 'paused') syncSchedule(rule);
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Pause a recurring rule
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+    if (rule.status !== 'active') {
+      return res.status(400).json({ error: `Cannot pause a ${rule.status} recurring transaction` });
+    }
+
+    rule.status = 'paused';
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a paused rule; occurrences that fell due while paused are not created
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+    if (rule.status !== 'paused') {
+      return res.status(400).json({ error: 'Recurring transaction is not paused' });
+    }
+
+    // Occurrences passed over while paused still count towards `occurrences`
+    const nextIndex = Math.max(rule.nextIndex, indexOnOrAfter(rule, new Date()));
+    rule.occurrenceCount += nextIndex - rule.nextIndex;
+    rule.nextIndex = nextIndex;
+    rule.status = 'active';
+    syncSchedule(rule);
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Skip a single upcoming occurrence
+router.post('/:id/occurrences/:date/skip', auth, occurrenceValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+    if (!isOccurrence(rule, req.params.date)) {
+      return res.status(400).json({ error: 'Date is not an occurrence of this recurring transaction' });
+    }
+
+    const date = occurrenceDate(rule, indexOnOrAfter(rule, req.params.date));
+    const existing = await Transaction.findOne({ recurring: rule._id, occurrenceDate: date });
+    if (existing) {
+      return res.status(400).json({ error: 'Occurrence has already been created; delete the transaction instead' });
+    }
+
+    rule.exceptions = rule.exceptions.filter(e => dayKey(e.date) !== dayKey(date));
+    rule.exceptions.push({ date, action: 'skip' });
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit a single occurrence (updates the transaction if it was already created)
+router.put('/:id/occurrences/:date', auth, [
+  ...occurrenceValidators,
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+    if (!isOccurrence(rule, req.params.date)) {
+      return res.status(400).json({ error: 'Date is not an occurrence of this recurring transaction' });
+    }
+
+    const date = occurrenceDate(rule, indexOnOrAfter(rule, req.params.date));
+    const { amount, description } = req.body;
+    const category = req.body.category
+      ? (await resolveCategory(req.user.id, req.body.category, rule.type)).name
+      : undefined;
+
+    const existing = await Transaction.findOne({ recurring: rule._id, occurrenceDate: date, user: req.user.id });
+    if (existing) {
+      // A created occurrence that has since been split keeps its lines adding up
+      const fields = { amount, category, description };
+      if (existing.splits && existing.splits.length > 0) {
+        if (category) {
+          return res.status(400).json({ error: 'Split transactions take their categories from the split lines' });
+        }
+        if (amount !== undefined) {
+          fields.splits = await resolveSplits(req.user.id, existing.splits, amount, existing.type);
+          fields.category = primaryCategory(fields.splits);
+        }
+      }
+
+      const transaction = await Transaction.findOneAndUpdate({ _id: existing._id }, fields, { new: true });
+      if (amount !== undefined || category) {
+        await undoFundingRules([transaction._id]);
+        await applyFundingRules(transaction);
+      }
+      return res.json({ transaction });
+    }
+
+    rule.exceptions = rule.exceptions.filter(e => dayKey(e.date) !== dayKey(date));
+    rule.exceptions.push({ date, action: 'modify', amount, category, description });
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Remove a skip or edit from a single occurrence
+router.delete('/:id/occurrences/:date', auth, occurrenceValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+
+    const before = rule.exceptions.length;
+    rule.exceptions = rule.exceptions.filter(e => dayKey(e.date) !== dayKey(req.params.date));
+    if (rule.exceptions.length === before) {
+      return res.status(404).json({ error: 'No exception found for this occurrence' });
+    }
+
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete recurring rule (transactions already created are kept)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await RecurringTransaction.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+    res.json({ message: 'Recurring transaction deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,19 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { query, validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const Investment = require('../models/Investment');
+const InvestmentTransaction = require('../models/InvestmentTransaction');
+const InvestmentValuation = require('../models/InvestmentValuation');
 const auth = require('../middleware/auth');
+const { toMonthKey, addMonths, monthRange, getBudgetReport } = require('../utils/budgets');
+const { EXPORT_FORMATS, resolveExportFormat, sendExport } = require('../utils/exporters');
+const { createUserConverter } = require('../utils/currency');
+const { filterValidators, buildTransactionFilter } = require('../utils/filters');
+const { getParentNames, rollUpByParent } = require('../utils/categories');
+const { splitLines } = require('../utils/splits');
+const { valueHolding, portfolioPerformance } = require('../utils/investments');
+const { PERIODS, periodStart } = require('../utils/returns');
 
 const router = express.Router();
 
@@ -15,181 +26,525 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Get summary report with date validation
+const formatValidator = query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv, xlsx or json');
+
+// Get summary report with filter validation (?format=csv|xlsx|json downloads an export)
 router.get('/summary', auth, [
-  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
-  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  ...filterValidators,
+  formatValidator,
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
-    const query = { user: req.user.id };
-
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
-    }
+    // Transfers only move money between accounts, so they never count as income or expense
+    const query = {
+      user: req.user.id,
+      type: { $in: ['income', 'expense'] },
+      ...await buildTransactionFilter(req.user.id, req.query)
+    };
 
     // Get transactions
     const transactions = await Transaction.find(query);
+    const converter = await createUserConverter(req.user.id);
+
+    // Calculate totals and category breakdown in the user's base currency,
+    // at the rate for each transaction's date
+    let income = 0;
+    let expenses = 0;
+    const categoryBreakdown = {};
 
-    // Calculate totals
-    const income = transactions
-      .filter(t => t.type === 'income')
-      .reduce((sum, t) => sum + t.amount, 0);
+    for (const t of transactions) {
+      const amount = await converter.convert(t.amount, t.currency, t.date);
+      if (amount === null) continue;
 
-    const expenses = transactions
-      .filter(t => t.type === 'expense')
-      .reduce((sum, t) => sum + t.amount, 0);
+      if (t.type === 'income') {
+        income += amount;
+      } else if (t.type === 'expense') {
+        expenses += amount;
+        // Split transactions count each line in its own category
+        for (const line of splitLines(t)) {
+          const lineAmount = await converter.convert(line.amount, t.currency, t.date);
+          categoryBreakdown[line.category] = (categoryBreakdown[line.category] || 0) + lineAmount;
+        }
+      }
+    }
 
     const balance = income - expenses;
+    const parentBreakdown = rollUpByParent(categoryBreakdown, await getParentNames(req.user.id));
 
-    // Get category breakdown
-    const categoryBreakdown = transactions.reduce((acc, t) => {
-      if (t.type === 'expense') {
-        acc[t.category] = (acc[t.category] || 0) + t.amount;
-      }
-      return acc;
-    }, {});
+    const format = resolveExportFormat(req);
+    if (format) {
+      const currency = converter.baseCurrency;
+      return await sendExport(res, {
+        format,
+        filename: 'summary',
+        sheetName: 'Summary',
+        columns: [
+          { key: 'section', header: 'Section', value: r => r.section },
+          { key: 'name', header: 'Name', value: r => r.name },
+          { key: 'amount', header: `Amount (${currency})`, value: r => r.amount }
+        ],
+        rows: [
+          { section: 'Totals', name: 'Income', amount: income },
+          { section: 'Totals', name: 'Expenses', amount: expenses },
+          { section: 'Totals', name: 'Balance', amount: balance },
+          ...Object.entries(categoryBreakdown).map(([name, amount]) => ({ section: 'Expenses by category', name, amount })),
+          ...parentBreakdown.map(({ category, amount }) => ({ section: 'Expenses by parent category', name: category, amount }))
+        ]
+      });
+    }
 
     res.json({
       income,
       expenses,
       balance,
       categoryBreakdown,
-      transactionCount: transactions.length
+      parentBreakdown,
+      transactionCount: transactions.length,
+      currency: converter.baseCurrency,
+      ratesUsed: converter.ratesUsed(),
+      missingRates: converter.missingRates()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (res.headersSent) return res.end();
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Get investment summary
-router.get('/investments', auth, async (req, res) => {
+// Get investment summary with realized and unrealized returns reported
+// separately (?format=csv|xlsx|json downloads the holdings)
+router.get('/investments', auth, [
+  formatValidator,
+], handleValidationErrors, async (req, res) => {
   try {
-    const investments = await Investment.find({ user: req.user.id });
+    const converter = await createUserConverter(req.user.id);
+
+    // Lots convert at their purchase dates, realized amounts at the dates they
+    // happened and current values at today's rate
+    const convertInvestment = async (i, transactions) => ({
+      ...(i.toObject ? i.toObject() : i),
+      ...(await valueHolding(i, transactions, converter))
+    });
+
+    const format = resolveExportFormat(req);
+    if (format) {
+      const currency = converter.baseCurrency;
+      const cursor = Investment.find({ user: req.user.id }).sort({ purchaseDate: -1 }).lean().cursor();
+      return await sendExport(res, {
+        format,
+        filename: 'investments',
+        sheetName: 'Investments',
+        columns: [
+          { key: 'name', header: 'Name', value: i => i.name, width: 30 },
+          { key: 'type', header: 'Type', value: i => i.type },
+          { key: 'purchaseDate', header: 'Purchase Date', value: i => i.purchaseDate },
+          { key: 'units', header: 'Units', value: i => i.units },
+          { key: 'invested', header: `Invested (${currency})`, value: i => i.invested },
+          { key: 'currentValue', header: `Current Value (${currency})`, value: i => i.currentValue },
+          { key: 'unrealizedReturns', header: `Unrealized Returns (${currency})`, value: i => i.unrealizedReturns },
+          { key: 'realizedReturns', header: `Realized Returns (${currency})`, value: i => i.realizedReturns },
+          { key: 'notes', header: 'Notes', value: i => i.notes, width: 40 }
+        ],
+        rows: (async function* () {
+          for await (const i of cursor) {
+            yield convertInvestment(i, await InvestmentTransaction.find({ investment: i._id }).lean());
+          }
+        })()
+      });
+    }
+
+    const transactions = await InvestmentTransaction.find({ user: req.user.id }).lean();
+    const byInvestment = new Map();
+    for (const t of transactions) {
+      const key = t.investment.toString();
+      if (!byInvestment.has(key)) byInvestment.set(key, []);
+      byInvestment.get(key).push(t);
+    }
 
-    const totalInvested = investments.reduce((sum, i) => sum + i.investedAmount, 0);
-    const totalCurrentValue = investments.reduce((sum, i) => sum + (i.currentValue || 0), 0);
-    const totalReturns = totalCurrentValue - totalInvested;
+    // Holdings with a figure that can't be converted are left out of the
+    // totals and listed with the reason instead
+    const investments = [];
+    const excluded = [];
+    for (const i of await Investment.find({ user: req.user.id })) {
+      const converted = await convertInvestment(i, byInvestment.get(i._id.toString()) || []);
+      if (converted.unrealizedReturns !== null && converted.realizedReturns !== null) {
+        investments.push(converted);
+      } else {
+        excluded.push({ _id: i._id, name: i.name, type: i.type, reason: 'Missing exchange rate' });
+      }
+    }
+
+    const sum = (field) => Math.round(investments.reduce((total, i) => total + i[field], 0) * 100) / 100;
+    const totalInvested = sum('invested');
+    const totalCurrentValue = sum('currentValue');
+    const totalUnrealizedReturns = sum('unrealizedReturns');
+    const totalRealizedReturns = sum('realizedReturns');
 
     const byType = investments.reduce((acc, i) => {
+      const group = acc[i.type] || { count: 0, invested: 0, currentValue: 0, unrealizedReturns: 0, realizedReturns: 0 };
       acc[i.type] = {
-        count: (acc[i.type]?.count || 0) + 1,
-        invested: (acc[i.type]?.invested || 0) + i.investedAmount,
-        currentValue: (acc[i.type]?.currentValue || 0) + (i.currentValue || 0)
+        count: group.count + 1,
+        invested: group.invested + i.invested,
+        currentValue: group.currentValue + i.currentValue,
+        unrealizedReturns: group.unrealizedReturns + i.unrealizedReturns,
+        realizedReturns: group.realizedReturns + i.realizedReturns
       };
       return acc;
     }, {});
 
+    // Money-weighted return over all time, which unlike totalReturns accounts
+    // for when money went in
+    const { portfolio } = await portfolioPerformance(req.user.id, {}, converter);
+
     res.json({
       totalInvested,
       totalCurrentValue,
-      totalReturns,
+      totalReturns: Math.round((totalUnrealizedReturns + totalRealizedReturns) * 100) / 100,
+      totalUnrealizedReturns,
+      totalRealizedReturns,
+      realized: {
+        gains: sum('realizedGains'),
+        income: sum('income'),
+        fees: sum('fees')
+      },
+      xirr: portfolio ? portfolio.xirr : null,
+      cagr: portfolio ? portfolio.cagr : null,
       byType,
-      investmentCount: investments.length
+      investmentCount: investments.length,
+      excluded,
+      currency: converter.baseCurrency,
+      ratesUsed: converter.ratesUsed(),
+      missingRates: converter.missingRates()
     });
   } catch (error) {
+    if (res.headersSent) return res.end();
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get monthly spending report
-router.get('/monthly', auth, async (req, res) => {
+// Get XIRR, CAGR and holding period per holding, per type and for the whole
+// portfolio over a period (?period=all|ytd|1m|3m|6m|1y|3y|5y, or startDate and
+// endDate). Holdings held before the period start from their valuation then.
+router.get('/investments/performance', auth, [
+  query('period').optional().isIn(PERIODS).withMessage(`Period must be one of: ${PERIODS.join(', ')}`),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+], handleValidationErrors, async (req, res) => {
   try {
-    const { months = 6 } = req.query;
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - parseInt(months));
-    
-    const transactions = await Transaction.find({
-      user: req.user.id,
-      type: 'expense',
-      date: { $gte: startDate }
-    }).sort({ date: 1 });
-    
-    // Group by month
-    const monthlyData = transactions.reduce((acc, t) => {
-      const monthKey = new Date(t.date).toLocaleString('default', { month: 'short', year: '2-digit' });
-      acc[monthKey] = (acc[monthKey] || 0) + t.amount;
-      return acc;
-    }, {});
-    
-    // Get last 6 months with real data only
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const currentMonth = new Date().getMonth();
-    const currentYear = new Date().getFullYear();
-    const last6Months = [];
-    
-    for (let i = 5; i >= 0; i--) {
-      let monthIndex = currentMonth - i;
-      let year = currentYear;
-      
-      if (monthIndex < 0) {
-        monthIndex += 12;
-        year -= 1;
-      }
-      
-      const monthKey = `${monthNames[monthIndex]}'${year.toString().slice(-2)}`;
-      const actual = monthlyData[monthKey] || 0;
-      
-      // Only include months with actual spending
-      if (actual > 0) {
-        last6Months.push({
-          month: monthNames[monthIndex],
-          actual: actual,
-          budget: 10000 // Default budget
-        });
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const period = req.query.startDate ? 'custom' : (req.query.period || 'all');
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : periodStart(period, endDate);
+    if (startDate && startDate >= endDate) {
+      return res.status(400).json({ error: 'Start date must be before end date' });
+    }
+
+    const converter = await createUserConverter(req.user.id);
+    const result = await portfolioPerformance(req.user.id, { startDate, endDate }, converter);
+    res.json({
+      period,
+      startDate,
+      endDate,
+      currency: converter.baseCurrency,
+      ...result,
+      ratesUsed: converter.ratesUsed(),
+      missingRates: converter.missingRates()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get portfolio value over time from the daily valuations (?interval=day|week|month,
+// startDate and endDate; the last 90 days by default). Each period uses each
+// holding's last valuation in it, converted at that day's rate.
+router.get('/investments/history', auth, [
+  query('interval').optional().isIn(['day', 'week', 'month']).withMessage('Interval must be day, week or month'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - 90 * 24 * 60 * 60 * 1000);
+
+    const rows = await InvestmentValuation.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(req.user.id), date: { $gte: startDate, $lte: endDate } } },
+      { $sort: { date: 1 } },
+      {
+        $group: {
+          _id: {
+            investment: '$investment',
+            period: { $dateTrunc: { date: '$date', unit: interval, startOfWeek: 'monday' } }
+          },
+          date: { $last: '$date' },
+          value: { $last: '$value' },
+          invested: { $last: '$invested' },
+          currency: { $last: '$currency' }
+        }
+      },
+      { $sort: { '_id.period': 1 } }
+    ]);
+
+    const types = new Map((await Investment.find({ user: req.user.id }).select('type'))
+      .map(i => [i._id.toString(), i.type]));
+    const converter = await createUserConverter(req.user.id);
+
+    const points = [];
+    for (const row of rows) {
+      let point = points[points.length - 1];
+      if (!point || point.period.getTime() !== row._id.period.getTime()) {
+        point = { period: row._id.period, value: 0, invested: 0, byType: {} };
+        points.push(point);
       }
+
+      const value = await converter.convert(row.value, row.currency, row.date);
+      const invested = await converter.convert(row.invested || 0, row.currency, row.date);
+      if (value === null || invested === null) continue;
+
+      const type = types.get(row._id.investment.toString()) || 'other';
+      point.value = Math.round((point.value + value) * 100) / 100;
+      point.invested = Math.round((point.invested + invested) * 100) / 100;
+      point.byType[type] = Math.round(((point.byType[type] || 0) + value) * 100) / 100;
     }
-    
-    // If no data, return empty array
-    if (last6Months.length === 0) {
-      return res.json([]);
+
+    res.json({
+      interval,
+      startDate,
+      endDate,
+      points,
+      currency: converter.baseCurrency,
+      ratesUsed: converter.ratesUsed(),
+      missingRates: converter.missingRates()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get monthly spending report with budget vs actual figures (filters narrow the spending side)
+router.get('/monthly', auth, [
+  query('months').optional().isInt({ min: 1, max: 24 }).withMessage('Months must be between 1 and 24'),
+  ...filterValidators,
+], handleValidationErrors, async (req, res) => {
+  try {
+    const filter = await buildTransactionFilter(req.user.id, req.query);
+    const months = parseInt(req.query.months || 6);
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const currentMonth = toMonthKey(new Date());
+
+    const monthKeys = [];
+    for (let i = months - 1; i >= 0; i--) {
+      monthKeys.push(addMonths(currentMonth, -i));
     }
-    
-    res.json(last6Months);
+
+    const report = await getBudgetReport(req.user.id, monthKeys, null, filter);
+
+    // Only include months with spending or a budget to compare against
+    const monthlyData = monthKeys
+      .map(key => {
+        const { totals, categories } = report[key];
+        return {
+          month: monthNames[parseInt(key.split('-')[1]) - 1],
+          monthKey: key,
+          actual: totals.spent,
+          budget: totals.budget,
+          spent: totals.spent,
+          remaining: totals.remaining,
+          percentUsed: totals.percentUsed,
+          categories
+        };
+      })
+      .filter(m => m.actual > 0 || m.budget > 0);
+
+    res.json(monthlyData);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Get category breakdown
-router.get('/categories', auth, async (req, res) => {
+// Get category breakdown with budget figures for the month (filters narrow the breakdown)
+router.get('/categories', auth, [
+  query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+  ...filterValidators,
+  formatValidator,
+], handleValidationErrors, async (req, res) => {
   try {
     const { month } = req.query;
-    const query = { user: req.user.id, type: 'expense' };
+    const query = {
+      user: req.user.id,
+      type: 'expense',
+      ...await buildTransactionFilter(req.user.id, req.query)
+    };
     
     if (month) {
-      const startOfMonth = new Date(month + '-01');
-      const endOfMonth = new Date(startOfMonth.getFullYear(), startOfMonth.getMonth() + 1, 0);
-      query.date = { $gte: startOfMonth, $lte: endOfMonth };
+      const { start, end } = monthRange(month);
+      query.date = { $gte: start, $lte: end };
     }
     
     const transactions = await Transaction.find(query);
+    const converter = await createUserConverter(req.user.id);
     
-    const categoryBreakdown = transactions.reduce((acc, t) => {
-      acc[t.category] = {
-        amount: (acc[t.category]?.amount || 0) + t.amount,
-        count: (acc[t.category]?.count || 0) + 1
-      };
+    const categoryBreakdown = {};
+    for (const t of transactions) {
+      for (const line of splitLines(t)) {
+        const amount = await converter.convert(line.amount, t.currency, t.date);
+        if (amount === null) continue;
+        categoryBreakdown[line.category] = {
+          amount: (categoryBreakdown[line.category]?.amount || 0) + amount,
+          count: (categoryBreakdown[line.category]?.count || 0) + 1
+        };
+      }
+    }
+    
+    // Budget figures are always for a single month (current month if none given)
+    const budgetMonth = month || toMonthKey(new Date());
+    const budgetReport = (await getBudgetReport(req.user.id, [budgetMonth], converter))[budgetMonth];
+    const budgetLines = budgetReport.categories.reduce((acc, line) => {
+      acc[line.category] = line;
       return acc;
     }, {});
-    
+
+    // Include budgeted categories with no spending yet
+    budgetReport.categories.forEach(line => {
+      if (!categoryBreakdown[line.category]) {
+        categoryBreakdown[line.category] = { amount: 0, count: 0 };
+      }
+    });
+
     // Calculate percentages
     const total = Object.values(categoryBreakdown).reduce((sum, cat) => sum + cat.amount, 0);
     
+    const parentNames = await getParentNames(req.user.id);
+    const budgetFigures = (category) => {
+      const line = budgetLines[category];
+      return {
+        budget: line ? line.budget : null,
+        spent: budgetReport.spentByCategory[category] || 0,
+        remaining: line ? line.remaining : null,
+        percentUsed: line ? line.percentUsed : null
+      };
+    };
+
     const result = Object.entries(categoryBreakdown).map(([category, data]) => ({
       category,
+      parent: parentNames[category] || category,
       amount: data.amount,
-      percentage: total > 0 ? Math.round((data.amount / total) * 100) : 0
+      percentage: total > 0 ? Math.round((data.amount / total) * 100) : 0,
+      ...budgetFigures(category)
+    }));
+
+    // The same breakdown rolled up into top-level categories
+    const amounts = Object.fromEntries(Object.entries(categoryBreakdown).map(([category, data]) => [category, data.amount]));
+    const parents = rollUpByParent(amounts, parentNames).map(group => ({
+      ...group,
+      percentage: total > 0 ? Math.round((group.amount / total) * 100) : 0,
+      ...budgetFigures(group.category)
     }));
     
+    const format = resolveExportFormat(req);
+    if (format) {
+      const currency = converter.baseCurrency;
+      return await sendExport(res, {
+        format,
+        filename: 'categories',
+        sheetName: 'Categories',
+        columns: [
+          { key: 'category', header: 'Category', value: c => c.category },
+          { key: 'parent', header: 'Parent Category', value: c => c.parent },
+          { key: 'amount', header: `Amount (${currency})`, value: c => c.amount },
+          { key: 'percentage', header: 'Percentage', value: c => c.percentage },
+          { key: 'budget', header: `Budget (${currency})`, value: c => c.budget },
+          { key: 'spent', header: `Spent ${budgetMonth} (${currency})`, value: c => c.spent },
+          { key: 'remaining', header: `Remaining (${currency})`, value: c => c.remaining },
+          { key: 'percentUsed', header: 'Percent Used', value: c => c.percentUsed }
+        ],
+        rows: result
+      });
+    }
+
     res.json({
       categories: result,
-      total
+      parents,
+      total,
+      budgetMonth,
+      overall: budgetReport.overall,
+      currency: converter.baseCurrency,
+      ratesUsed: converter.ratesUsed(),
+      missingRates: converter.missingRates()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (res.headersSent) return res.end();
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get income and spending by tag with filter validation (?format=csv|xlsx|json downloads an export)
+router.get('/tags', auth, [
+  ...filterValidators,
+  formatValidator,
+], handleValidationErrors, async (req, res) => {
+  try {
+    const query = {
+      user: req.user.id,
+      type: { $in: ['income', 'expense'] },
+      ...await buildTransactionFilter(req.user.id, req.query)
+    };
+
+    const transactions = await Transaction.find(query).select('type amount currency date tags');
+    const converter = await createUserConverter(req.user.id);
+
+    // A transaction counts in full under each of its tags
+    const byTag = {};
+    const untagged = { income: 0, expenses: 0, count: 0 };
+    for (const t of transactions) {
+      const amount = await converter.convert(t.amount, t.currency, t.date);
+      if (amount === null) continue;
+
+      const groups = t.tags && t.tags.length > 0
+        ? t.tags.map(tag => {
+          byTag[tag] = byTag[tag] || { tag, income: 0, expenses: 0, count: 0 };
+          return byTag[tag];
+        })
+        : [untagged];
+      for (const group of groups) {
+        if (t.type === 'income') group.income += amount;
+        else group.expenses += amount;
+        group.count += 1;
+      }
+    }
+
+    const tags = Object.values(byTag)
+      .map(group => ({ ...group, net: group.income - group.expenses }))
+      .sort((a, b) => b.expenses - a.expenses || a.tag.localeCompare(b.tag));
+
+    const format = resolveExportFormat(req);
+    if (format) {
+      const currency = converter.baseCurrency;
+      return await sendExport(res, {
+        format,
+        filename: 'tags',
+        sheetName: 'Tags',
+        columns: [
+          { key: 'tag', header: 'Tag', value: g => g.tag },
+          { key: 'income', header: `Income (${currency})`, value: g => g.income },
+          { key: 'expenses', header: `Expenses (${currency})`, value: g => g.expenses },
+          { key: 'net', header: `Net (${currency})`, value: g => g.net },
+          { key: 'count', header: 'Transactions', value: g => g.count }
+        ],
+        rows: tags
+      });
+    }
+
+    res.json({
+      tags,
+      untagged: { ...untagged, net: untagged.income - untagged.expenses },
+      currency: converter.baseCurrency,
+      ratesUsed: converter.ratesUsed(),
+      missingRates: converter.missingRates()
+    });
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
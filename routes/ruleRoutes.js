@@ -0,0 +1,217 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const CategorizationRule = require('../models/CategorizationRule');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { filterValidators, buildTransactionFilter } = require('../utils/filters');
+const { ruleQuery, changesFor, validateRule, reapplyRules } = require('../utils/rules');
+
+const router = express.Router();
+
+const DEFAULT_PREVIEW_LIMIT = 20;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Shape checks shared by create, update and preview; validateRule does the rest
+const ruleValidators = [
+  body('conditions').optional().isObject().withMessage('Conditions must be an object'),
+  body('conditions.descriptionContains').optional().isString().withMessage('descriptionContains must be text'),
+  body('conditions.descriptionRegex').optional().isString().withMessage('descriptionRegex must be text'),
+  body('conditions.minAmount').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be a positive number'),
+  body('conditions.maxAmount').optional().isFloat({ min: 0 }).withMessage('Maximum amount must be a positive number'),
+  body('conditions.account').optional().isMongoId().withMessage('Invalid account'),
+  body('conditions.type').optional().isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+  body('actions').optional().isObject().withMessage('Actions must be an object'),
+  body('actions.category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
+  body('actions.payee').optional().isString().withMessage('Payee must be text'),
+  body('actions.tags').optional().isArray().withMessage('Tags must be an array'),
+];
+
+const previewLimit = query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100');
+
+// Past transactions a rule matches, with what applying it would change
+const previewRule = async (userId, rule, limit) => {
+  const filter = ruleQuery(userId, rule);
+  const [matched, transactions] = await Promise.all([
+    Transaction.countDocuments(filter),
+    Transaction.find(filter).sort({ date: -1 }).limit(limit).lean()
+  ]);
+
+  const { category, payee, tags = [] } = rule.actions;
+  return {
+    matched,
+    transactions: transactions.map(txn => ({
+      _id: txn._id,
+      date: txn.date,
+      description: txn.description,
+      amount: txn.amount,
+      type: txn.type,
+      category: txn.category,
+      payee: txn.payee,
+      tags: txn.tags || [],
+      changes: changesFor(txn, { category, payee, tags })
+    }))
+  };
+};
+
+// Get all rules for user in the order they run
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await CategorizationRule.find({ user: req.user.id }).sort({ priority: 1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create rule with validation (new rules run after existing ones by default)
+router.post('/', auth, [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be true or false'),
+  ...ruleValidators,
+], handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await validateRule(req.user.id, {
+      conditions: { ...req.body.conditions },
+      actions: { ...req.body.actions }
+    });
+
+    let priority = req.body.priority;
+    if (priority === undefined) {
+      const last = await CategorizationRule.findOne({ user: req.user.id }).sort({ priority: -1 });
+      priority = last ? last.priority + 1 : 1;
+    }
+
+    const created = await CategorizationRule.create({
+      ...rule,
+      name: req.body.name,
+      priority,
+      enabled: req.body.enabled,
+      user: req.user.id
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Set the run order: ids lists every rule, highest priority first
+router.put('/order', auth, [
+  body('ids').isArray({ min: 1 }).withMessage('ids must list the rules in order'),
+  body('ids.*').isMongoId().withMessage('Invalid rule id'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const rules = await CategorizationRule.find({ user: req.user.id }).select('_id');
+    const ids = req.body.ids.map(String);
+    const known = new Set(rules.map(r => r._id.toString()));
+    if (new Set(ids).size !== ids.length || ids.length !== known.size || !ids.every(id => known.has(id))) {
+      return res.status(400).json({ error: 'ids must list each of your rules exactly once' });
+    }
+
+    await CategorizationRule.bulkWrite(ids.map((id, index) => ({
+      updateOne: { filter: { _id: id, user: req.user.id }, update: { priority: index + 1 } }
+    })));
+    const ordered = await CategorizationRule.find({ user: req.user.id }).sort({ priority: 1 });
+    res.json(ordered);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test an unsaved rule against past transactions
+router.post('/preview', auth, [previewLimit, ...ruleValidators], handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await validateRule(req.user.id, {
+      conditions: { ...req.body.conditions },
+      actions: { ...req.body.actions }
+    });
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_PREVIEW_LIMIT;
+    res.json(await previewRule(req.user.id, rule, limit));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Re-apply all enabled rules to past transactions (filters narrow which ones;
+// ?dryRun=true only counts what would change)
+router.post('/apply', auth, [
+  ...filterValidators,
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const filter = await buildTransactionFilter(req.user.id, req.query);
+    const result = await reapplyRules(req.user.id, { filter, dryRun: req.query.dryRun === 'true' });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Test a saved rule against past transactions
+router.get('/:id/preview', auth, [previewLimit], handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await CategorizationRule.findOne({ _id: req.params.id, user: req.user.id }).lean();
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_PREVIEW_LIMIT;
+    res.json(await previewRule(req.user.id, rule, limit));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Update rule with validation (conditions and actions are replaced as a whole)
+router.put('/:id', auth, [
+  body('name').optional().trim().notEmpty().withMessage('Rule name cannot be empty'),
+  body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be true or false'),
+  ...ruleValidators,
+], handleValidationErrors, async (req, res) => {
+  try {
+    const existing = await CategorizationRule.findOne({ _id: req.params.id, user: req.user.id });
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const rule = await validateRule(req.user.id, {
+      conditions: { ...(req.body.conditions || existing.toObject().conditions) },
+      actions: { ...(req.body.actions || existing.toObject().actions) }
+    });
+
+    existing.set({
+      conditions: rule.conditions,
+      actions: rule.actions,
+      ...(req.body.name !== undefined && { name: req.body.name }),
+      ...(req.body.priority !== undefined && { priority: req.body.priority }),
+      ...(req.body.enabled !== undefined && { enabled: req.body.enabled })
+    });
+    await existing.save();
+    res.json(existing);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete rule
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await CategorizationRule.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ message: 'Rule deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const Goal = require('../models/Goal');
+const Investment = require('../models/Investment');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const { searchTerms, highlightFields } = require('../utils/search');
+
+const router = express.Router();
+
+// Searchable collections: who owns a document, which fields the text index
+// covers (and get highlighted) and what each result shows
+const ENTITIES = {
+  transactions: {
+    model: Transaction,
+    owner: 'user',
+    fields: ['description', 'category'],
+    summary: t => ({ type: t.type, category: t.category, description: t.description, amount: t.amount, currency: t.currency, date: t.date })
+  },
+  goals: {
+    model: Goal,
+    owner: 'user',
+    fields: ['name'],
+    summary: g => ({ name: g.name, category: g.category, targetAmount: g.targetAmount, currentAmount: g.currentAmount, status: g.status, deadline: g.deadline })
+  },
+  investments: {
+    model: Investment,
+    owner: 'user',
+    fields: ['name', 'notes'],
+    summary: i => ({ name: i.name, type: i.type, notes: i.notes, investedAmount: i.investedAmount, currentValue: i.currentValue })
+  },
+  notifications: {
+    model: Notification,
+    owner: 'userId',
+    fields: ['title', 'message'],
+    summary: n => ({ title: n.title, message: n.message, type: n.type, read: n.read, createdAt: n.createdAt })
+  }
+};
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Search everything the user owns. Results are ranked by text score within
+// each type, and groups are ordered by their best match.
+router.get('/', auth, [
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query is required (max 200 characters)'),
+  query('types').optional().custom(types => String(types).split(',').every(t => ENTITIES[t.trim()]))
+    .withMessage(`Types must be any of: ${Object.keys(ENTITIES).join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { q } = req.query;
+    const limit = parseInt(req.query.limit || 10);
+    const types = req.query.types
+      ? [...new Set(String(req.query.types).split(',').map(t => t.trim()))]
+      : Object.keys(ENTITIES);
+    const terms = searchTerms(q);
+
+    const groups = await Promise.all(types.map(async (type) => {
+      const { model, owner, fields, summary } = ENTITIES[type];
+      const filter = { [owner]: req.user.id, $text: { $search: q } };
+
+      const [docs, total] = await Promise.all([
+        model.find(filter, { score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(limit)
+          .lean(),
+        model.countDocuments(filter)
+      ]);
+
+      return {
+        type,
+        total,
+        results: docs.map(doc => ({
+          _id: doc._id,
+          score: doc.score,
+          ...summary(doc),
+          highlights: highlightFields(doc, fields, terms)
+        }))
+      };
+    }));
+
+    const ranked = groups
+      .filter(g => g.results.length > 0)
+      .sort((a, b) => b.results[0].score - a.results[0].score);
+
+    res.json({
+      query: q,
+      total: ranked.reduce((sum, g) => sum + g.total, 0),
+      groups: ranked
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Sip = require('../models/Sip');
+const Investment = require('../models/Investment');
+const InvestmentTransaction = require('../models/InvestmentTransaction');
+const auth = require('../middleware/auth');
+const { ACCRUING_TYPES } = require('../utils/investments');
+const { findActiveAccount, accountCurrency } = require('../utils/accounts');
+const { resolveCategory } = require('../utils/categories');
+const {
+  instalmentDate,
+  indexOnOrAfter,
+  hasEnded,
+  upcomingInstalments,
+  pausedInstalments,
+  holdingCurrency
+} = require('../utils/sips');
+const { processSip } = require('../jobs/sipScheduler');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Point the plan at its next instalment and reopen or close it as needed
+const syncSchedule = (sip) => {
+  const nextDate = instalmentDate(sip, sip.nextIndex);
+  if (hasEnded(sip, nextDate)) {
+    sip.status = 'completed';
+    sip.nextDate = undefined;
+  } else {
+    if (sip.status === 'completed') sip.status = 'active';
+    sip.nextDate = nextDate;
+  }
+};
+
+const findSip = async (req) => {
+  const sip = await Sip.findOne({ _id: req.params.id, user: req.user.id });
+  if (!sip) {
+    throw Object.assign(new Error('SIP not found'), { status: 404 });
+  }
+  return sip;
+};
+
+// A plan buys units at a price, so its holding must be one tracked in units
+// (or still empty) with a symbol or a price to buy at
+const findPlanInvestment = async (userId, investmentId) => {
+  const investment = await Investment.findOne({ _id: investmentId, user: userId });
+  if (!investment) {
+    throw Object.assign(new Error('Investment not found'), { status: 404 });
+  }
+  if (ACCRUING_TYPES.includes(investment.type)) {
+    throw badRequest('SIPs buy units; record fixed deposit and PPF payments as deposits');
+  }
+  if (investment.units == null && investment.investedAmount > 0) {
+    throw badRequest(`Record ${investment.name} as a buy with units and a price before starting an SIP`);
+  }
+  if (!investment.symbol && !investment.lastPrice) {
+    throw badRequest(`${investment.name} needs a symbol or a price to buy instalments at`);
+  }
+  return investment;
+};
+
+// The account instalments are paid from, which must be in the holding's
+// currency, and the expense category they are recorded under
+const resolvePayment = async (userId, investment, account, category) => {
+  if (!account) return { account: undefined, category: undefined };
+  if (!category) throw badRequest('A category is required to record payments from an account');
+
+  accountCurrency(await findActiveAccount(userId, account), await holdingCurrency(investment));
+  return { account, category: (await resolveCategory(userId, category, 'expense')).name };
+};
+
+const sipValidators = (optional) => [
+  (optional ? body('amount').optional() : body('amount'))
+    .isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  (optional ? body('dayOfMonth').optional() : body('dayOfMonth'))
+    .isInt({ min: 1, max: 31 }).withMessage('Day of month must be between 1 and 31'),
+  body('endDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid end date format'),
+  body('stepUpPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Step-up must be between 0 and 100 percent'),
+  body('account').optional({ values: 'null' }).isMongoId().withMessage('Invalid account'),
+  body('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
+];
+
+// Get the user's SIPs (?investment= and ?status= to filter)
+router.get('/', auth, [
+  query('investment').optional().isMongoId().withMessage('Invalid investment'),
+  query('status').optional().isIn(['active', 'paused', 'completed']).withMessage('Status must be active, paused or completed'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.investment) query.investment = req.query.investment;
+    if (req.query.status) query.status = req.query.status;
+
+    const sips = await Sip.find(query).sort({ nextDate: 1 });
+    res.json(sips);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single SIP
+router.get('/:id', auth, async (req, res) => {
+  try {
+    res.json(await findSip(req));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Preview upcoming instalments with their stepped-up amounts
+router.get('/:id/upcoming', auth, [
+  query('count').optional().isInt({ min: 1, max: 100 }).withMessage('Count must be between 1 and 100'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const sip = await findSip(req);
+    if (sip.status === 'completed') {
+      return res.json([]);
+    }
+    res.json(upcomingInstalments(sip, parseInt(req.query.count || 12)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get the purchases the SIP has made
+router.get('/:id/instalments', auth, async (req, res) => {
+  try {
+    const sip = await findSip(req);
+    const instalments = await InvestmentTransaction.find({ sip: sip._id }).sort({ instalmentDate: 1 });
+    res.json(instalments);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get missed instalments: those that failed, those skipped while the plan was
+// paused, and (for a paused plan) those that have fallen due so far
+router.get('/:id/missed', auth, async (req, res) => {
+  try {
+    const sip = await findSip(req);
+    const missed = [
+      ...sip.missed.map(m => m.toObject()),
+      ...(sip.status === 'paused' ? pausedInstalments(sip) : [])
+    ].sort((a, b) => a.date - b.date);
+    res.json(missed);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Create an SIP with validation. Instalments already due (a start date in the
+// past) are bought straight away at the prices on their dates.
+router.post('/', auth, [
+  body('investment').isMongoId().withMessage('Investment is required'),
+  ...sipValidators(false),
+  body('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+    if (req.body.endDate && new Date(req.body.endDate) < startDate) {
+      return res.status(400).json({ error: 'End date must be after start date' });
+    }
+
+    const investment = await findPlanInvestment(req.user.id, req.body.investment);
+    const payment = await resolvePayment(req.user.id, investment, req.body.account, req.body.category);
+
+    const sip = new Sip({
+      investment: investment._id,
+      amount: req.body.amount,
+      dayOfMonth: req.body.dayOfMonth,
+      startDate,
+      endDate: req.body.endDate,
+      stepUpPercent: req.body.stepUpPercent,
+      ...payment,
+      user: req.user.id
+    });
+    syncSchedule(sip);
+    await sip.save();
+
+    if (sip.status === 'active' && sip.nextDate <= new Date()) {
+      await processSip(sip);
+    }
+
+    res.status(201).json(sip);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Update an SIP; changes apply to instalments not yet bought. A new day of
+// the month takes effect from the month after the last instalment.
+router.put('/:id', auth, sipValidators(true), handleValidationErrors, async (req, res) => {
+  try {
+    const sip = await findSip(req);
+    const previous = sip.nextIndex > 0 ? instalmentDate(sip, sip.nextIndex - 1) : null;
+
+    ['amount', 'dayOfMonth', 'endDate', 'stepUpPercent'].forEach(field => {
+      if (req.body[field] !== undefined) sip[field] = req.body[field];
+    });
+    if (sip.endDate && sip.endDate < sip.startDate) {
+      return res.status(400).json({ error: 'End date must be after start date' });
+    }
+
+    if (req.body.account !== undefined || req.body.category !== undefined) {
+      const account = req.body.account !== undefined ? req.body.account : sip.account;
+      const investment = await Investment.findOne({ _id: sip.investment, user: req.user.id });
+      if (!investment) {
+        return res.status(404).json({ error: 'Investment not found' });
+      }
+      Object.assign(sip, await resolvePayment(req.user.id, investment, account, req.body.category ?? sip.category));
+    }
+
+    if (sip.isModified('dayOfMonth') && previous) {
+      sip.nextIndex = indexOnOrAfter(sip, new Date(Date.UTC(previous.getUTCFullYear(), previous.getUTCMonth() + 1, 1)));
+    }
+
+    if (sip.status !== 'paused') syncSchedule(sip);
+    await sip.save();
+    res.json(sip);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Pause an SIP; instalments stop until it is resumed
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const sip = await findSip(req);
+    if (sip.status !== 'active') {
+      return res.status(400).json({ error: `Cannot pause a ${sip.status} SIP` });
+    }
+
+    sip.status = 'paused';
+    sip.pausedAt = new Date();
+    await sip.save();
+    res.json(sip);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Resume a paused SIP. Instalments that fell due while it was paused are
+// recorded as missed, not bought; one due today is bought.
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const sip = await findSip(req);
+    if (sip.status !== 'paused') {
+      return res.status(400).json({ error: 'SIP is not paused' });
+    }
+
+    const now = new Date();
+    sip.missed.push(...pausedInstalments(sip, now));
+    sip.nextIndex = Math.max(sip.nextIndex, indexOnOrAfter(sip, now));
+    sip.status = 'active';
+    sip.pausedAt = undefined;
+    syncSchedule(sip);
+    await sip.save();
+
+    if (sip.status === 'active' && sip.nextDate <= now) {
+      await processSip(sip, now);
+    }
+    res.json(sip);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete an SIP (purchases already made are kept)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const sip = await Sip.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!sip) {
+      return res.status(404).json({ error: 'SIP not found' });
+    }
+    res.json({ message: 'SIP deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
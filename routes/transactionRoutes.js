@@ -1,7 +1,19 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const { EXPORT_FORMATS, resolveExportFormat, sendExport } = require('../utils/exporters');
+const { userCurrency, createUserConverter } = require('../utils/currency');
+const CURRENCIES = require('../config/currencies');
+const { findActiveAccount, accountCurrency, deleteTransaction } = require('../utils/accounts');
+const { paginationValidators, paginate } = require('../utils/pagination');
+const { filterValidators, buildTransactionFilter } = require('../utils/filters');
+const { resolveCategory } = require('../utils/categories');
+const { loadRules, fillFromRules, normalizeTags } = require('../utils/rules');
+const { resolveSplits, primaryCategory } = require('../utils/splits');
+const { removeAttachments } = require('../utils/attachments');
+const { applyFundingRules, undoFundingRules, unlinkTransactions } = require('../utils/goals');
 
 const router = express.Router();
 
@@ -14,78 +26,209 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Get all transactions for user
-router.get('/', auth, async (req, res) => {
+// Get a page of transactions for user (?format=csv|xlsx|json downloads an export of all of them)
+router.get('/', auth, [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv, xlsx or json'),
+  ...paginationValidators(['date', 'amount', 'category', 'type', 'createdAt']),
+  ...filterValidators,
+], handleValidationErrors, async (req, res) => {
   try {
-    const { startDate, endDate, type, category } = req.query;
     const query = { user: req.user.id };
 
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
+    const filter = await buildTransactionFilter(req.user.id, req.query);
+    if (filter) Object.assign(query, filter);
+
+    const format = resolveExportFormat(req);
+    if (format) {
+      const converter = await createUserConverter(req.user.id);
+      const currency = converter.baseCurrency;
+      const cursor = Transaction.find(query).sort({ date: -1 }).lean().cursor();
+      return await sendExport(res, {
+        format,
+        filename: 'transactions',
+        sheetName: 'Transactions',
+        columns: [
+          { key: 'date', header: 'Date', value: t => t.date },
+          { key: 'type', header: 'Type', value: t => t.type },
+          { key: 'category', header: 'Category', value: t => t.category },
+          { key: 'splits', header: 'Splits', value: t => (t.splits || []).map(l => `${l.category}: ${l.amount}`).join('; '), width: 40 },
+          { key: 'description', header: 'Description', value: t => t.description, width: 40 },
+          { key: 'originalAmount', header: 'Original Amount', value: t => t.amount },
+          { key: 'originalCurrency', header: 'Original Currency', value: t => t.currency || currency },
+          { key: 'amount', header: `Amount (${currency})`, value: t => t.converted }
+        ],
+        rows: (async function* () {
+          for await (const t of cursor) {
+            yield { ...t, converted: await converter.convert(t.amount, t.currency, t.date) };
+          }
+        })()
+      });
     }
 
-    if (type) query.type = type;
-    if (category) query.category = category;
+    const page = await paginate(Transaction, query, req.query, { defaultSort: '-date' });
+    res.json(page);
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    const transactions = await Transaction.find(query).sort({ date: -1 });
-    res.json(transactions);
+// Get the user's tags with how many transactions use each
+router.get('/tags', auth, async (req, res) => {
+  try {
+    const tags = await Transaction.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(req.user.id), tags: { $exists: true, $ne: [] } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 }, lastUsed: { $max: '$date' } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1, lastUsed: 1 } }
+    ]);
+    res.json(tags);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create transaction with validation
+// Fields goal funding rules look at; editing any of them runs the rules again
+const FUNDING_FIELDS = ['type', 'amount', 'category', 'splits', 'account', 'currency', 'date'];
+
+// Create transaction with validation (goal funding rules run on the new transaction)
 router.post('/', auth, [
   body('type').isIn(['income', 'expense']).withMessage('Type must be income or expense'),
-  body('category').trim().notEmpty().withMessage('Category is required'),
+  body('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
   body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
   body('date').optional().isISO8601().withMessage('Invalid date format'),
+  body('account').optional().isMongoId().withMessage('Invalid account'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Invalid currency'),
+  body('payee').optional().isString().withMessage('Payee must be text'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('splits').optional().isArray().withMessage('Splits must be an array of category/amount lines'),
 ], handleValidationErrors, async (req, res) => {
   try {
+    const { transferDirection, linkedTransaction, ...fields } = req.body;
+    if (fields.tags) fields.tags = normalizeTags(fields.tags);
+
+    if (fields.splits) {
+      if (fields.category) {
+        return res.status(400).json({ error: 'Split transactions take their categories from the split lines' });
+      }
+      fields.splits = await resolveSplits(req.user.id, fields.splits, fields.amount, fields.type);
+      fields.category = primaryCategory(fields.splits);
+    }
+
+    // Categorization rules fill in a category, payee or tags the user left out
+    fillFromRules(fields, await loadRules(req.user.id));
+    if (!fields.category) {
+      return res.status(400).json({ error: 'Category is required (no categorization rule matched)' });
+    }
+
+    // Store the category's canonical name so spellings never split reports
+    fields.category = (await resolveCategory(req.user.id, fields.category, fields.type)).name;
+
+    // Transactions in an account are in the account's currency, and others
+    // default to the user's base currency
+    if (fields.account) {
+      const account = await findActiveAccount(req.user.id, fields.account);
+      fields.currency = accountCurrency(account, fields.currency);
+    } else if (!fields.currency) {
+      fields.currency = await userCurrency(req.user.id);
+    }
+
     const transaction = await Transaction.create({
-      ...req.body,
+      ...fields,
       user: req.user.id
     });
+    await applyFundingRules(transaction);
     res.status(201).json(transaction);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Update transaction with validation
+// Update transaction with validation (goal contributions from funding rules
+// are redone to match)
 router.put('/:id', auth, [
   body('type').optional().isIn(['income', 'expense']).withMessage('Type must be income or expense'),
   body('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
   body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
   body('date').optional().isISO8601().withMessage('Invalid date format'),
+  body('account').optional().isMongoId().withMessage('Invalid account'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Invalid currency'),
+  body('payee').optional().isString().withMessage('Payee must be text'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('splits').optional({ values: 'null' }).isArray().withMessage('Splits must be an array of category/amount lines'),
 ], handleValidationErrors, async (req, res) => {
   try {
+    const existing = await Transaction.findOne({ _id: req.params.id, user: req.user.id });
+    if (!existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    // Editing one leg would unbalance the pair; delete and recreate the transfer instead
+    if (existing.type === 'transfer') {
+      return res.status(400).json({ error: 'Transfers cannot be edited; delete and recreate the transfer' });
+    }
+
+    const { transferDirection, linkedTransaction, ...fields } = req.body;
+    if (fields.tags) fields.tags = normalizeTags(fields.tags);
+
+    // Splits stay in effect until cleared with null or an empty array, and must
+    // still add up (and suit the type) whenever the amount or type changes
+    const splits = fields.splits !== undefined ? fields.splits : existing.splits;
+    if (splits && splits.length > 0) {
+      if (fields.category) {
+        return res.status(400).json({ error: 'Split transactions take their categories from the split lines' });
+      }
+      if (fields.splits !== undefined || fields.amount !== undefined || fields.type) {
+        fields.splits = await resolveSplits(req.user.id, splits, fields.amount ?? existing.amount, fields.type || existing.type);
+        fields.category = primaryCategory(fields.splits);
+      }
+    } else {
+      if (fields.splits !== undefined) {
+        delete fields.splits;
+        fields.$unset = { splits: 1 };
+      }
+
+      // A new type must still suit the category, so check whenever either changes
+      if (fields.category || fields.type) {
+        const category = await resolveCategory(req.user.id, fields.category || existing.category, fields.type || existing.type);
+        if (fields.category) fields.category = category.name;
+      }
+    }
+
+    const accountId = fields.account ?? existing.account;
+    if (accountId && (fields.account || fields.currency)) {
+      const account = await findActiveAccount(req.user.id, accountId);
+      fields.currency = accountCurrency(account, fields.currency ?? existing.currency);
+    }
+
     const transaction = await Transaction.findOneAndUpdate(
       { _id: req.params.id, user: req.user.id },
-      req.body,
+      fields,
       { new: true }
     );
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+
+    if (FUNDING_FIELDS.some(field => req.body[field] !== undefined)) {
+      await undoFundingRules([transaction._id]);
+      await applyFundingRules(transaction);
     }
     res.json(transaction);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Delete transaction
+// Delete transaction (deleting either leg of a transfer removes both)
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const transaction = await Transaction.findOneAndDelete({
+    const transaction = await Transaction.findOne({
       _id: req.params.id,
       user: req.user.id
     });
     if (!transaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
+    await deleteTransaction(transaction);
     res.json({ message: 'Transaction deleted' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -125,18 +268,28 @@ router.post('/seed', auth, async (req, res) => {
       { type: 'expense', amount: 3000, category: 'Transport', description: 'Gas/fuel', date: new Date(now.getFullYear(), now.getMonth() - 3, 8) },
     ];
     
-    // Delete existing transactions for this user
+    // Delete existing transactions (and their attachments) for this user, taking
+    // back what goal funding rules added for them, as deleting one does
+    const ids = await Transaction.find({ user: req.user.id }).distinct('_id');
     await Transaction.deleteMany({ user: req.user.id });
+    await removeAttachments({ user: req.user.id });
+    await undoFundingRules(ids);
+    await unlinkTransactions(ids);
     
-    // Insert sample transactions
-    await Transaction.insertMany(
+    // Insert sample transactions (goal funding rules run on them like new ones)
+    const currency = await userCurrency(req.user.id);
+    const inserted = await Transaction.insertMany(
       sampleTransactions.map(t => ({
         ...t,
+        currency,
         user: req.user.id,
         name: t.description,
         status: 'Completed'
       }))
     );
+    for (const transaction of inserted) {
+      await applyFundingRules(transaction);
+    }
     
     res.json({ message: 'Sample data seeded successfully', count: sampleTransactions.length });
   } catch (error) {
@@ -9,6 +9,7 @@ const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
 const connectDB = require('./config/db');
+const { supportsTransactions } = require('./utils/atomic');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -17,6 +18,24 @@ const goalRoutes = require('./routes/goalRoutes');
 const investmentRoutes = require('./routes/investmentRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const recurringRoutes = require('./routes/recurringRoutes');
+const sipRoutes = require('./routes/sipRoutes');
+const importRoutes = require('./routes/importRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const filterRoutes = require('./routes/filterRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const ruleRoutes = require('./routes/ruleRoutes');
+const attachmentRoutes = require('./routes/attachmentRoutes');
+const priceRoutes = require('./routes/priceRoutes');
+
+// Import background jobs
+const { startRecurringScheduler } = require('./jobs/recurringScheduler');
+const { startRevaluationScheduler } = require('./jobs/revaluationScheduler');
+const { startMaturityScheduler } = require('./jobs/maturityScheduler');
+const { startSipScheduler } = require('./jobs/sipScheduler');
 
 // Ensure logs directory exists
 const logsDir = path.join(__dirname, 'logs');
@@ -90,6 +109,21 @@ const connectWithRetry = async () => {
     if (result && result.success) {
       dbConnected = true;
       logger.info('Database connection established');
+      if (!(await supportsTransactions())) {
+        logger.warn('MongoDB is not a replica set; transfers and category changes use ordered writes that are undone on failure instead of transactions');
+      }
+
+      // Background jobs only run against a live database, and never under tests
+      if (process.env.NODE_ENV !== 'test') {
+        startRecurringScheduler();
+        logger.info('Recurring transaction scheduler started');
+        startRevaluationScheduler();
+        logger.info('Portfolio revaluation scheduler started');
+        startMaturityScheduler();
+        logger.info('Maturity reminder scheduler started');
+        startSipScheduler();
+        logger.info('SIP scheduler started');
+      }
     } else {
       if (retryCount < maxRetries) {
         retryCount++;
@@ -117,13 +151,15 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Security: MongoDB query sanitization
-// Only sanitize actual query parameters, not the entire query object
+// Strip $-operators and dotted keys from the body in place. The middleware form
+// also reassigns req.query, which is a getter in Express 5 and throws; the
+// default query parser never builds nested objects, so there is nothing to
+// strip there.
 app.use((req, res, next) => {
   if (req.body && typeof req.body === 'object') {
-    mongoSanitize()(req, res, next);
-  } else {
-    next();
+    mongoSanitize.sanitize(req.body);
   }
+  next();
 });
 
 // Security: XSS protection headers
@@ -146,11 +182,23 @@ const requireDB = (req, res, next) => {
 
 // Routes
 app.use('/api/auth', requireDB, authRoutes);
+app.use('/api/transactions/import', requireDB, importRoutes);
+app.use('/api/transactions/:id/attachments', requireDB, attachmentRoutes);
 app.use('/api/transactions', requireDB, transactionRoutes);
 app.use('/api/goals', requireDB, goalRoutes);
 app.use('/api/investments', requireDB, investmentRoutes);
 app.use('/api/reports', requireDB, reportRoutes);
 app.use('/api/notifications', requireDB, notificationRoutes);
+app.use('/api/budgets', requireDB, budgetRoutes);
+app.use('/api/recurring', requireDB, recurringRoutes);
+app.use('/api/sips', requireDB, sipRoutes);
+app.use('/api/accounts', requireDB, accountRoutes);
+app.use('/api/exchange-rates', requireDB, exchangeRateRoutes);
+app.use('/api/prices', requireDB, priceRoutes);
+app.use('/api/filters', requireDB, filterRoutes);
+app.use('/api/search', requireDB, searchRoutes);
+app.use('/api/categories', requireDB, categoryRoutes);
+app.use('/api/rules', requireDB, ruleRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -158,7 +206,7 @@ app.get('/', (req, res) => {
     message: 'CashCompass API is running',
     version: '1.0.0',
     documentation: '/api/health',
-    endpoints: ['/api/auth', '/api/transactions', '/api/goals', '/api/investments', '/api/reports', '/api/notifications']
+    endpoints: ['/api/auth', '/api/transactions', '/api/goals', '/api/investments', '/api/reports', '/api/notifications', '/api/budgets', '/api/recurring', '/api/sips', '/api/accounts', '/api/exchange-rates', '/api/prices', '/api/filters', '/api/search', '/api/categories', '/api/rules']
   });
 });
 
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Attachment Storage', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cashcompass-storage-'));
+  let storage;
+  let detectMimeType;
+  let safeFilename;
+
+  beforeAll(() => {
+    process.env.STORAGE_DIR = dir;
+    jest.isolateModules(() => {
+      storage = require('../utils/storage').getStorage();
+      ({ detectMimeType, safeFilename } = require('../utils/attachments'));
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should detect allowed types from file content', () => {
+    expect(detectMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]))).toBe('image/jpeg');
+    expect(detectMimeType(Buffer.from('\x89PNG\r\n\x1a\n....', 'latin1'))).toBe('image/png');
+    expect(detectMimeType(Buffer.from('%PDF-1.7\n'))).toBe('application/pdf');
+    expect(detectMimeType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1'))).toBe('image/webp');
+    expect(detectMimeType(Buffer.from('\x00\x00\x00\x18ftypheic', 'latin1'))).toBe('image/heic');
+  });
+
+  it('should reject content that is not an allowed type', () => {
+    expect(detectMimeType(Buffer.from('<html><script>alert(1)</script>'))).toBeNull();
+    expect(detectMimeType(Buffer.from('MZ\x90\x00', 'latin1'))).toBeNull();
+    expect(detectMimeType(Buffer.alloc(0))).toBeNull();
+  });
+
+  it('should strip paths and header-breaking characters from filenames', () => {
+    expect(safeFilename('../../etc/passwd')).toBe('passwd');
+    expect(safeFilename('receipt "march".pdf')).toBe('receipt _march_.pdf');
+    expect(safeFilename('')).toBe('attachment');
+  });
+
+  it('should store, read back and remove files on local disk', async () => {
+    await storage.put('attachments/u1/abc', Buffer.from('hello'));
+
+    const chunks = [];
+    for await (const chunk of await storage.get('attachments/u1/abc')) chunks.push(chunk);
+    expect(Buffer.concat(chunks).toString()).toBe('hello');
+
+    await storage.remove('attachments/u1/abc');
+    await expect(storage.get('attachments/u1/abc')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('should refuse keys that escape the storage directory', async () => {
+    await expect(storage.put('../outside', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+});
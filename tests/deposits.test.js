@@ -0,0 +1,74 @@
+const {
+  fdValue,
+  ppfValue,
+  ppfMaturityDate,
+  ppfLockInEndDate,
+  isPpfMaturity,
+  checkPpfDeposits,
+  ppfContributions
+} = require('../utils/deposits');
+
+const deposit = (date, amount) => ({ date: new Date(date), amount });
+const round = (amount) => Math.round(amount * 100) / 100;
+
+describe('Fixed Deposit Accrual', () => {
+  const fd = { principal: 100000, rate: 7, startDate: new Date('2025-01-01'), maturityDate: new Date('2026-01-01') };
+
+  it('should compound each full period', () => {
+    expect(fdValue(fd, new Date('2026-01-01'))).toBe(107185.9);
+    expect(fdValue({ ...fd, compounding: 'yearly' }, new Date('2026-01-01'))).toBe(107000);
+  });
+
+  it('should accrue simple interest within the current period', () => {
+    // One quarter compounded, then 30 days into the next
+    expect(fdValue(fd, new Date('2025-05-01'))).toBe(round(101750 * (1 + 0.07 * 30 / 365)));
+    expect(fdValue({ ...fd, compounding: 'simple' }, new Date('2026-01-01'))).toBe(107000);
+  });
+
+  it('should stop accruing at maturity', () => {
+    expect(fdValue(fd, new Date('2030-01-01'))).toBe(107185.9);
+    expect(fdValue(fd, new Date('2024-06-01'))).toBe(100000);
+  });
+});
+
+describe('PPF Accrual and Rules', () => {
+  const terms = { rate: 7.1, startDate: new Date('2024-04-01'), maturityDate: ppfMaturityDate('2024-04-01') };
+
+  it('should credit a year of monthly interest at the end of March', () => {
+    expect(ppfValue(terms, [deposit('2024-04-03', 150000)], new Date('2025-04-01'))).toBe(160650);
+    // Deposited after the 5th, so April earns nothing
+    expect(ppfValue(terms, [deposit('2024-04-10', 150000)], new Date('2025-04-01'))).toBe(159762.5);
+  });
+
+  it('should include interest earned but not yet credited', () => {
+    expect(ppfValue(terms, [deposit('2024-04-01', 150000)], new Date('2024-10-01'))).toBe(155325);
+  });
+
+  it('should work out maturity, lock-in and extensions from the opening year', () => {
+    expect(ppfMaturityDate('2024-06-15').toISOString().slice(0, 10)).toBe('2040-04-01');
+    expect(ppfMaturityDate('2025-02-15').toISOString().slice(0, 10)).toBe('2040-04-01');
+    expect(ppfLockInEndDate('2024-06-15').toISOString().slice(0, 10)).toBe('2030-04-01');
+    expect(isPpfMaturity('2024-06-15', '2045-04-01')).toBe(true);
+    expect(isPpfMaturity('2024-06-15', '2042-04-01')).toBe(false);
+  });
+
+  it('should enforce the yearly limit, lock-in and balance', () => {
+    expect(() => checkPpfDeposits(terms, [deposit('2024-05-01', 100000), deposit('2025-03-01', 60000)]))
+      .toThrow('50000 more can be deposited in 2024-25');
+    expect(() => checkPpfDeposits(terms, [deposit('2024-05-01', 100000), deposit('2025-04-01', 60000)]))
+      .not.toThrow();
+    expect(() => checkPpfDeposits(terms, [deposit('2024-05-01', 100000), deposit('2027-01-01', -1000)]))
+      .toThrow('allowed from 2030-04-01');
+    expect(() => checkPpfDeposits(terms, [deposit('2024-05-01', 1000), deposit('2031-01-01', -5000)]))
+      .toThrow('Cannot withdraw 5000');
+    expect(() => checkPpfDeposits(terms, [deposit('2040-04-01', 1000)])).toThrow('matured on 2040-04-01');
+  });
+
+  it('should total deposits by financial year', () => {
+    expect(ppfContributions([deposit('2024-05-01', 100000), deposit('2025-03-01', 20000), deposit('2025-04-01', 5000)]))
+      .toEqual([
+        { financialYear: '2024-25', deposited: 120000, remaining: 30000 },
+        { financialYear: '2025-26', deposited: 5000, remaining: 145000 }
+      ]);
+  });
+});
@@ -0,0 +1,18 @@
+const { escapeCsv } = require('../utils/exporters');
+
+describe('Export Cells', () => {
+  it('should keep formula-like text from running in spreadsheets', () => {
+    expect(escapeCsv('=HYPERLINK("http://x","Refund")')).toBe('"\'=HYPERLINK(""http://x"",""Refund"")"');
+    expect(escapeCsv('+91 UPI transfer')).toBe("'+91 UPI transfer");
+    expect(escapeCsv('-cash withdrawal')).toBe("'-cash withdrawal");
+    expect(escapeCsv('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(escapeCsv('\tcmd')).toBe("'\tcmd");
+  });
+
+  it('should leave numbers, dates and plain text alone', () => {
+    expect(escapeCsv(-1500)).toBe('-1500');
+    expect(escapeCsv(new Date('2025-01-05'))).toBe('2025-01-05');
+    expect(escapeCsv('Rent, January')).toBe('"Rent, January"');
+    expect(escapeCsv(null)).toBe('');
+  });
+});
@@ -0,0 +1,118 @@
+const { toRegex, compileFilter, renameCategoryInFilter, filterNamesCategory, buildTransactionFilter } = require('../utils/filters');
+
+describe('Transaction Filters', () => {
+  it('should compile nested and/or/not trees', () => {
+    const query = compileFilter({
+      and: [
+        { field: 'category', op: 'eq', value: 'Dining' },
+        { field: 'amount', op: 'gt', value: 500 },
+        { not: { field: 'description', op: 'contains', value: 'work trip' } }
+      ]
+    });
+
+    expect(query.$and[0]).toEqual({ $or: [{ category: 'Dining' }, { 'splits.category': 'Dining' }] });
+    expect(query.$and[1]).toEqual({ amount: { $gt: 500 } });
+    expect(query.$and[2].$nor[0].description).toEqual(/work trip/i);
+  });
+
+  it('should cast values to the field type', () => {
+    const query = compileFilter({
+      or: [
+        { field: 'amount', op: 'lte', value: '99.5' },
+        { field: 'date', op: 'gte', value: '2025-01-01' },
+        { field: 'category', op: 'in', value: ['Food', 'Travel'] }
+      ]
+    });
+
+    expect(query.$or[0]).toEqual({ amount: { $lte: 99.5 } });
+    expect(query.$or[1].date.$gte).toEqual(new Date('2025-01-01'));
+    expect(query.$or[2].$or[0]).toEqual({ category: { $in: ['Food', 'Travel'] } });
+  });
+
+  it('should match split lines for category conditions', () => {
+    expect(compileFilter({ field: 'category', op: 'in', value: ['Food'] })).toEqual({
+      $or: [{ category: { $in: ['Food'] } }, { 'splits.category': { $in: ['Food'] } }]
+    });
+    expect(compileFilter({ field: 'category', op: 'ne', value: 'Food' })).toEqual({
+      $and: [{ category: { $ne: 'Food' } }, { 'splits.category': { $ne: 'Food' } }]
+    });
+  });
+
+  it('should escape contains but not regex', () => {
+    expect(compileFilter({ field: 'description', op: 'contains', value: 'a.b' }).description.test('axb')).toBe(false);
+    expect(compileFilter({ field: 'description', op: 'regex', value: 'a.b' }).description.test('axb')).toBe(true);
+  });
+
+  it('should reject regexes that can backtrack catastrophically', () => {
+    ['(a+)+$', '(a|ab)*c', '((ab)*)+', '(\\w+\\s?){2,}x', '(a)\\1'].forEach(pattern => {
+      expect(() => toRegex(pattern)).toThrow('too slow');
+    });
+    // Runs of unbounded quantifiers, and too many of them
+    ['.*.*.*.*.*.*.*.*z', '.*.*z', '\\s*\\s+x', 'a+?a+$', 'a.*b.*c.*d', 'a?b?c?d?e?f?g?h?i?j?k?'].forEach(pattern => {
+      expect(() => toRegex(pattern)).toThrow('too slow');
+    });
+    ['^acme (corp|inc)', '(?:uber|lyft) trip', '\\d+(\\.\\d+)?', '[(+)]+', '(ab)+', 'uber.*trip', '^\\d+\\.\\d{2}$', 'a{2,}b'].forEach(pattern => {
+      expect(() => toRegex(pattern)).not.toThrow();
+    });
+  });
+
+  it('should reject unknown fields, bad operators and bad values', () => {
+    expect(() => compileFilter({ field: 'user', op: 'eq', value: 'x' })).toThrow('Unknown filter field');
+    expect(() => compileFilter({ field: 'amount', op: 'contains', value: '5' })).toThrow('cannot be used');
+    expect(() => compileFilter({ field: 'amount', op: 'gt', value: 'abc' })).toThrow('must be a number');
+    expect(() => compileFilter({ field: 'description', op: 'regex', value: '(' })).toThrow('Invalid regex');
+    expect(() => compileFilter({ field: 'category', op: 'eq', value: { $ne: null } })).toThrow('must be a string');
+  });
+
+  it('should limit nesting depth', () => {
+    let node = { field: 'amount', op: 'gt', value: 1 };
+    for (let i = 0; i < 6; i++) node = { not: node };
+
+    expect(() => compileFilter(node)).toThrow('nested');
+  });
+
+  it('should report errors with a 400 status', () => {
+    expect.assertions(1);
+    try {
+      compileFilter({ and: [] });
+    } catch (err) {
+      expect(err.status).toBe(400);
+    }
+  });
+
+  it('should point category conditions at a renamed category', () => {
+    const filter = {
+      and: [
+        { field: 'category', op: 'in', value: ['Food', 'Dining'] },
+        { not: { field: 'category', op: 'eq', value: 'Food' } },
+        { field: 'category', op: 'contains', value: 'Food' },
+        { field: 'description', op: 'eq', value: 'Food' }
+      ]
+    };
+
+    expect(renameCategoryInFilter(filter, 'Food', 'Dining')).toEqual({
+      and: [
+        { field: 'category', op: 'in', value: ['Dining'] },
+        { not: { field: 'category', op: 'eq', value: 'Dining' } },
+        { field: 'category', op: 'contains', value: 'Food' },
+        { field: 'description', op: 'eq', value: 'Food' }
+      ]
+    });
+  });
+
+  it('should find category conditions naming a category exactly', () => {
+    const filter = { or: [{ field: 'amount', op: 'gt', value: 100 }, { not: { field: 'category', op: 'nin', value: ['Food', 'Travel'] } }] };
+
+    expect(filterNamesCategory(filter, 'Travel')).toBe(true);
+    expect(filterNamesCategory(filter, 'Rent')).toBe(false);
+    expect(filterNamesCategory({ field: 'category', op: 'contains', value: 'Food' }, 'Food')).toBe(false);
+  });
+
+  it('should reject a repeated or malformed filter parameter', async () => {
+    const filter = JSON.stringify({ field: 'amount', op: 'gt', value: 100 });
+
+    await expect(buildTransactionFilter('user', { filter: [filter, filter] })).rejects.toMatchObject({ status: 400 });
+    await expect(buildTransactionFilter('user', { filter: '{"field":' })).rejects.toMatchObject({ status: 400 });
+    await expect(buildTransactionFilter('user', { filter })).resolves.toEqual({ $and: [{ amount: { $gt: 100 } }] });
+  });
+});
@@ -0,0 +1,17 @@
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Route tests need a database. Use MONGODB_URI when it is set, or else start
+// an in-memory single-node replica set (so transfers and category changes run
+// in transactions, as they do on Atlas). Without either, the route tests that
+// need a database are skipped.
+module.exports = async () => {
+  if (process.env.MONGODB_URI) return;
+
+  try {
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    globalThis.__MONGO_REPL_SET__ = replSet;
+    process.env.MONGODB_URI = replSet.getUri('cashcompass-test');
+  } catch (err) {
+    console.warn(`No test database (${err.message}); skipping route tests that need one`);
+  }
+};
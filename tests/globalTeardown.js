@@ -0,0 +1,5 @@
+module.exports = async () => {
+  if (globalThis.__MONGO_REPL_SET__) {
+    await globalThis.__MONGO_REPL_SET__.stop();
+  }
+};
@@ -0,0 +1,91 @@
+const { projectGoal, fundingAmount } = require('../utils/goals');
+
+describe('Goal Projections', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const goal = (overrides) => ({
+    _id: 'g1',
+    name: 'Vacation',
+    targetAmount: 12000,
+    currentAmount: 6000,
+    status: 'active',
+    createdAt: new Date('2025-01-01T00:00:00Z'),
+    deadline: new Date('2027-01-01T00:00:00Z'),
+    ...overrides
+  });
+
+  it('should spread what is left over the months to the deadline', () => {
+    const projection = projectGoal(goal(), 1500, { months: 3, now });
+
+    expect(projection.remaining).toBe(6000);
+    expect(projection.monthsLeft).toBe(12);
+    expect(projection.requiredMonthly).toBe(500);
+    expect(projection.monthlyRate).toBe(500);
+    expect(projection.status).toBe('on-track');
+  });
+
+  it('should project completion at the recent rate', () => {
+    const projection = projectGoal(goal(), 3000, { months: 3, now });
+
+    expect(projection.projectedCompletionDate.toISOString().slice(0, 7)).toBe('2026-07');
+  });
+
+  it('should flag goals saving a little or much too slowly', () => {
+    expect(projectGoal(goal(), 1200, { months: 3, now }).status).toBe('at-risk');
+    expect(projectGoal(goal(), 300, { months: 3, now }).status).toBe('behind');
+    expect(projectGoal(goal(), 0, { months: 3, now }).projectedCompletionDate).toBeNull();
+  });
+
+  it('should measure the rate only since creation for new goals', () => {
+    const projection = projectGoal(goal({ createdAt: new Date('2025-12-01T00:00:00Z') }), 500, { months: 3, now });
+
+    expect(projection.monthlyRate).toBe(500);
+  });
+
+  it('should treat missed deadlines as behind and finished goals as completed', () => {
+    expect(projectGoal(goal({ deadline: new Date('2025-12-01T00:00:00Z') }), 9000, { months: 3, now }).status).toBe('behind');
+    expect(projectGoal(goal({ currentAmount: 12000 }), 0, { months: 3, now })).toMatchObject({
+      status: 'completed',
+      requiredMonthly: 0
+    });
+    expect(projectGoal(goal({ status: 'cancelled' }), 0, { months: 3, now }).status).toBe('cancelled');
+  });
+});
+
+describe('Goal Funding Rules', () => {
+  const salary = { type: 'income', amount: 50000, category: 'Salary', account: 'a1' };
+  const coffee = { type: 'expense', amount: 143.5, category: 'Coffee', account: 'a1' };
+
+  it('should take a percentage of matching income only', () => {
+    const rule = { type: 'percentage', percentage: 10, category: 'Salary' };
+
+    expect(fundingAmount(rule, salary)).toBe(5000);
+    expect(fundingAmount(rule, { ...salary, category: 'Freelance' })).toBe(0);
+    expect(fundingAmount(rule, { ...coffee, category: 'Salary' })).toBe(0);
+  });
+
+  it('should count only the split lines in the rule category', () => {
+    const rule = { type: 'percentage', percentage: 10, category: 'Salary' };
+    const split = {
+      ...salary,
+      splits: [{ category: 'Salary', amount: 40000 }, { category: 'Bonus', amount: 10000 }]
+    };
+
+    expect(fundingAmount(rule, split)).toBe(4000);
+    expect(fundingAmount(rule, split, { Bonus: 'Salary', Salary: 'Salary' })).toBe(5000);
+  });
+
+  it('should round expenses up to the next multiple', () => {
+    expect(fundingAmount({ type: 'round-up', roundTo: 100 }, coffee)).toBe(56.5);
+    expect(fundingAmount({ type: 'round-up', roundTo: 0.5 }, { ...coffee, amount: 10.2 })).toBe(0.3);
+    expect(fundingAmount({ type: 'round-up', roundTo: 100 }, { ...coffee, amount: 300 })).toBe(0);
+    expect(fundingAmount({ type: 'round-up', roundTo: 100 }, salary)).toBe(0);
+  });
+
+  it('should skip disabled rules and other accounts', () => {
+    const rule = { type: 'round-up', roundTo: 10 };
+
+    expect(fundingAmount({ ...rule, enabled: false }, coffee)).toBe(0);
+    expect(fundingAmount({ ...rule, account: 'a2' }, coffee)).toBe(0);
+    expect(fundingAmount({ ...rule, account: 'a1' }, coffee)).toBe(6.5);
+  });
+});
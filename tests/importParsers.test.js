@@ -0,0 +1,77 @@
+const { parseCSV, parseDate, parseAmount, csvToRows, ofxToRows, qifToRows, mapRow } = require('../utils/importParsers');
+
+describe('Statement Import Parsers', () => {
+  describe('parseCSV', () => {
+    it('should handle quoted cells, escaped quotes and CRLF line endings', () => {
+      const rows = parseCSV('Date,Description\r\n2025-01-05,"Rent, January"\r\n2025-01-06,"Say ""hi"""\r\n');
+
+      expect(rows).toEqual([
+        ['Date', 'Description'],
+        ['2025-01-05', 'Rent, January'],
+        ['2025-01-06', 'Say "hi"']
+      ]);
+    });
+  });
+
+  describe('parseDate and parseAmount', () => {
+    it('should parse supported date formats and reject impossible dates', () => {
+      expect(parseDate('15/01/2025', 'DD/MM/YYYY').toISOString()).toBe('2025-01-15T00:00:00.000Z');
+      expect(parseDate('01/15/25', 'MM/DD/YYYY').toISOString()).toBe('2025-01-15T00:00:00.000Z');
+      expect(parseDate('2025-02-30')).toBeNull();
+    });
+
+    it('should parse signed, bracketed and formatted amounts', () => {
+      expect(parseAmount('-1,250.50')).toBe(-1250.5);
+      expect(parseAmount('(300)')).toBe(-300);
+      expect(parseAmount('₹ 2,000')).toBe(2000);
+      expect(parseAmount('')).toBeNull();
+    });
+  });
+
+  describe('csvToRows', () => {
+    it('should reject a file with no rows as a client error', () => {
+      expect(() => csvToRows('', { date: 'Date', amount: 'Amount' })).toThrow('The file has no rows');
+      expect(() => csvToRows('\n', { date: 0, amount: 1 }, { hasHeader: false })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    it('should combine debit and credit columns into a signed amount', () => {
+      const csv = 'Date,Details,Debit,Credit\n2025-01-05,Rent,15000,\n2025-01-01,Salary,,50000\n';
+      const rows = csvToRows(csv, { date: 'Date', description: 'Details', debit: 'Debit', credit: 'Credit' });
+
+      expect(rows[0]).toMatchObject({ date: '2025-01-05', amount: -15000, description: 'Rent' });
+      expect(rows[1]).toMatchObject({ amount: 50000, description: 'Salary' });
+    });
+  });
+
+  describe('ofxToRows and qifToRows', () => {
+    it('should read OFX statement transactions', () => {
+      const ofx = '<OFX><BANKTRANLIST><STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250105120000<TRNAMT>-499.00<NAME>AMAZON</STMTTRN></BANKTRANLIST></OFX>';
+
+      expect(ofxToRows(ofx)).toEqual([{ date: '2025-01-05', amount: -499, description: 'AMAZON' }]);
+    });
+
+    it('should read QIF records and ignore transfer categories', () => {
+      const qif = "!Type:Bank\nD1/15'25\nT-1,200.00\nPGrocery Store\nLFood:Groceries\n^\nD01/20/2025\nT500\nPRefund\nL[Savings]\n^\n";
+      const rows = qifToRows(qif);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({ date: '1/15/25', amount: -1200, description: 'Grocery Store', category: 'Food' });
+      expect(rows[1].category).toBeUndefined();
+    });
+  });
+
+  describe('mapRow', () => {
+    it('should infer type from the amount sign and store positive amounts', () => {
+      const { transaction, errors } = mapRow({ date: '2025-01-05', amount: -250, description: 'Coffee' });
+
+      expect(errors).toHaveLength(0);
+      expect(transaction).toMatchObject({ type: 'expense', amount: 250, category: 'Uncategorized' });
+    });
+
+    it('should report invalid dates and amounts', () => {
+      const { errors } = mapRow({ date: 'yesterday', amount: 'abc' });
+
+      expect(errors).toHaveLength(2);
+    });
+  });
+});
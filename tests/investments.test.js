@@ -0,0 +1,87 @@
+const { replayTransactions, cashFlows, recordTransaction } = require('../utils/investments');
+
+describe('Investment Lots', () => {
+  const buy = (date, units, price, fees = 0) => ({ type: 'buy', date: new Date(date), units, price, fees, amount: units * price });
+  const sell = (date, units, price, fees = 0) => ({ type: 'sell', date: new Date(date), units, price, fees, amount: units * price });
+
+  it('should average the cost of units bought, including fees', () => {
+    const holding = replayTransactions([
+      buy('2025-01-10', 10, 100, 10),
+      buy('2025-02-10', 10, 120)
+    ]);
+
+    expect(holding.units).toBe(20);
+    expect(holding.costBasis).toBe(2210);
+    expect(holding.averageCost).toBe(110.5);
+    expect(holding.lots).toHaveLength(2);
+  });
+
+  it('should sell the oldest lots first', () => {
+    const holding = replayTransactions([
+      buy('2025-02-10', 10, 120),
+      buy('2025-01-10', 10, 100),
+      sell('2025-03-10', 15, 150, 5)
+    ]);
+
+    // 10 @ 100 + 5 @ 120 cost 1600; proceeds 2250 - 5
+    expect(holding.realizedGain).toBe(645);
+    expect(holding.units).toBe(5);
+    expect(holding.lots).toEqual([{ date: new Date('2025-02-10'), units: 5, unitCost: 120 }]);
+    expect(holding.costBasis).toBe(600);
+    expect(holding.lastPrice).toBe(150);
+  });
+
+  it('should keep dividends, interest and fees apart from gains', () => {
+    const holding = replayTransactions([
+      buy('2025-01-10', 10, 100),
+      { type: 'dividend', date: new Date('2025-04-01'), amount: 40 },
+      { type: 'interest', date: new Date('2025-05-01'), amount: 2.5 },
+      { type: 'fee', date: new Date('2025-06-01'), amount: 12 }
+    ]);
+
+    expect(holding).toMatchObject({ realizedGain: 0, income: 42.5, fees: 12, costBasis: 1000 });
+    expect(holding.realized.map(r => r.kind)).toEqual(['income', 'income', 'fee']);
+  });
+
+  it('should reject selling more units than were held at the time', () => {
+    expect(() => replayTransactions([
+      sell('2025-01-05', 5, 100),
+      buy('2025-01-10', 10, 100)
+    ])).toThrow('only 0 were held');
+  });
+
+  it('should handle fractional fund units', () => {
+    const holding = replayTransactions([
+      buy('2025-01-10', 12.345, 81.0032),
+      buy('2025-02-10', 11.872, 84.2271),
+      sell('2025-03-10', 24.217, 90)
+    ]);
+
+    expect(holding.units).toBe(0);
+    expect(holding.lots).toEqual([]);
+    expect(holding.costBasis).toBe(0);
+    expect(holding.averageCost).toBe(0);
+  });
+
+  it('should keep PPF deposits and withdrawals out of returns', () => {
+    const transactions = [
+      { type: 'deposit', date: new Date('2024-04-01'), amount: 50000 },
+      { type: 'deposit', date: new Date('2025-04-01'), amount: 50000 },
+      { type: 'withdrawal', date: new Date('2031-04-01'), amount: 20000 }
+    ];
+    const holding = replayTransactions(transactions);
+
+    expect(holding).toMatchObject({ hasTrades: false, hasDeposits: true, principal: 80000, income: 0 });
+    expect(cashFlows({ investedAmount: 80000, purchaseDate: new Date('2024-04-01') }, transactions).map(f => f.amount))
+      .toEqual([-50000, -50000, 20000]);
+  });
+
+  it('should not trade on a lump holding until its opening position is a buy', async () => {
+    const lump = { name: 'Index Fund', type: 'mutual_fund', investedAmount: 10000, purchaseDate: new Date('2024-01-10') };
+
+    await expect(recordTransaction(lump, buy('2025-01-10', 10, 100))).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringContaining('invested amount without units')
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getProvider, registerProvider } = require('../utils/priceProviders');
+
+describe('Price Providers', () => {
+  let dir;
+  const original = process.env.PRICES_FILE;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+  });
+
+  afterAll(() => {
+    if (original === undefined) delete process.env.PRICES_FILE;
+    else process.env.PRICES_FILE = original;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load the latest CSV price on or before the day', async () => {
+    const file = path.join(dir, 'prices.csv');
+    fs.writeFileSync(file, [
+      'Symbol,Date,Price',
+      'acme,2026-01-02,101.5',
+      'ACME,2026-01-05,104',
+      'ACME,2026-01-09,110',
+      'OTHER,2026-01-05,9'
+    ].join('\n'));
+    process.env.PRICES_FILE = file;
+
+    const prices = await getProvider('file').fetchPrices(['ACME'], '2026-01-06');
+    expect(prices).toEqual([{ symbol: 'ACME', price: 104, date: '2026-01-05' }]);
+  });
+
+  it('should load JSON prices keyed by day', async () => {
+    const file = path.join(dir, 'prices.json');
+    fs.writeFileSync(file, JSON.stringify({
+      '2026-01-02': { '120503': 45.12, ACME: 100 },
+      '2026-01-03': { '120503': 45.4 }
+    }));
+    process.env.PRICES_FILE = file;
+
+    const prices = await getProvider('file').fetchPrices(['120503', 'ACME'], '2026-01-03');
+    expect(prices).toEqual([
+      { symbol: '120503', price: 45.4, date: '2026-01-03' },
+      { symbol: 'ACME', price: 100, date: '2026-01-02' }
+    ]);
+  });
+
+  it('should return nothing when the file is missing', async () => {
+    process.env.PRICES_FILE = path.join(dir, 'missing.csv');
+    expect(await getProvider('file').fetchPrices(['ACME'], '2026-01-03')).toEqual([]);
+  });
+
+  it('should only register providers that fetch prices', () => {
+    expect(() => registerProvider('broken', {})).toThrow('fetchPrices');
+    expect(() => getProvider('nope')).toThrow('Unknown price provider');
+  });
+});
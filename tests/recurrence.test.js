@@ -0,0 +1,93 @@
+const { dayKey, occurrenceDate, indexOnOrAfter, isOccurrence, hasEnded, upcomingOccurrences } = require('../utils/recurrence');
+
+describe('Recurrence Rules', () => {
+  describe('occurrenceDate', () => {
+    it('should step daily and weekly rules by interval', () => {
+      const daily = { frequency: 'daily', interval: 2, startDate: '2025-01-01' };
+      const weekly = { frequency: 'weekly', interval: 1, startDate: '2025-01-01' };
+
+      expect(dayKey(occurrenceDate(daily, 3))).toBe('2025-01-07');
+      expect(dayKey(occurrenceDate(weekly, 2))).toBe('2025-01-15');
+    });
+
+    it('should clamp monthly rules to the end of shorter months', () => {
+      const rule = { frequency: 'monthly', startDate: '2025-01-31' };
+
+      expect(dayKey(occurrenceDate(rule, 1))).toBe('2025-02-28');
+      expect(dayKey(occurrenceDate(rule, 2))).toBe('2025-03-31');
+    });
+
+    it('should clamp yearly rules started on a leap day', () => {
+      const rule = { frequency: 'yearly', startDate: '2024-02-29' };
+
+      expect(dayKey(occurrenceDate(rule, 1))).toBe('2025-02-28');
+      expect(dayKey(occurrenceDate(rule, 4))).toBe('2028-02-29');
+    });
+  });
+
+  describe('occurrence lookup', () => {
+    const rule = { frequency: 'monthly', startDate: '2025-01-05' };
+
+    it('should find the first occurrence on or after a date', () => {
+      expect(indexOnOrAfter(rule, '2025-03-05')).toBe(2);
+      expect(indexOnOrAfter(rule, '2025-03-06')).toBe(3);
+    });
+
+    it('should recognise occurrence dates', () => {
+      expect(isOccurrence(rule, '2025-04-05')).toBe(true);
+      expect(isOccurrence(rule, '2025-04-06')).toBe(false);
+    });
+
+    it('should not recognise occurrences after the series has ended', () => {
+      expect(isOccurrence({ ...rule, endDate: '2025-03-31' }, '2025-04-05')).toBe(false);
+      expect(isOccurrence({ ...rule, occurrences: 3 }, '2025-03-05')).toBe(true);
+      expect(isOccurrence({ ...rule, occurrences: 3 }, '2025-04-05')).toBe(false);
+    });
+
+    it('should find indexes far from the start for every frequency', () => {
+      const daily = { frequency: 'daily', interval: 3, startDate: '2015-01-01T08:00:00Z' };
+      const weekly = { frequency: 'weekly', interval: 2, startDate: '2015-01-01' };
+      const monthEnd = { frequency: 'monthly', startDate: '2015-01-31' };
+      const leapDay = { frequency: 'yearly', startDate: '2016-02-29' };
+
+      expect(dayKey(occurrenceDate(daily, indexOnOrAfter(daily, '2025-06-15')))).toBe('2025-06-16');
+      expect(indexOnOrAfter(weekly, '2015-01-15')).toBe(1);
+      expect(indexOnOrAfter(weekly, '2015-01-16')).toBe(2);
+      expect(dayKey(occurrenceDate(monthEnd, indexOnOrAfter(monthEnd, '2025-02-28')))).toBe('2025-02-28');
+      expect(dayKey(occurrenceDate(monthEnd, indexOnOrAfter(monthEnd, '2025-03-01')))).toBe('2025-03-31');
+      expect(indexOnOrAfter(leapDay, '2025-03-01')).toBe(10);
+      expect(indexOnOrAfter(rule, '2024-01-01')).toBe(0);
+    });
+  });
+
+  describe('hasEnded', () => {
+    it('should end after the end date or occurrence count', () => {
+      expect(hasEnded({ endDate: '2025-06-30' }, new Date('2025-07-01'), 0)).toBe(true);
+      expect(hasEnded({ endDate: '2025-06-30' }, new Date('2025-06-30'), 0)).toBe(false);
+      expect(hasEnded({ occurrences: 3 }, new Date('2025-01-01'), 3)).toBe(true);
+    });
+  });
+
+  describe('upcomingOccurrences', () => {
+    it('should apply skip and modify exceptions', () => {
+      const rule = {
+        frequency: 'monthly',
+        startDate: '2025-01-01',
+        amount: 100,
+        category: 'Rent',
+        occurrences: 3,
+        exceptions: [
+          { date: new Date('2025-02-01'), action: 'skip' },
+          { date: new Date('2025-03-01'), action: 'modify', amount: 150 }
+        ]
+      };
+
+      const upcoming = upcomingOccurrences(rule, 5);
+
+      expect(upcoming).toHaveLength(3);
+      expect(upcoming[1].skipped).toBe(true);
+      expect(upcoming[2].amount).toBe(150);
+      expect(upcoming[2].category).toBe('Rent');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { xirr, cagr, performance, periodStart } = require('../utils/returns');
+
+const flow = (date, amount) => ({ date: new Date(date), amount });
+
+describe('Return Metrics', () => {
+  it('should match the spreadsheet XIRR for irregular flows', () => {
+    const { rate } = xirr([
+      flow('2008-01-01', -10000),
+      flow('2008-03-01', 2750),
+      flow('2008-10-30', 4250),
+      flow('2009-02-15', 3250),
+      flow('2009-04-01', 2750)
+    ]);
+
+    expect(rate).toBeCloseTo(0.373363, 5);
+  });
+
+  it('should find large losses as well as gains', () => {
+    expect(xirr([flow('2021-01-01', -1000), flow('2022-01-01', 100)]).rate).toBeCloseTo(-0.9, 4);
+    expect(xirr([flow('2021-01-01', -1000), flow('2023-01-01', 4000)]).rate).toBeCloseTo(1, 2);
+  });
+
+  it('should explain why there is no XIRR', () => {
+    expect(xirr([flow('2020-01-01', -1000)]).reason).toMatch('at least two');
+    expect(xirr([flow('2020-01-01', -1000), flow('2021-01-01', -500)]).reason).toMatch('both put in and taken out');
+    expect(xirr([flow('2020-01-01', -1000), flow('2020-01-01', 1100)]).reason).toMatch('same day');
+    expect(xirr([flow('2020-01-01', -100), flow('2020-01-02', 200)]).reason).toMatch('too short');
+  });
+
+  it('should compute CAGR only when it is defined', () => {
+    expect(cagr(1000, 1210, 2)).toBeCloseTo(0.1, 10);
+    expect(cagr(0, 1210, 2)).toBeNull();
+    expect(cagr(1000, 1210, 0)).toBeNull();
+  });
+
+  it('should measure a holding still held up to the end date', () => {
+    const result = performance([flow('2020-01-01', -1000)], { value: 1210, endDate: new Date('2021-12-31') });
+
+    expect(result).toMatchObject({ invested: 1000, returned: 0, value: 1210, gain: 210, absoluteReturn: 21, xirr: 10, cagr: 10 });
+    expect(result.holdingPeriod).toMatchObject({ days: 730, years: 2 });
+  });
+
+  it('should end a fully sold holding at its last sale', () => {
+    const result = performance(
+      [flow('2020-01-01', -1000), flow('2021-01-01', 1100)],
+      { value: 0, endDate: new Date('2026-01-01') }
+    );
+
+    expect(result.holdingPeriod.days).toBe(366);
+    expect(result.gain).toBe(100);
+    expect(result.xirr).toBeCloseTo(9.97, 1);
+  });
+
+  it('should report a single cash flow without rates', () => {
+    const result = performance([flow('2026-01-01', -1000)], { value: 1000, endDate: new Date('2026-01-01') });
+
+    expect(result.xirr).toBeNull();
+    expect(result.xirrUnavailable).toBeDefined();
+    expect(result.cagr).toBeNull();
+  });
+
+  it('should resolve named periods', () => {
+    const end = new Date('2026-03-31T12:00:00Z');
+
+    expect(periodStart('all', end)).toBeNull();
+    expect(periodStart('ytd', end).toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    expect(periodStart('1m', end).toISOString()).toBe('2026-02-28T00:00:00.000Z');
+    expect(periodStart('1y', end).toISOString()).toBe('2025-03-31T00:00:00.000Z');
+  });
+});
@@ -1,7 +1,28 @@
 const request = require('supertest');
+const mongoose = require('mongoose');
 const app = require('../server');
+const RecurringTransaction = require('../models/RecurringTransaction');
+
+// Everything but the health check needs the database that tests/globalSetup.js
+// provides; without one those tests are skipped rather than failing with 503s
+const describeWithDB = process.env.MONGODB_URI ? describe : describe.skip;
 
 describe('API Routes', () => {
+  // The server connects in the background; wait until it reports the database
+  beforeAll(async () => {
+    if (!process.env.MONGODB_URI) return;
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const res = await request(app).get('/api/health');
+      if (res.body.database === 'connected') return;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Test database did not connect');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
   describe('Health Check', () => {
     it('GET /api/health should return health status', async () => {
       const res = await request(app).get('/api/health');
@@ -13,7 +34,7 @@ describe('API Routes', () => {
     });
   });
 
-  describe('Authentication Routes', () => {
+  describeWithDB('Authentication Routes', () => {
     it('POST /api/auth/register should reject empty body', async () => {
       const res = await request(app)
         .post('/api/auth/register')
@@ -66,12 +87,73 @@ describe('API Routes', () => {
 
       expect(res.status).toBe(201);
       expect(res.body).toHaveProperty('token');
+      expect(res.body).toHaveProperty('refreshToken');
       expect(res.body).toHaveProperty('_id');
       expect(res.body).toHaveProperty('email');
     });
   });
 
-  describe('Protected Routes Without Auth', () => {
+  describeWithDB('Session Routes', () => {
+    let tokens;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Session Test User',
+          email: `sessiontest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      tokens = res.body;
+    });
+
+    it('POST /api/auth/refresh should require a refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/auth/refresh should detect refresh token reuse', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(first.status).toBe(200);
+      expect(first.body).toHaveProperty('refreshToken');
+
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(replay.status).toBe(401);
+
+      const revoked = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.refreshToken });
+
+      expect(revoked.status).toBe(401);
+    });
+
+    it('POST /api/auth/logout should reject the access token afterwards', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: tokens.email, password: 'Test@123' });
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${login.body.token}`);
+
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.token}`);
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describeWithDB('Protected Routes Without Auth', () => {
     it('GET /api/transactions should require authentication', async () => {
       const res = await request(app).get('/api/transactions');
 
@@ -95,9 +177,39 @@ describe('API Routes', () => {
 
       expect(res.status).toBe(401);
     });
+
+    it('GET /api/budgets should require authentication', async () => {
+      const res = await request(app).get('/api/budgets');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('GET /api/recurring should require authentication', async () => {
+      const res = await request(app).get('/api/recurring');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('GET /api/accounts should require authentication', async () => {
+      const res = await request(app).get('/api/accounts');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('GET /api/categories should require authentication', async () => {
+      const res = await request(app).get('/api/categories');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('GET /api/search should require authentication', async () => {
+      const res = await request(app).get('/api/search?q=amazon');
+
+      expect(res.status).toBe(401);
+    });
   });
 
-  describe('Transaction Routes Validation', () => {
+  describeWithDB('Transaction Routes Validation', () => {
     let authToken;
 
     beforeAll(async () => {
@@ -137,9 +249,101 @@ describe('API Routes', () => {
 
       expect(res.status).toBe(400);
     });
+
+    it('GET /api/transactions should return a page with pagination metadata', async () => {
+      await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Paging', type: 'expense' });
+
+      for (const amount of [10, 20, 30]) {
+        await request(app)
+          .post('/api/transactions')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ type: 'expense', amount, category: 'Paging', date: '2025-01-15' });
+      }
+
+      const first = await request(app)
+        .get('/api/transactions?category=Paging&limit=2&fields=amount')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(first.status).toBe(200);
+      expect(first.body.data).toHaveLength(2);
+      expect(first.body.pagination).toMatchObject({ total: 3, limit: 2, hasMore: true });
+      expect(first.body.data[0]).not.toHaveProperty('category');
+
+      const second = await request(app)
+        .get(`/api/transactions?category=Paging&limit=2&cursor=${first.body.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(second.body.data).toHaveLength(1);
+      expect(second.body.pagination.hasMore).toBe(false);
+      expect(first.body.data.map(t => t._id)).not.toContain(second.body.data[0]._id);
+    });
+
+    it('GET /api/transactions should validate sort and limit', async () => {
+      const badSort = await request(app)
+        .get('/api/transactions?sort=description')
+        .set('Authorization', `Bearer ${authToken}`);
+      const badLimit = await request(app)
+        .get('/api/transactions?limit=1000')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(badSort.status).toBe(400);
+      expect(badLimit.status).toBe(400);
+    });
+
+    it('GET /api/transactions should reject a malformed cursor', async () => {
+      const res = await request(app)
+        .get('/api/transactions?cursor=garbage')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/transactions should combine shorthand and JSON filters', async () => {
+      const filter = JSON.stringify({ or: [{ field: 'amount', op: 'lt', value: 15 }, { field: 'amount', op: 'gt', value: 25 }] });
+      const res = await request(app)
+        .get(`/api/transactions?category=Paging,Other&minAmount=5&filter=${encodeURIComponent(filter)}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(t => t.amount).sort()).toEqual([10, 30]);
+    });
+
+    it('GET /api/transactions should reject an invalid filter', async () => {
+      const filter = JSON.stringify({ field: 'amount', op: 'contains', value: '5' });
+      const res = await request(app)
+        .get(`/api/transactions?filter=${encodeURIComponent(filter)}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/transactions/import should require a statement file', async () => {
+      const res = await request(app)
+        .post('/api/transactions/import')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty('error', 'A statement file is required');
+    });
+
+    it('POST /api/transactions/import should preview a CSV without saving on dry run', async () => {
+      const res = await request(app)
+        .post('/api/transactions/import?dryRun=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('mapping', JSON.stringify({ date: 'Date', amount: 'Amount', description: 'Details' }))
+        .attach('file', Buffer.from('Date,Amount,Details\n2025-01-05,-15000,Rent\nbad-date,100,Oops\n'), 'statement.csv');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveProperty('dryRun', true);
+      expect(res.body).toHaveProperty('valid', 1);
+      expect(res.body).toHaveProperty('invalid', 1);
+    });
   });
 
-  describe('Goal Routes Validation', () => {
+  describeWithDB('Goal Routes Validation', () => {
     let authToken;
 
     beforeAll(async () => {
@@ -179,7 +383,7 @@ describe('API Routes', () => {
     });
   });
 
-  describe('Investment Routes Validation', () => {
+  describeWithDB('Investment Routes Validation', () => {
     let authToken;
 
     beforeAll(async () => {
@@ -220,7 +424,7 @@ describe('API Routes', () => {
     });
   });
 
-  describe('Password Change Validation', () => {
+  describeWithDB('Password Change Validation', () => {
     let authToken;
     let testUserEmail;
 
@@ -287,7 +491,7 @@ describe('API Routes', () => {
     });
   });
 
-  describe('Report Routes Validation', () => {
+  describeWithDB('Report Routes Validation', () => {
     let authToken;
 
     beforeAll(async () => {
@@ -316,5 +520,1559 @@ describe('API Routes', () => {
 
       expect(res.status).toBe(200);
     });
+
+    it('GET /api/reports/summary should reject unknown export formats', async () => {
+      const res = await request(app)
+        .get('/api/reports/summary?format=pdf')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/reports/summary should export CSV with the user currency in headers', async () => {
+      const res = await request(app)
+        .get('/api/reports/summary?format=csv')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.text.split('\n')[0]).toBe('Section,Name,Amount (USD)');
+    });
+  });
+
+  describeWithDB('Budget Routes Validation', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Budget Test User',
+          email: `budgettest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+    });
+
+    it('POST /api/budgets should validate amount is positive', async () => {
+      const res = await request(app)
+        .post('/api/budgets')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          category: 'Food',
+          amount: -500
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/budgets should validate start month format', async () => {
+      const res = await request(app)
+        .post('/api/budgets')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          category: 'Food',
+          amount: 5000,
+          startMonth: '2025-13'
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/reports/monthly should return budget figures per month', async () => {
+      await request(app)
+        .post('/api/budgets')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ category: 'Food', amount: 5000 });
+
+      await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', category: 'Food', amount: 1250 });
+
+      const res = await request(app)
+        .get('/api/reports/monthly?months=1')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body[0]).toHaveProperty('budget', 5000);
+      expect(res.body[0]).toHaveProperty('spent', 1250);
+      expect(res.body[0]).toHaveProperty('remaining', 3750);
+      expect(res.body[0]).toHaveProperty('percentUsed', 25);
+    });
+  });
+
+  describeWithDB('Recurring Transaction Routes Validation', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Recurring Test User',
+          email: `recurringtest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+    });
+
+    it('POST /api/recurring should validate frequency', async () => {
+      const res = await request(app)
+        .post('/api/recurring')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          type: 'expense',
+          category: 'Rent',
+          amount: 15000,
+          frequency: 'fortnightly',
+          startDate: '2025-01-05'
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/recurring should catch up on occurrences already due', async () => {
+      const res = await request(app)
+        .post('/api/recurring')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          type: 'expense',
+          category: 'Rent',
+          amount: 15000,
+          frequency: 'monthly',
+          startDate: '2025-01-05',
+          occurrences: 3
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toHaveProperty('status', 'completed');
+      expect(res.body).toHaveProperty('occurrenceCount', 3);
+    });
+
+    it('POST /api/recurring should record occurrences in the rule account and its currency', async () => {
+      const account = await request(app)
+        .post('/api/accounts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Rent Account', type: 'bank', currency: 'EUR' });
+
+      const mismatched = await request(app)
+        .post('/api/recurring')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', category: 'Rent', amount: 900, frequency: 'monthly', startDate: '2025-01-05', account: account.body._id, currency: 'USD' });
+      expect(mismatched.status).toBe(400);
+
+      const res = await request(app)
+        .post('/api/recurring')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', category: 'Rent', amount: 900, frequency: 'monthly', startDate: '2025-01-05', occurrences: 1, account: account.body._id });
+      expect(res.status).toBe(201);
+      expect(res.body.currency).toBe('EUR');
+
+      const transactions = await request(app)
+        .get(`/api/transactions?account=${account.body._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(transactions.body.data[0]).toMatchObject({ amount: 900, currency: 'EUR', account: account.body._id });
+    });
+
+    it('POST /api/recurring/:id/occurrences/:date/skip should reject dates after the series ends', async () => {
+      const rule = await request(app)
+        .post('/api/recurring')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', category: 'Rent', amount: 100, frequency: 'monthly', startDate: '2099-01-05', occurrences: 2 });
+
+      const res = await request(app)
+        .post(`/api/recurring/${rule.body._id}/occurrences/2099-03-05/skip`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/recurring/:id/resume should count occurrences passed over while paused', async () => {
+      const today = new Date(new Date().toISOString().slice(0, 10));
+      const rule = await request(app)
+        .post('/api/recurring')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', category: 'Rent', amount: 100, frequency: 'daily', startDate: today.toISOString(), occurrences: 5 });
+      expect(rule.body).toHaveProperty('occurrenceCount', 1);
+
+      // Pretend the rule was paused for two days after its first occurrence
+      await request(app)
+        .post(`/api/recurring/${rule.body._id}/pause`)
+        .set('Authorization', `Bearer ${authToken}`);
+      await RecurringTransaction.updateOne(
+        { _id: rule.body._id },
+        { startDate: new Date(today.getTime() - 3 * 24 * 60 * 60 * 1000) }
+      );
+
+      const res = await request(app)
+        .post(`/api/recurring/${rule.body._id}/resume`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveProperty('nextIndex', 3);
+      expect(res.body).toHaveProperty('occurrenceCount', 3);
+
+      const upcoming = await request(app)
+        .get(`/api/recurring/${rule.body._id}/upcoming?count=5`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(upcoming.body).toHaveLength(2);
+    });
+  });
+
+  describeWithDB('Account Routes Validation', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Account Test User',
+          email: `accounttest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+    });
+
+    it('POST /api/accounts should validate account type', async () => {
+      const res = await request(app)
+        .post('/api/accounts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Savings',
+          type: 'piggy_bank'
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/accounts/transfers should reject transfers to the same account', async () => {
+      const account = await request(app)
+        .post('/api/accounts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Wallet', type: 'cash', openingBalance: 1000 });
+
+      const res = await request(app)
+        .post('/api/accounts/transfers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          fromAccount: account.body._id,
+          toAccount: account.body._id,
+          amount: 100
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/transactions should reject a currency other than the account\'s', async () => {
+      const account = await request(app)
+        .post('/api/accounts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Euro Card', type: 'credit_card', currency: 'EUR' });
+
+      const res = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          type: 'expense',
+          amount: 40,
+          category: 'Food',
+          currency: 'USD',
+          account: account.body._id
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('PUT /api/accounts/:id should not change the currency once it has transactions', async () => {
+      const account = await request(app)
+        .post('/api/accounts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Checking', type: 'bank' });
+
+      await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', amount: 25, category: 'Food', account: account.body._id });
+
+      const res = await request(app)
+        .put(`/api/accounts/${account.body._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currency: 'EUR' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/accounts should default to the user\'s base currency', async () => {
+      await request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currency: 'INR' });
+
+      const res = await request(app)
+        .post('/api/accounts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Rupee Savings', type: 'savings' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.currency).toBe('INR');
+    });
+  });
+
+  describeWithDB('Exchange Rate Routes', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Exchange Rate Test User',
+          email: `ratetest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+    });
+
+    it('POST /api/exchange-rates should be admin only', async () => {
+      const res = await request(app)
+        .post('/api/exchange-rates')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rates: [{ base: 'USD', quote: 'INR', rate: 83, date: '2025-01-01' }] });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('GET /api/exchange-rates/convert should validate currencies', async () => {
+      const res = await request(app)
+        .get('/api/exchange-rates/convert?amount=10&from=XYZ&to=INR')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/transactions should validate currency', async () => {
+      const res = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          type: 'expense',
+          amount: 100,
+          category: 'Travel',
+          currency: 'XYZ'
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/transactions should stamp the base currency', async () => {
+      const res = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          type: 'expense',
+          amount: 100,
+          category: 'Travel'
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.currency).toBe('USD');
+    });
+  });
+
+  describeWithDB('Password Reset Routes', () => {
+    let testUserEmail;
+
+    beforeAll(async () => {
+      testUserEmail = `resettest${Date.now()}@example.com`;
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Reset Test User',
+          email: testUserEmail,
+          password: 'Test@123'
+        });
+    });
+
+    it('POST /api/auth/forgot-password should not reveal whether an email is registered', async () => {
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: testUserEmail });
+
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: `nobody${Date.now()}@example.com` });
+
+      expect(known.status).toBe(200);
+      expect(unknown.status).toBe(200);
+      expect(known.body).toEqual(unknown.body);
+    });
+
+    it('POST /api/auth/reset-password should reject an invalid token', async () => {
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({
+          token: 'not-a-real-token',
+          password: 'NewPassword@123'
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty('error', 'Invalid or expired reset token');
+    });
+  });
+
+  describeWithDB('Email Verification Routes', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Verification Test User',
+          email: `verifytest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+    });
+
+    it('POST /api/auth/register should start unverified', async () => {
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveProperty('emailVerified', false);
+    });
+
+    it('GET /api/auth/verify-email should reject an invalid token', async () => {
+      const res = await request(app)
+        .get('/api/auth/verify-email?token=not-a-real-token');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty('error', 'Invalid or expired verification token');
+    });
+
+    it('POST /api/auth/resend-verification should throttle repeated requests', async () => {
+      const res = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(429);
+    });
+  });
+
+  describeWithDB('Two-Factor Authentication Routes', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: '2FA Test User',
+          email: `twofactortest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+    });
+
+    it('GET /api/auth/2fa should start disabled', async () => {
+      const res = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveProperty('enabled', false);
+    });
+
+    it('POST /api/auth/2fa/setup should require the correct password', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'wrong-password' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/auth/2fa/setup should return a secret and otpauth URI', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'Test@123' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveProperty('secret');
+      expect(res.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    });
+
+    it('POST /api/auth/2fa/enable should reject a wrong code', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: '000000' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/auth/login/2fa should reject an invalid challenge token', async () => {
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'not-a-real-token', code: '123456' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describeWithDB('Saved Filter Routes', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Filter Test User',
+          email: `filtertest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+    });
+
+    it('POST /api/filters should validate the filter', async () => {
+      const res = await request(app)
+        .post('/api/filters')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Broken', filter: { field: 'nope', op: 'eq', value: 1 } });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/filters should save a filter usable by reports', async () => {
+      const created = await request(app)
+        .post('/api/filters')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Dining out over 500',
+          filter: {
+            and: [
+              { field: 'category', op: 'eq', value: 'Dining' },
+              { field: 'amount', op: 'gt', value: 500 },
+              { not: { field: 'description', op: 'contains', value: 'work trip' } }
+            ]
+          }
+        });
+
+      expect(created.status).toBe(201);
+
+      const report = await request(app)
+        .get(`/api/reports/summary?savedFilter=${created.body._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(report.status).toBe(200);
+      expect(report.body).toHaveProperty('transactionCount', 0);
+    });
+
+    it('GET /api/reports/summary should 404 for an unknown saved filter', async () => {
+      const res = await request(app)
+        .get('/api/reports/summary?savedFilter=507f1f77bcf86cd799439011')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describeWithDB('Search Routes', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Search Test User',
+          email: `searchtest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'income', amount: 45, category: 'Other Income', description: 'Amazon refund for headphones' });
+    });
+
+    it('GET /api/search should require a query', async () => {
+      const res = await request(app)
+        .get('/api/search')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/search should validate types', async () => {
+      const res = await request(app)
+        .get('/api/search?q=amazon&types=transactions,users')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/search should return grouped results with highlights', async () => {
+      const res = await request(app)
+        .get('/api/search?q=amazon%20refund')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.groups[0].type).toBe('transactions');
+      expect(res.body.groups[0].results[0].highlights.description).toContain('<mark>Amazon</mark>');
+    });
+  });
+
+  describeWithDB('Category Routes', () => {
+    let authToken;
+    let categories;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Category Test User',
+          email: `categorytest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      const list = await request(app)
+        .get('/api/categories?flat=true')
+        .set('Authorization', `Bearer ${authToken}`);
+      categories = Object.fromEntries(list.body.map(c => [c.name, c]));
+    });
+
+    it('GET /api/categories should return the default tree', async () => {
+      const res = await request(app)
+        .get('/api/categories')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      const food = res.body.find(c => c.name === 'Food');
+      expect(food.children.map(c => c.name)).toEqual(expect.arrayContaining(['Groceries', 'Dining Out']));
+    });
+
+    it('POST /api/categories should reject a name that differs only in case', async () => {
+      const res = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'food', type: 'expense' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/transactions should reject unknown or mismatched categories', async () => {
+      const unknown = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', amount: 10, category: 'Nonexistent' });
+      const mismatched = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', amount: 10, category: 'Salary' });
+
+      expect(unknown.status).toBe(400);
+      expect(mismatched.status).toBe(400);
+    });
+
+    it('POST /api/transactions should store the canonical category name', async () => {
+      const res = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', amount: 80, category: 'groceries' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.category).toBe('Groceries');
+    });
+
+    it('GET /api/reports/categories should roll up by parent category', async () => {
+      const res = await request(app)
+        .get('/api/reports/categories')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      const food = res.body.parents.find(p => p.category === 'Food');
+      expect(food.amount).toBe(80);
+      expect(food.children).toEqual([{ category: 'Groceries', amount: 80 }]);
+    });
+
+    it('PUT /api/categories/:id should rename and re-point transactions', async () => {
+      const res = await request(app)
+        .put(`/api/categories/${categories.Groceries._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Supermarket' });
+
+      expect(res.status).toBe(200);
+
+      const transactions = await request(app)
+        .get('/api/transactions?category=Supermarket')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(transactions.body.data).toHaveLength(1);
+    });
+
+    it('POST /api/categories/:id/merge should move transactions and delete the source', async () => {
+      const res = await request(app)
+        .post(`/api/categories/${categories.Groceries._id}/merge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ into: categories['Dining Out']._id });
+
+      expect(res.status).toBe(200);
+
+      const transactions = await request(app)
+        .get('/api/transactions?category=Dining Out')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(transactions.body.data).toHaveLength(1);
+    });
+
+    it('POST /api/categories/:id/merge should reject categories of different types', async () => {
+      const res = await request(app)
+        .post(`/api/categories/${categories.Salary._id}/merge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ into: categories.Shopping._id });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('DELETE /api/categories/:id should refuse categories with subcategories', async () => {
+      const res = await request(app)
+        .delete(`/api/categories/${categories.Food._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('DELETE /api/categories/:id should refuse categories named in saved filters', async () => {
+      const category = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Hobbies', type: 'expense' });
+      await request(app)
+        .post('/api/filters')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Hobby spending', filter: { field: 'category', op: 'in', value: ['Hobbies'] } });
+
+      const res = await request(app)
+        .delete(`/api/categories/${category.body._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describeWithDB('Categorization Rule Routes', () => {
+    let authToken;
+    let ruleId;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Rule Test User',
+          email: `ruletest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', amount: 18, category: 'Other Expenses', description: 'UBER *TRIP' });
+    });
+
+    it('POST /api/rules should reject a rule without conditions', async () => {
+      const res = await request(app)
+        .post('/api/rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Everything', actions: { category: 'Shopping' } });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/rules should take the type of the category it sets', async () => {
+      const res = await request(app)
+        .post('/api/rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Rides',
+          conditions: { descriptionContains: 'uber' },
+          actions: { category: 'public transport', tags: ['Rides'] }
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.conditions.type).toBe('expense');
+      expect(res.body.actions).toMatchObject({ category: 'Public Transport', tags: ['rides'] });
+      ruleId = res.body._id;
+    });
+
+    it('POST /api/transactions should categorize with matching rules', async () => {
+      const res = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', amount: 12, description: 'Uber ride home' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.category).toBe('Public Transport');
+      expect(res.body.tags).toEqual(['rides']);
+    });
+
+    it('GET /api/rules/:id/preview should list past matches and their changes', async () => {
+      const res = await request(app)
+        .get(`/api/rules/${ruleId}/preview`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.matched).toBe(2);
+      const old = res.body.transactions.find(t => t.description === 'UBER *TRIP');
+      expect(old.changes).toEqual({ category: 'Public Transport', tags: ['rides'] });
+    });
+
+    it('POST /api/rules/apply should update past transactions', async () => {
+      const res = await request(app)
+        .post('/api/rules/apply')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.updated).toBe(1);
+
+      const transactions = await request(app)
+        .get('/api/transactions?category=Public Transport')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(transactions.body.data).toHaveLength(2);
+    });
+  });
+
+  describeWithDB('Split Transaction Routes', () => {
+    let authToken;
+    let splitId;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Split Test User',
+          email: `splittest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+    });
+
+    it('POST /api/transactions should reject splits that do not add up', async () => {
+      const res = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          type: 'expense',
+          amount: 100,
+          splits: [{ category: 'Groceries', amount: 60 }, { category: 'Healthcare', amount: 30 }]
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/transactions should save a split under its largest line', async () => {
+      const res = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          type: 'expense',
+          amount: 100,
+          description: 'Supermarket receipt',
+          splits: [{ category: 'Groceries', amount: 60.5 }, { category: 'healthcare', amount: 39.5 }]
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.category).toBe('Groceries');
+      expect(res.body.splits.map(l => l.category)).toEqual(['Groceries', 'Healthcare']);
+      splitId = res.body._id;
+    });
+
+    it('PUT /api/transactions/:id should keep splits in step with the amount', async () => {
+      const res = await request(app)
+        .put(`/api/transactions/${splitId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 120 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/reports/categories should count each line in its own category', async () => {
+      const res = await request(app)
+        .get('/api/reports/categories')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.categories.find(c => c.category === 'Groceries').amount).toBe(60.5);
+      expect(res.body.categories.find(c => c.category === 'Healthcare').amount).toBe(39.5);
+    });
+
+    it('GET /api/transactions should match a split by any of its categories', async () => {
+      const res = await request(app)
+        .get('/api/transactions?category=Healthcare')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+    });
+  });
+
+  describeWithDB('Tag and Attachment Routes', () => {
+    let authToken;
+    let transactionId;
+    let attachmentId;
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Attachment Test User',
+          email: `attachmenttest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      const transaction = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', amount: 1200, category: 'Travel', description: 'Hotel', tags: ['Trip-Goa-2026', 'reimbursable'] });
+      transactionId = transaction.body._id;
+
+      await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'expense', amount: 300, category: 'Dining Out', tags: ['trip-goa-2026'] });
+    });
+
+    it('GET /api/transactions should filter by tag', async () => {
+      const res = await request(app)
+        .get('/api/transactions?tag=reimbursable')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].tags).toEqual(['trip-goa-2026', 'reimbursable']);
+    });
+
+    it('GET /api/reports/tags should total spending per tag', async () => {
+      const res = await request(app)
+        .get('/api/reports/tags')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.tags[0]).toMatchObject({ tag: 'trip-goa-2026', expenses: 1500, count: 2 });
+    });
+
+    it('POST /api/transactions/:id/attachments should reject disallowed content', async () => {
+      const res = await request(app)
+        .post(`/api/transactions/${transactionId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('file', Buffer.from('<html></html>'), { filename: 'receipt.png', contentType: 'image/png' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/transactions/:id/attachments should store a receipt', async () => {
+      const res = await request(app)
+        .post(`/api/transactions/${transactionId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('file', png, { filename: 'receipt.png', contentType: 'image/png' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ filename: 'receipt.png', mimeType: 'image/png', size: png.length });
+      expect(res.body).not.toHaveProperty('storageKey');
+      attachmentId = res.body._id;
+    });
+
+    it('GET /api/transactions/:id/attachments/:attachmentId should download the file', async () => {
+      const res = await request(app)
+        .get(`/api/transactions/${transactionId}/attachments/${attachmentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((response, done) => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => done(null, Buffer.concat(chunks)));
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('image/png');
+      expect(res.body.equals(png)).toBe(true);
+    });
+
+    it('DELETE /api/transactions/:id should remove its attachments', async () => {
+      await request(app)
+        .delete(`/api/transactions/${transactionId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const res = await request(app)
+        .get(`/api/transactions/${transactionId}/attachments/${attachmentId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describeWithDB('Goal Contribution Routes', () => {
+    let authToken;
+    let goalId;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Goal Ledger Test User',
+          email: `goalledgertest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      const goal = await request(app)
+        .post('/api/goals')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Laptop', target: 1000, current: 200, category: 'Savings' });
+      goalId = goal.body._id;
+    });
+
+    it('POST /api/goals/:id/contributions should complete a goal that reaches its target', async () => {
+      const res = await request(app)
+        .post(`/api/goals/${goalId}/contributions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'deposit', amount: 800, note: 'Bonus' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.goal).toMatchObject({ currentAmount: 1000, status: 'completed' });
+    });
+
+    it('POST /api/goals/:id/contributions should reopen a completed goal on withdrawal', async () => {
+      const res = await request(app)
+        .post(`/api/goals/${goalId}/contributions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'withdrawal', amount: 300 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.goal).toMatchObject({ currentAmount: 700, status: 'active' });
+    });
+
+    it('PUT /api/goals/:id should not change the currency of a goal with contributions', async () => {
+      const res = await request(app)
+        .put(`/api/goals/${goalId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currency: 'EUR' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/goals/:id/contributions should not withdraw more than the goal holds', async () => {
+      const res = await request(app)
+        .post(`/api/goals/${goalId}/contributions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'withdrawal', amount: 701 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/goals/:id/contributions should list the ledger with the opening balance', async () => {
+      const res = await request(app)
+        .get(`/api/goals/${goalId}/contributions?sort=createdAt`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(c => [c.type, c.amount, c.source])).toEqual([
+        ['deposit', 200, 'opening'],
+        ['deposit', 800, 'manual'],
+        ['withdrawal', 300, 'manual']
+      ]);
+    });
+
+    it('PUT /api/goals/:id should record a new current amount as an adjustment', async () => {
+      const res = await request(app)
+        .put(`/api/goals/${goalId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ current: 650 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.currentAmount).toBe(650);
+    });
+
+    it('GET /api/goals/projections should report status and the surplus the goals need', async () => {
+      const res = await request(app)
+        .get('/api/goals/projections?months=3')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.surplus).toHaveProperty('averageMonthly');
+      const laptop = res.body.goals.find(g => g.name === 'Laptop');
+      expect(laptop.remaining).toBe(350);
+      expect(['on-track', 'at-risk', 'behind']).toContain(laptop.status);
+    });
+
+    it('GET /api/goals/:id/history should return the running balance', async () => {
+      const res = await request(app)
+        .get(`/api/goals/${goalId}/history?interval=day`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      const last = res.body.points[res.body.points.length - 1];
+      expect(last).toMatchObject({ balance: 650, progress: 65 });
+    });
+  });
+
+  describeWithDB('Goal Funding Rule Routes', () => {
+    let authToken;
+    let goalId;
+    let transactionId;
+
+    const currentAmount = async () => {
+      const res = await request(app)
+        .get(`/api/goals/${goalId}/projection`)
+        .set('Authorization', `Bearer ${authToken}`);
+      return res.body.currentAmount;
+    };
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Goal Funding Test User',
+          email: `goalfundingtest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      const goal = await request(app)
+        .post('/api/goals')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Emergency Fund', target: 10000, category: 'Savings' });
+      goalId = goal.body._id;
+    });
+
+    it('POST /api/goals/:id/funding-rules should need a percentage for percentage rules', async () => {
+      const res = await request(app)
+        .post(`/api/goals/${goalId}/funding-rules`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'percentage', category: 'Salary' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/goals/:id/funding-rules should add a rule', async () => {
+      const res = await request(app)
+        .post(`/api/goals/${goalId}/funding-rules`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'percentage', percentage: 10, category: 'salary' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ type: 'percentage', percentage: 10, category: 'Salary', enabled: true });
+    });
+
+    it('POST /api/transactions should fund the goal from matching income', async () => {
+      const res = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'income', amount: 5000, category: 'Salary' });
+      transactionId = res.body._id;
+
+      expect(res.status).toBe(201);
+      expect(await currentAmount()).toBe(500);
+    });
+
+    it('PUT /api/transactions/:id should redo the contribution', async () => {
+      const res = await request(app)
+        .put(`/api/transactions/${transactionId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 6000 });
+
+      expect(res.status).toBe(200);
+      expect(await currentAmount()).toBe(600);
+    });
+
+    it('DELETE /api/transactions/:id should take the contribution back', async () => {
+      const res = await request(app)
+        .delete(`/api/transactions/${transactionId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await currentAmount()).toBe(0);
+    });
+
+    it('should fund the goal from recurring income and redo it when the occurrence is edited', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const rule = await request(app)
+        .post('/api/recurring')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'income', category: 'Salary', amount: 1000, frequency: 'monthly', startDate: today, occurrences: 1 });
+      expect(rule.status).toBe(201);
+      expect(await currentAmount()).toBe(100);
+
+      const res = await request(app)
+        .put(`/api/recurring/${rule.body._id}/occurrences/${today}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 2000 });
+      expect(res.status).toBe(200);
+      expect(await currentAmount()).toBe(200);
+    });
+  });
+
+  describeWithDB('Investment Transaction Routes', () => {
+    let authToken;
+    let investmentId;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Investment Lots Test User',
+          email: `investmentlotstest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      const investment = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Acme Corp', type: 'stock', units: 10, price: 100, purchaseDate: '2025-01-10' });
+      investmentId = investment.body._id;
+    });
+
+    it('POST /api/investments should record units and price as the first buy', async () => {
+      const res = await request(app)
+        .get(`/api/investments/${investmentId}/transactions`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0]).toMatchObject({ type: 'buy', units: 10, price: 100, amount: 1000 });
+    });
+
+    it('POST /api/investments/:id/transactions should reject selling more than is held', async () => {
+      const res = await request(app)
+        .post(`/api/investments/${investmentId}/transactions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'sell', units: 11, price: 120, date: '2025-03-01' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/investments/:id/transactions should realize gains FIFO', async () => {
+      await request(app)
+        .post(`/api/investments/${investmentId}/transactions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'buy', units: 10, price: 140, date: '2025-02-01' });
+
+      const res = await request(app)
+        .post(`/api/investments/${investmentId}/transactions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'sell', units: 12, price: 150, date: '2025-03-01' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.investment).toMatchObject({
+        units: 8,
+        averageCost: 140,
+        investedAmount: 1120,
+        realizedGain: 520,
+        currentValue: 1200
+      });
+    });
+
+    it('PUT /api/investments/:id should not change the currency of a holding with transactions', async () => {
+      const res = await request(app)
+        .put(`/api/investments/${investmentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currency: 'EUR' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/investments/:id/transactions should not trade on a lump holding', async () => {
+      const lump = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Index Fund', type: 'mutual_fund', investedAmount: 10000, purchaseDate: '2024-01-10' });
+
+      const res = await request(app)
+        .post(`/api/investments/${lump.body._id}/transactions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'buy', units: 10, price: 100, date: '2025-01-10' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/reports/investments should report realized and unrealized returns separately', async () => {
+      await request(app)
+        .post(`/api/investments/${investmentId}/transactions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'dividend', amount: 30, date: '2025-04-01' });
+
+      const res = await request(app)
+        .get('/api/reports/investments')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        totalUnrealizedReturns: 80,
+        totalRealizedReturns: 550,
+        totalReturns: 630,
+        realized: { gains: 520, income: 30, fees: 0 }
+      });
+    });
+  });
+
+  describeWithDB('Price and Revaluation Routes', () => {
+    let authToken;
+    let investmentId;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Price Test User',
+          email: `pricetest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      const investment = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Acme Corp', type: 'stock', symbol: 'acme', units: 10, price: 100 });
+      investmentId = investment.body._id;
+    });
+
+    it('POST /api/investments should store the symbol in upper case', async () => {
+      const res = await request(app)
+        .get('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.find(i => i._id === investmentId).symbol).toBe('ACME');
+    });
+
+    it('POST /api/prices should be admin only', async () => {
+      const res = await request(app)
+        .post('/api/prices')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ prices: [{ symbol: 'ACME', date: '2026-01-05', price: 120 }] });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('POST /api/investments/revalue should record a valuation for today', async () => {
+      const res = await request(app)
+        .post('/api/investments/revalue')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(res.status).toBe(200);
+
+      const valuations = await request(app)
+        .get(`/api/investments/${investmentId}/valuations`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(valuations.body).toHaveLength(1);
+      expect(valuations.body[0]).toMatchObject({ value: 1000, units: 10 });
+    });
+
+    it('GET /api/reports/investments/history should sum valuations per period', async () => {
+      const res = await request(app)
+        .get('/api/reports/investments/history?interval=month')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.points[res.body.points.length - 1]).toMatchObject({ value: 1000, invested: 1000 });
+    });
+  });
+
+  describeWithDB('Investment Performance Routes', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Performance Test User',
+          email: `performancetest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Index Fund', type: 'mutual_fund', investedAmount: 1000, currentValue: 1210, purchaseDate: '2024-01-01' });
+    });
+
+    it('GET /api/reports/investments/performance should validate the period', async () => {
+      const res = await request(app)
+        .get('/api/reports/investments/performance?period=2w')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/reports/investments/performance should report XIRR per holding, type and portfolio', async () => {
+      const res = await request(app)
+        .get('/api/reports/investments/performance')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.period).toBe('all');
+      expect(res.body.investments[0]).toMatchObject({ name: 'Index Fund', invested: 1000, value: 1210, gain: 210 });
+      expect(res.body.portfolio.xirr).toBeGreaterThan(0);
+      expect(res.body.byType.mutual_fund.xirr).toBe(res.body.portfolio.xirr);
+    });
+
+    it('GET /api/reports/investments/performance should exclude holdings with no valuation at the period start', async () => {
+      const res = await request(app)
+        .get('/api/reports/investments/performance?period=1y')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.excluded[0]).toMatchObject({ name: 'Index Fund' });
+      expect(res.body.portfolio).toBeNull();
+    });
+  });
+
+  describeWithDB('Deposit Interest and Maturity Routes', () => {
+    let authToken;
+    let ppfId;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Deposit Test User',
+          email: `deposittest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+    });
+
+    it('POST /api/investments should require an interest rate for fixed deposits', async () => {
+      const res = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Bank FD', type: 'fd', investedAmount: 100000, tenureMonths: 12 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/investments should accrue a fixed deposit and set its maturity', async () => {
+      const res = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Bank FD', type: 'fd', investedAmount: 100000, interestRate: 7, tenureMonths: 12, purchaseDate: '2025-01-01' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.compounding).toBe('quarterly');
+      expect(res.body.maturityDate.slice(0, 10)).toBe('2026-01-01');
+      expect(res.body.currentValue).toBe(107185.9);
+    });
+
+    it('POST /api/investments/:id/transactions should enforce the PPF yearly limit', async () => {
+      const created = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'PPF', type: 'ppf', investedAmount: 100000, purchaseDate: '2024-04-01' });
+      ppfId = created.body._id;
+      expect(created.body.maturityDate.slice(0, 10)).toBe('2040-04-01');
+
+      const res = await request(app)
+        .post(`/api/investments/${ppfId}/transactions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'deposit', amount: 60000, date: '2025-01-10' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('50000 more can be deposited');
+    });
+
+    it('POST /api/investments/:id/transactions should reject withdrawals during the lock-in', async () => {
+      const res = await request(app)
+        .post(`/api/investments/${ppfId}/transactions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'withdrawal', amount: 1000, date: '2026-01-10' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('allowed from 2030-04-01');
+    });
+
+    it('GET /api/investments/maturities should list deposits by maturity date', async () => {
+      const res = await request(app)
+        .get('/api/investments/maturities?includeMatured=true')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.map(m => m.name)).toEqual(['Bank FD', 'PPF']);
+      expect(res.body[0].maturityValue).toBe(107185.9);
+      expect(res.body[1].lockInEndDate.slice(0, 10)).toBe('2030-04-01');
+    });
+  });
+
+  describeWithDB('SIP Routes', () => {
+    let authToken;
+    let investmentId;
+    let sipId;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'SIP Test User',
+          email: `siptest${Date.now()}@example.com`,
+          password: 'Test@123'
+        });
+      authToken = res.body.token;
+
+      const investment = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Index Fund', type: 'mutual_fund', units: 10, price: 100, purchaseDate: '2025-01-01' });
+      investmentId = investment.body._id;
+    });
+
+    it('POST /api/sips should validate the day of month', async () => {
+      const res = await request(app)
+        .post('/api/sips')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ investment: investmentId, amount: 5000, dayOfMonth: 32 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('POST /api/sips should buy instalments already due', async () => {
+      const res = await request(app)
+        .post('/api/sips')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ investment: investmentId, amount: 5000, dayOfMonth: 5, startDate: '2025-01-05', endDate: '2025-03-05' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.status).toBe('completed');
+      expect(res.body.nextIndex).toBe(3);
+      sipId = res.body._id;
+
+      const instalments = await request(app)
+        .get(`/api/sips/${sipId}/instalments`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(instalments.body).toHaveLength(3);
+      expect(instalments.body[0]).toMatchObject({ type: 'buy', price: 100, units: 50 });
+    });
+
+    it('POST /api/sips/:id/pause should only pause active SIPs', async () => {
+      const res = await request(app)
+        .post(`/api/sips/${sipId}/pause`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('GET /api/sips/:id/missed should list instalments skipped while paused', async () => {
+      const created = await request(app)
+        .post('/api/sips')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ investment: investmentId, amount: 1000, dayOfMonth: 1, startDate: new Date(Date.now() + 86400000).toISOString() });
+      await request(app)
+        .post(`/api/sips/${created.body._id}/pause`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const res = await request(app)
+        .get(`/api/sips/${created.body._id}/missed`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([]);
+    });
   });
 });
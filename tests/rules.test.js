@@ -0,0 +1,61 @@
+const { matchesRule, applyRules, fillFromRules, changesFor } = require('../utils/rules');
+
+const rule = (conditions, actions, extra = {}) => ({ _id: extra.id || 'r', conditions, actions, ...extra });
+
+describe('Categorization Rules', () => {
+  it('should require every condition to match', () => {
+    const uber = rule({ descriptionContains: 'uber', maxAmount: 50, type: 'expense' }, { category: 'Transport' });
+
+    expect(matchesRule(uber, { type: 'expense', amount: 20, description: 'UBER *TRIP' })).toBe(true);
+    expect(matchesRule(uber, { type: 'expense', amount: 80, description: 'UBER *TRIP' })).toBe(false);
+    expect(matchesRule(uber, { type: 'income', amount: 20, description: 'Uber refund' })).toBe(false);
+  });
+
+  it('should match descriptions by regex and accounts by id', () => {
+    const salary = rule({ descriptionRegex: '^acme (corp|inc)', account: 'a1' }, { category: 'Salary' });
+
+    expect(matchesRule(salary, { type: 'income', amount: 5000, description: 'ACME Corp payroll', account: 'a1' })).toBe(true);
+    expect(matchesRule(salary, { type: 'income', amount: 5000, description: 'ACME Corp payroll', account: 'a2' })).toBe(false);
+    expect(matchesRule(salary, { type: 'income', amount: 5000, description: 'Payroll ACME Corp', account: 'a1' })).toBe(false);
+  });
+
+  it('should not match with a stored regex that is too slow to run', () => {
+    const slow = rule({ descriptionRegex: '(a+)+$' }, { category: 'Food' });
+
+    expect(matchesRule(slow, { type: 'expense', amount: 5, description: `${'a'.repeat(40)}!` })).toBe(false);
+  });
+
+  it('should never match transfers', () => {
+    expect(matchesRule(rule({ minAmount: 0 }, { tags: ['x'] }), { type: 'transfer', amount: 10 })).toBe(false);
+  });
+
+  it('should let the first rule set the category and add up tags', () => {
+    const rules = [
+      rule({ descriptionContains: 'amazon' }, { category: 'Shopping', tags: ['Online'] }, { id: 1 }),
+      rule({ descriptionContains: 'amazon prime' }, { category: 'Entertainment', payee: 'Amazon', tags: ['subscription'] }, { id: 2 }),
+      rule({ descriptionContains: 'amazon' }, { tags: ['ignored'] }, { id: 3, enabled: false })
+    ];
+
+    expect(applyRules(rules, { type: 'expense', amount: 9, description: 'Amazon Prime monthly' })).toEqual({
+      category: 'Shopping',
+      payee: 'Amazon',
+      tags: ['online', 'subscription'],
+      rules: [1, 2]
+    });
+  });
+
+  it('should only fill in what the user left blank', () => {
+    const rules = [rule({ descriptionContains: 'cafe' }, { category: 'Dining Out', payee: 'Cafe', tags: ['coffee'] })];
+
+    expect(fillFromRules({ type: 'expense', amount: 4, description: 'Corner cafe', category: 'Food', tags: ['work'] }, rules))
+      .toEqual({ type: 'expense', amount: 4, description: 'Corner cafe', category: 'Food', payee: 'Cafe', tags: ['work', 'coffee'] });
+  });
+
+  it('should report only the fields re-applying would change', () => {
+    const txn = { category: 'Shopping', payee: 'Amazon', tags: ['online'] };
+
+    expect(changesFor(txn, { category: 'Shopping', payee: 'Amazon', tags: ['online'] })).toBeNull();
+    expect(changesFor(txn, { category: 'Entertainment', tags: ['subscription'] }))
+      .toEqual({ category: 'Entertainment', tags: ['online', 'subscription'] });
+  });
+});
@@ -0,0 +1,39 @@
+const { searchTerms, highlight, highlightFields } = require('../utils/search');
+
+describe('Search Highlighting', () => {
+  it('should extract words and phrases, skipping negated terms and stop words', () => {
+    expect(searchTerms('that Amazon refund -prime "gift card"')).toEqual([
+      { phrase: 'gift card' },
+      { word: 'amazon' },
+      { word: 'refund' }
+    ]);
+  });
+
+  it('should mark every match, including other forms of a word', () => {
+    const terms = searchTerms('amazon refunds');
+
+    expect(highlight('Refunded by Amazon', terms)).toBe('<mark>Refunded</mark> by <mark>Amazon</mark>');
+  });
+
+  it('should escape HTML in the surrounding text', () => {
+    expect(highlight('<b>Amazon</b> & co', searchTerms('amazon')))
+      .toBe('&lt;b&gt;<mark>Amazon</mark>&lt;/b&gt; &amp; co');
+  });
+
+  it('should trim long text to a window around the first match', () => {
+    const text = `${'lorem ipsum '.repeat(20)}Amazon refund ${'dolor sit '.repeat(30)}`;
+    const snippet = highlight(text, searchTerms('amazon'), { maxLength: 60, context: 20 });
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('<mark>Amazon</mark>');
+  });
+
+  it('should only return fields that match', () => {
+    const doc = { title: 'Budget alert', message: 'You spent 90% of your Food budget' };
+
+    expect(highlightFields(doc, ['title', 'message'], searchTerms('food'))).toEqual({
+      message: 'You spent 90% of your <mark>Food</mark> budget'
+    });
+  });
+});
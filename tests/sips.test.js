@@ -0,0 +1,58 @@
+const {
+  instalmentDate,
+  instalmentAmount,
+  indexOnOrAfter,
+  upcomingInstalments,
+  pausedInstalments
+} = require('../utils/sips');
+const { dayKey } = require('../utils/recurrence');
+
+describe('SIP Schedules', () => {
+  const sip = { amount: 5000, dayOfMonth: 5, startDate: new Date('2025-01-20'), stepUpPercent: 10, nextIndex: 0 };
+
+  it('should start on the first instalment day on or after the start date', () => {
+    expect(dayKey(instalmentDate(sip, 0))).toBe('2025-02-05');
+    expect(dayKey(instalmentDate({ ...sip, dayOfMonth: 20 }, 0))).toBe('2025-01-20');
+    expect(dayKey(instalmentDate({ ...sip, dayOfMonth: 25 }, 11))).toBe('2025-12-25');
+  });
+
+  it('should fall on the last day of shorter months', () => {
+    const monthEnd = { ...sip, dayOfMonth: 31, startDate: new Date('2025-01-31') };
+
+    expect(dayKey(instalmentDate(monthEnd, 1))).toBe('2025-02-28');
+    expect(dayKey(instalmentDate(monthEnd, 2))).toBe('2025-03-31');
+  });
+
+  it('should find the first instalment on or after a day', () => {
+    const monthEnd = { ...sip, dayOfMonth: 31, startDate: new Date('2025-01-31') };
+
+    expect(indexOnOrAfter(sip, new Date('2024-06-01'))).toBe(0);
+    expect(indexOnOrAfter(sip, new Date('2025-02-05'))).toBe(0);
+    expect(indexOnOrAfter(sip, new Date('2025-02-06'))).toBe(1);
+    expect(indexOnOrAfter(sip, new Date('2027-01-05'))).toBe(23);
+    expect(indexOnOrAfter(monthEnd, new Date('2025-02-28'))).toBe(1);
+    expect(indexOnOrAfter(monthEnd, new Date('2025-03-01'))).toBe(2);
+  });
+
+  it('should step the amount up every twelve instalments', () => {
+    expect(instalmentAmount(sip, 11)).toBe(5000);
+    expect(instalmentAmount(sip, 12)).toBe(5500);
+    expect(instalmentAmount(sip, 24)).toBe(6050);
+    expect(instalmentAmount({ ...sip, stepUpPercent: 0 }, 30)).toBe(5000);
+  });
+
+  it('should preview upcoming instalments up to the end date', () => {
+    const upcoming = upcomingInstalments({ ...sip, nextIndex: 10, endDate: new Date('2026-03-05') }, 12);
+
+    expect(upcoming.map(i => dayKey(i.date))).toEqual(['2025-12-05', '2026-01-05', '2026-02-05', '2026-03-05']);
+    expect(upcoming.map(i => i.amount)).toEqual([5000, 5000, 5500, 5500]);
+  });
+
+  it('should list instalments that fell due while paused, but not one due today', () => {
+    const paused = pausedInstalments({ ...sip, nextIndex: 2 }, new Date('2025-06-05T09:00:00Z'));
+
+    expect(paused.map(i => dayKey(i.date))).toEqual(['2025-04-05', '2025-05-05']);
+    expect(paused[0]).toMatchObject({ amount: 5000, reason: 'paused' });
+    expect(indexOnOrAfter(sip, new Date('2025-06-05T09:00:00Z'))).toBe(4);
+  });
+});
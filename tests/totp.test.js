@@ -0,0 +1,47 @@
+const { base32Encode, base32Decode, hotp, generateCode, verifyCode, otpauthUri } = require('../utils/totp');
+
+// RFC 4226 / RFC 6238 test secret "12345678901234567890"
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  it('should match the RFC 4226 HOTP values', () => {
+    expect(hotp(SECRET, 0)).toBe('755224');
+    expect(hotp(SECRET, 1)).toBe('287082');
+    expect(hotp(SECRET, 9)).toBe('520489');
+  });
+
+  it('should match the RFC 6238 TOTP values truncated to 6 digits', () => {
+    expect(generateCode(SECRET, 59 * 1000)).toBe('287082');
+    expect(generateCode(SECRET, 1111111109 * 1000)).toBe('081804');
+  });
+
+  it('should accept codes within one step of drift and return the step', () => {
+    const time = 1111111109 * 1000;
+    const previous = generateCode(SECRET, time - 30 * 1000);
+
+    expect(verifyCode(SECRET, '081804', { time })).toBe(37037036);
+    expect(verifyCode(SECRET, previous, { time })).toBe(37037035);
+  });
+
+  it('should reject wrong or malformed codes', () => {
+    const time = 1111111109 * 1000;
+
+    expect(verifyCode(SECRET, '000000', { time })).toBeNull();
+    expect(verifyCode(SECRET, '12345', { time })).toBeNull();
+    expect(verifyCode(SECRET, undefined, { time })).toBeNull();
+    expect(verifyCode(SECRET, generateCode(SECRET, time - 90 * 1000), { time })).toBeNull();
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = otpauthUri(SECRET, 'user@example.com');
+
+    expect(uri.startsWith('otpauth://totp/CashCompass%3Auser%40example.com?')).toBe(true);
+    expect(uri).toContain(`secret=${SECRET}`);
+    expect(uri).toContain('issuer=CashCompass');
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const { removeAttachments } = require('./attachments');
+const { undoFundingRules, unlinkTransactions } = require('./goals');
+const { runAtomically } = require('./atomic');
+
+// Effect of a transaction on its account's balance
+const signedAmount = (t) => {
+  if (t.type === 'income' || t.transferDirection === 'in') return t.amount;
+  return -t.amount;
+};
+
+// Aggregation equivalent of signedAmount
+const signedAmountExpr = {
+  $cond: [
+    { $or: [{ $eq: ['$type', 'income'] }, { $eq: ['$transferDirection', 'in'] }] },
+    '$amount',
+    { $multiply: ['$amount', -1] }
+  ]
+};
+
+// Net transaction total per account, optionally only before a date
+const getAccountTotals = async (userId, accountIds, before) => {
+  const match = {
+    user: new mongoose.Types.ObjectId(userId),
+    account: { $in: accountIds.map(id => new mongoose.Types.ObjectId(id)) }
+  };
+  if (before) match.date = { $lt: before };
+
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    { $group: { _id: '$account', total: { $sum: signedAmountExpr }, count: { $sum: 1 } } }
+  ]);
+
+  return rows.reduce((acc, row) => {
+    acc[row._id.toString()] = { total: row.total, count: row.count };
+    return acc;
+  }, {});
+};
+
+// Find an account owned by the user that can still take new transactions
+const findActiveAccount = async (userId, accountId) => {
+  const account = await Account.findOne({ _id: accountId, user: userId });
+  if (!account) {
+    throw Object.assign(new Error('Account not found'), { status: 404 });
+  }
+  if (account.archived) {
+    throw Object.assign(new Error(`Account ${account.name} is archived`), { status: 400 });
+  }
+  return account;
+};
+
+// Amounts in an account are in the account's currency, since its balance is
+// a plain sum. Returns the currency to record (the account's when none is
+// given) and rejects a different one.
+const accountCurrency = (account, currency) => {
+  if (currency && currency !== account.currency) {
+    throw Object.assign(
+      new Error(`Account ${account.name} is in ${account.currency}; record ${currency} amounts in another account`),
+      { status: 400 }
+    );
+  }
+  return account.currency;
+};
+
+// Write both legs of a transfer together so a failure never leaves a debit
+// without its matching credit (in one database transaction, or on a
+// standalone server by removing the first leg if the second fails)
+const createTransfer = async ({ userId, from, to, amount, date, description }) => {
+  const outId = new mongoose.Types.ObjectId();
+  const inId = new mongoose.Types.ObjectId();
+  const base = {
+    user: userId,
+    type: 'transfer',
+    category: 'Transfer',
+    amount,
+    currency: from.currency,
+    date: date || new Date(),
+    description: description || `Transfer from ${from.name} to ${to.name}`
+  };
+
+  return runAtomically(
+    (session) => Transaction.create([
+      { ...base, _id: outId, account: from._id, transferDirection: 'out', linkedTransaction: inId },
+      { ...base, _id: inId, account: to._id, transferDirection: 'in', linkedTransaction: outId }
+    ], { session, ordered: true }),
+    () => Transaction.deleteMany({ _id: { $in: [outId, inId] } })
+  );
+};
+
+// Delete a transaction, taking the other leg with it when it is a transfer,
+// and then the files attached to them. What goal funding rules contributed for
+// them is taken back; other goal contributions that pointed at them stay in
+// the ledger.
+const deleteTransaction = async (transaction) => {
+  const ids = [transaction._id, transaction.linkedTransaction].filter(Boolean);
+
+  if (!transaction.linkedTransaction) {
+    await Transaction.deleteOne({ _id: transaction._id });
+  } else {
+    // Both legs go together; without a database transaction, a leg that was
+    // deleted before a failure is put back
+    const legs = await Transaction.find({ _id: { $in: ids }, user: transaction.user }).lean();
+    await runAtomically(
+      (session) => Transaction.deleteMany({ _id: { $in: ids }, user: transaction.user }, { session }),
+      async () => {
+        const left = (await Transaction.find({ _id: { $in: ids } }).distinct('_id')).map(String);
+        await Transaction.insertMany(legs.filter(l => !left.includes(String(l._id))));
+      }
+    );
+  }
+
+  await removeAttachments({ transaction: { $in: ids }, user: transaction.user });
+  await undoFundingRules(ids);
+  await unlinkTransactions(ids);
+};
+
+module.exports = {
+  signedAmount,
+  getAccountTotals,
+  findActiveAccount,
+  accountCurrency,
+  createTransfer,
+  deleteTransaction
+};
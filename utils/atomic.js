@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Multi-document transactions need a replica set or a sharded cluster; a
+// standalone mongod rejects them. Checked once per connection.
+let supported = null;
+
+const supportsTransactions = async () => {
+  if (supported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return supported;
+};
+
+// Run `work(session)` in a database transaction where the server supports
+// them. On a standalone server it runs without a session (work gets null) as
+// ordered writes, and `undo` is called when it fails to take back whatever
+// was already written.
+const runAtomically = async (work, undo) => {
+  if (await supportsTransactions()) {
+    let result;
+    await mongoose.connection.transaction(async (session) => {
+      result = await work(session);
+    });
+    return result;
+  }
+
+  try {
+    return await work(null);
+  } catch (error) {
+    if (undo) {
+      await undo().catch(err => console.error(`Undoing a partial write failed: ${err.message}`));
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  runAtomically
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+
+const MAX_FILE_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE || String(10 * 1024 * 1024)); // 10MB
+const MAX_PER_TRANSACTION = 10;
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'application/pdf'];
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// File type from the first bytes of its content, or null when it isn't one of
+// the allowed types. The client's Content-Type is never trusted on its own.
+const detectMimeType = (buffer) => {
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (['GIF87a', 'GIF89a'].includes(ascii(0, 6))) return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(4, 8) === 'ftyp' && HEIC_BRANDS.includes(ascii(8, 12))) return 'image/heic';
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+};
+
+// Filename safe to echo back in a Content-Disposition header
+const safeFilename = (name) => {
+  const base = path.basename(String(name || '')).replace(/[^\w.\- ]+/g, '_').trim();
+  return base.slice(-200) || 'attachment';
+};
+
+// Check an uploaded file and store it against a transaction (a multer file
+// held in memory)
+const saveAttachment = async (transaction, file) => {
+  const mimeType = detectMimeType(file.buffer);
+  if (!mimeType) {
+    throw badRequest(`Attachments must be one of: ${ALLOWED_TYPES.join(', ')}`);
+  }
+  const claimed = file.mimetype === 'image/jpg' ? 'image/jpeg' : file.mimetype;
+  if (claimed && claimed !== 'application/octet-stream' && claimed !== mimeType) {
+    throw badRequest(`File content is ${mimeType} but was uploaded as ${file.mimetype}`);
+  }
+
+  const count = await Attachment.countDocuments({ transaction: transaction._id });
+  if (count >= MAX_PER_TRANSACTION) {
+    throw badRequest(`A transaction can have at most ${MAX_PER_TRANSACTION} attachments`);
+  }
+
+  const storageKey = `attachments/${transaction.user}/${crypto.randomBytes(16).toString('hex')}`;
+  await getStorage().put(storageKey, file.buffer);
+
+  try {
+    const attachment = await Attachment.create({
+      user: transaction.user,
+      transaction: transaction._id,
+      filename: safeFilename(file.originalname),
+      mimeType,
+      size: file.buffer.length,
+      storageKey
+    });
+    // The storage key is internal, as in queries (select: false)
+    const { storageKey: key, ...saved } = attachment.toObject();
+    return saved;
+  } catch (error) {
+    await getStorage().remove(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+// Delete attachments matching a filter along with their stored files. A file
+// that can't be removed is logged and left behind rather than failing the
+// delete that triggered the cleanup.
+const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select('+storageKey');
+  if (attachments.length === 0) return 0;
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map(a => a._id) } });
+  for (const attachment of attachments) {
+    await getStorage().remove(attachment.storageKey)
+      .catch(err => console.error(`Failed to remove attachment ${attachment.storageKey}: ${err.message}`));
+  }
+  return attachments.length;
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  ALLOWED_TYPES,
+  detectMimeType,
+  safeFilename,
+  saveAttachment,
+  removeAttachments
+};
@@ -0,0 +1,142 @@
+const Budget = require('../models/Budget');
+const Transaction = require('../models/Transaction');
+const { createUserConverter } = require('./currency');
+const { getParentNames } = require('./categories');
+const { splitLines } = require('./splits');
+
+// Format a date as a YYYY-MM month key (local time, like the monthly report)
+const toMonthKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Shift a YYYY-MM month key by n months
+const addMonths = (monthKey, n) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return toMonthKey(new Date(year, month - 1 + n, 1));
+};
+
+// First and last instant of a YYYY-MM month
+const monthRange = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return {
+    start: new Date(year, month - 1, 1),
+    end: new Date(year, month, 0, 23, 59, 59, 999)
+  };
+};
+
+const buildLine = (category, budget, spent, rolledOver) => ({
+  category,
+  budget,
+  spent,
+  remaining: budget - spent,
+  percentUsed: budget > 0 ? Math.round((spent / budget) * 100) : 0,
+  rolledOver
+});
+
+// Walk a budget month by month from its start, carrying unspent amounts forward
+// when rollover is on. Returns { [monthKey]: { budget, rolledOver } }.
+const applyRollover = (budget, spending, months) => {
+  const lastMonth = months[months.length - 1];
+  const result = {};
+  let carry = 0;
+
+  for (let m = budget.startMonth; m <= lastMonth; m = addMonths(m, 1)) {
+    const available = budget.amount + carry;
+    const monthSpending = spending[m] || { total: 0, byCategory: {} };
+    const spent = budget.category === null
+      ? monthSpending.total
+      : (monthSpending.byCategory[budget.category] || 0);
+
+    result[m] = { budget: available, rolledOver: carry };
+    carry = budget.rollover ? Math.max(available - spent, 0) : 0;
+  }
+
+  return result;
+};
+
+// Budget vs actual figures for each of the given YYYY-MM months. Spending is
+// converted into the user's base currency (pass a converter to share its rates)
+// and can be narrowed with extra transaction conditions from utils/filters.
+const getBudgetReport = async (userId, months, converter, filter) => {
+  const sortedMonths = [...months].sort();
+  const budgets = await Budget.find({ user: userId });
+
+  const firstMonth = budgets.reduce(
+    (earliest, b) => (b.startMonth < earliest ? b.startMonth : earliest),
+    sortedMonths[0]
+  );
+
+  const transactions = await Transaction.find({
+    user: userId,
+    type: 'expense',
+    date: {
+      $gte: monthRange(firstMonth).start,
+      $lte: monthRange(sortedMonths[sortedMonths.length - 1]).end
+    },
+    ...filter
+  });
+
+  const currencyConverter = converter || await createUserConverter(userId);
+  const parents = await getParentNames(userId);
+  const spending = {};
+  for (const t of transactions) {
+    const amount = await currencyConverter.convert(t.amount, t.currency, t.date);
+    if (amount === null) continue;
+
+    const key = toMonthKey(t.date);
+    spending[key] = spending[key] || { total: 0, byCategory: {} };
+    spending[key].total += amount;
+
+    // Each split line counts against its own category's budget, and spending in
+    // a subcategory also counts against its parent's
+    const byCategory = spending[key].byCategory;
+    for (const line of splitLines(t)) {
+      const lineAmount = await currencyConverter.convert(line.amount, t.currency, t.date);
+      byCategory[line.category] = (byCategory[line.category] || 0) + lineAmount;
+      const parent = parents[line.category];
+      if (parent && parent !== line.category) {
+        byCategory[parent] = (byCategory[parent] || 0) + lineAmount;
+      }
+    }
+  }
+
+  const schedules = budgets.map(b => ({ budget: b, months: applyRollover(b, spending, sortedMonths) }));
+
+  return sortedMonths.reduce((report, month) => {
+    const monthSpending = spending[month] || { total: 0, byCategory: {} };
+    const active = schedules.filter(s => s.months[month]);
+
+    const overall = active.find(s => s.budget.category === null);
+    const categoryLines = active
+      .filter(s => s.budget.category !== null)
+      .map(s => buildLine(
+        s.budget.category,
+        s.months[month].budget,
+        monthSpending.byCategory[s.budget.category] || 0,
+        s.months[month].rolledOver
+      ));
+
+    const totalBudget = overall
+      ? overall.months[month].budget
+      : categoryLines.reduce((sum, line) => sum + line.budget, 0);
+
+    report[month] = {
+      month,
+      overall: overall
+        ? buildLine(null, overall.months[month].budget, monthSpending.total, overall.months[month].rolledOver)
+        : null,
+      categories: categoryLines,
+      spentByCategory: monthSpending.byCategory,
+      totals: buildLine(null, totalBudget, monthSpending.total, overall ? overall.months[month].rolledOver : 0)
+    };
+    return report;
+  }, {});
+};
+
+module.exports = {
+  toMonthKey,
+  addMonths,
+  monthRange,
+  getBudgetReport
+};
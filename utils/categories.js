@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const ImportMapping = require('../models/ImportMapping');
+const CategorizationRule = require('../models/CategorizationRule');
+const Goal = require('../models/Goal');
+const Sip = require('../models/Sip');
+const SavedFilter = require('../models/SavedFilter');
+const { renameCategoryInFilter } = require('./filters');
+const { runAtomically } = require('./atomic');
+const { DEFAULT_CATEGORIES } = require('../config/defaultCategories');
+
+const keyOf = (name) => String(name).trim().toLowerCase();
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Create the default category set for a new user
+const createDefaultCategories = async (userId) => {
+  const parents = await Category.insertMany(DEFAULT_CATEGORIES.map(({ children, ...c }) => ({
+    ...c,
+    nameKey: keyOf(c.name),
+    user: userId
+  })));
+
+  const children = DEFAULT_CATEGORIES.flatMap((c, i) => (c.children || []).map(name => ({
+    name,
+    nameKey: keyOf(name),
+    type: c.type,
+    icon: c.icon,
+    color: c.color,
+    parent: parents[i]._id,
+    user: userId
+  })));
+  await Category.insertMany(children);
+};
+
+// Users from before categories existed get the defaults plus a category for
+// every name their transactions already use. Spellings that differ only in
+// case ("food" vs "Food") are folded into one category.
+const ensureCategories = async (userId) => {
+  if (await Category.exists({ user: userId })) return;
+
+  try {
+    await createDefaultCategories(userId);
+
+    const used = await Transaction.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), type: { $in: ['income', 'expense'] } } },
+      { $group: { _id: { category: '$category', type: '$type' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    const byKey = new Map((await Category.find({ user: userId })).map(c => [c.nameKey, c.name]));
+    for (const { _id } of used) {
+      const name = String(_id.category || '').trim();
+      if (!name) continue;
+
+      const canonical = byKey.get(keyOf(name));
+      if (!canonical) {
+        await Category.create({ name, nameKey: keyOf(name), type: _id.type, user: userId });
+        byKey.set(keyOf(name), name);
+      } else if (canonical !== _id.category) {
+        await Transaction.updateMany({ user: userId, category: _id.category }, { category: canonical });
+      }
+    }
+  } catch (error) {
+    // Another request set the user up at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Find the user's category by name (any case), checking it suits the
+// transaction type. Throws a 400 for unknown or mismatched categories.
+const resolveCategory = async (userId, name, type) => {
+  await ensureCategories(userId);
+
+  const category = await Category.findOne({ user: userId, nameKey: keyOf(name) });
+  if (!category) {
+    throw badRequest(`Unknown category: ${name}`);
+  }
+  if (type && type !== 'transfer' && category.type !== type) {
+    throw badRequest(`${category.name} is an ${category.type} category`);
+  }
+  return category;
+};
+
+// Map of category name to the top-level category it rolls up into
+const getParentNames = async (userId) => {
+  const categories = await Category.find({ user: userId }).select('name parent');
+  const names = new Map(categories.map(c => [c._id.toString(), c.name]));
+  return categories.reduce((acc, c) => {
+    acc[c.name] = c.parent ? names.get(c.parent.toString()) : c.name;
+    return acc;
+  }, {});
+};
+
+// Group { category: amount } totals under their parent categories. Names that
+// aren't a known category stand on their own.
+const rollUpByParent = (totals, parents) => {
+  const groups = {};
+  for (const [category, amount] of Object.entries(totals)) {
+    const parent = parents[category] || category;
+    groups[parent] = groups[parent] || { category: parent, amount: 0, children: [] };
+    groups[parent].amount += amount;
+    if (parent !== category) {
+      groups[parent].children.push({ category, amount });
+    }
+  }
+  return Object.values(groups);
+};
+
+// Point everything that refers to a category by name at another name. When
+// both names already have a budget, the target's budget is kept.
+const repointCategory = async (userId, from, to, session) => {
+  await Transaction.updateMany({ user: userId, category: from }, { category: to }, { session });
+  await Transaction.updateMany(
+    { user: userId, 'splits.category': from },
+    { $set: { 'splits.$[s].category': to } },
+    { arrayFilters: [{ 's.category': from }], session }
+  );
+  await RecurringTransaction.updateMany({ user: userId, category: from }, { category: to }, { session });
+  await RecurringTransaction.updateMany(
+    { user: userId, 'exceptions.category': from },
+    { $set: { 'exceptions.$[e].category': to } },
+    { arrayFilters: [{ 'e.category': from }], session }
+  );
+  await ImportMapping.updateMany({ user: userId, defaultCategory: from }, { defaultCategory: to }, { session });
+  await CategorizationRule.updateMany({ user: userId, 'actions.category': from }, { 'actions.category': to }, { session });
+  await Goal.updateMany(
+    { user: userId, 'fundingRules.category': from },
+    { $set: { 'fundingRules.$[r].category': to } },
+    { arrayFilters: [{ 'r.category': from }], session }
+  );
+  await Goal.updateMany({ user: userId, category: from }, { category: to }, { session });
+  await Sip.updateMany({ user: userId, category: from }, { category: to }, { session });
+
+  const filters = await SavedFilter.find({ user: userId }).session(session);
+  for (const saved of filters) {
+    const filter = renameCategoryInFilter(saved.filter, from, to);
+    if (JSON.stringify(filter) !== JSON.stringify(saved.filter)) {
+      await SavedFilter.updateOne({ _id: saved._id }, { filter }, { session });
+    }
+  }
+
+  const targetBudget = await Budget.exists({ user: userId, category: to }).session(session);
+  if (targetBudget) {
+    await Budget.deleteMany({ user: userId, category: from }, { session });
+  } else {
+    await Budget.updateMany({ user: userId, category: from }, { category: to }, { session });
+  }
+};
+
+// Rename a category and everything recorded under its old name. Without a
+// database transaction the records are repointed before the category is
+// renamed, so repeating a rename that failed part way finishes it.
+const renameCategory = async (category, name) => {
+  const clash = await Category.findOne({ user: category.user, nameKey: keyOf(name), _id: { $ne: category._id } });
+  if (clash) {
+    throw badRequest(`A category named ${clash.name} already exists`);
+  }
+
+  const previous = category.name;
+  await runAtomically(async (session) => {
+    category.name = name;
+    if (previous !== category.name) {
+      await repointCategory(category.user, previous, category.name, session);
+    }
+    await category.save({ session });
+  });
+  return category;
+};
+
+// Fold one category into another: its transactions, budgets and rules move to
+// the target, its subcategories move under the target, and it is deleted.
+// The source is deleted last, so without a database transaction repeating a
+// merge that failed part way finishes it.
+const mergeCategory = async (source, target) => {
+  if (source._id.equals(target._id)) {
+    throw badRequest('Cannot merge a category into itself');
+  }
+  if (source.type !== target.type) {
+    throw badRequest('Categories must have the same type to be merged');
+  }
+  if (target.parent && target.parent.equals(source._id)) {
+    throw badRequest('Cannot merge a category into one of its subcategories');
+  }
+
+  const hasChildren = await Category.exists({ parent: source._id });
+  if (hasChildren && target.parent) {
+    throw badRequest(`${source.name} has subcategories; merge it into a top-level category`);
+  }
+
+  await runAtomically(async (session) => {
+    await Category.updateMany({ parent: source._id }, { parent: target._id }, { session });
+    await repointCategory(source.user, source.name, target.name, session);
+    await Category.deleteOne({ _id: source._id }, { session });
+  });
+  return target;
+};
+
+module.exports = {
+  createDefaultCategories,
+  ensureCategories,
+  resolveCategory,
+  getParentNames,
+  rollUpByParent,
+  renameCategory,
+  mergeCategory
+};
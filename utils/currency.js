@@ -0,0 +1,160 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Goal = require('../models/Goal');
+const Investment = require('../models/Investment');
+const InvestmentValuation = require('../models/InvestmentValuation');
+const CURRENCIES = require('../config/currencies');
+const { getProvider } = require('./rateProviders');
+
+// Cross rates go through this currency when there is no direct rate
+const PIVOT_CURRENCY = 'USD';
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+const startOfDay = (date) => new Date(`${dayKey(date)}T00:00:00.000Z`);
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Insert or replace rates, one per (base, quote, day)
+const upsertRates = async (rates, source = 'manual') => {
+  if (rates.length === 0) return { upserted: 0, modified: 0 };
+
+  const result = await ExchangeRate.bulkWrite(rates.map(r => ({
+    updateOne: {
+      filter: { base: r.base, quote: r.quote, date: startOfDay(r.date) },
+      update: { $set: { rate: r.rate, source: r.source || source } },
+      upsert: true
+    }
+  })));
+  return { upserted: result.upsertedCount, modified: result.modifiedCount };
+};
+
+// Pull a day's rates for a base currency from the configured provider and store them
+const syncRates = async (base, date = new Date(), providerName) => {
+  const provider = getProvider(providerName);
+  const rates = (await provider.fetchRates(base, dayKey(date)))
+    .filter(r => CURRENCIES.includes(r.quote) && r.quote !== base && r.rate > 0)
+    .map(r => ({ base, quote: r.quote, rate: r.rate, date, source: provider.name }));
+
+  await upsertRates(rates, provider.name);
+  return rates;
+};
+
+// Most recent stored rate on or before the date, using the inverse pair if that is newer
+const findStoredRate = async (from, to, date) => {
+  const [direct, inverse] = await Promise.all([
+    ExchangeRate.findOne({ base: from, quote: to, date: { $lte: date } }).sort({ date: -1 }),
+    ExchangeRate.findOne({ base: to, quote: from, date: { $lte: date } }).sort({ date: -1 })
+  ]);
+
+  if (direct && (!inverse || direct.date >= inverse.date)) {
+    return { rate: direct.rate, date: direct.date, source: direct.source };
+  }
+  if (inverse) {
+    return { rate: 1 / inverse.rate, date: inverse.date, source: inverse.source, inverted: true };
+  }
+  return null;
+};
+
+// Rate to convert `from` into `to` on a date: stored rates first, then the
+// provider, then a cross rate through the pivot currency
+const lookupRate = async (from, to, date) => {
+  if (from === to) return { rate: 1, date: startOfDay(date), source: 'identity' };
+
+  let found = await findStoredRate(from, to, date);
+
+  if ((!found || dayKey(found.date) !== dayKey(date)) && getProvider().name !== 'manual') {
+    try {
+      await syncRates(from, date);
+      found = (await findStoredRate(from, to, date)) || found;
+    } catch (err) {
+      console.error(`Exchange rate provider failed for ${from}/${to}: ${err.message}`);
+    }
+  }
+
+  if (!found && from !== PIVOT_CURRENCY && to !== PIVOT_CURRENCY) {
+    const [leg1, leg2] = await Promise.all([
+      findStoredRate(from, PIVOT_CURRENCY, date),
+      findStoredRate(PIVOT_CURRENCY, to, date)
+    ]);
+    if (leg1 && leg2) {
+      found = {
+        rate: leg1.rate * leg2.rate,
+        date: leg1.date < leg2.date ? leg1.date : leg2.date,
+        source: `cross:${PIVOT_CURRENCY}`
+      };
+    }
+  }
+
+  return found;
+};
+
+// Converts amounts into a base currency, caching lookups and recording which
+// rates were applied (and which were missing) for the response
+const createConverter = (baseCurrency) => {
+  const lookups = new Map();
+  const used = new Map();
+  const missing = new Map();
+
+  const convert = async (amount, currency, date = new Date()) => {
+    if (!currency || currency === baseCurrency) return amount;
+
+    const key = `${currency}:${dayKey(date)}`;
+    if (!lookups.has(key)) lookups.set(key, lookupRate(currency, baseCurrency, date));
+    const found = await lookups.get(key);
+
+    if (!found) {
+      missing.set(key, { from: currency, to: baseCurrency, date: dayKey(date) });
+      return null;
+    }
+
+    used.set(key, {
+      from: currency,
+      to: baseCurrency,
+      date: dayKey(date),
+      rate: found.rate,
+      rateDate: dayKey(found.date),
+      source: found.source
+    });
+    return round(amount * found.rate);
+  };
+
+  return {
+    baseCurrency,
+    convert,
+    ratesUsed: () => [...used.values()],
+    missingRates: () => [...missing.values()]
+  };
+};
+
+// The user's base currency, which new records are stamped with when they
+// don't name one of their own
+const userCurrency = async (userId) => {
+  const user = await User.findById(userId).select('currency');
+  return user?.currency || 'USD';
+};
+
+// Converter into the user's base currency
+const createUserConverter = async (userId) => createConverter(await userCurrency(userId));
+
+// Records with their own currency, where older ones may have none and so are
+// read as being in the base currency
+const CURRENCY_MODELS = [Transaction, RecurringTransaction, Goal, Investment, InvestmentValuation];
+
+// Give records with no currency the one they were recorded in, so they keep
+// their meaning when the user's base currency changes
+const stampCurrency = async (userId, currency) => {
+  await Promise.all(CURRENCY_MODELS.map(Model =>
+    Model.updateMany({ user: userId, currency: null }, { $set: { currency } })
+  ));
+};
+
+module.exports = {
+  upsertRates,
+  syncRates,
+  lookupRate,
+  createConverter,
+  userCurrency,
+  createUserConverter,
+  stampCurrency
+};
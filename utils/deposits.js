@@ -0,0 +1,197 @@
+// Interest accrual for fixed deposits and PPF accounts. Rates are percentages
+// per year; dates are treated as UTC days.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+// Interest periods per year for each compounding frequency
+const COMPOUNDING = {
+  monthly: 12,
+  quarterly: 4,
+  'half-yearly': 2,
+  yearly: 1
+};
+const COMPOUNDING_OPTIONS = ['simple', ...Object.keys(COMPOUNDING)];
+
+// Public Provident Fund rules: deposits are capped per financial year (April
+// to March), the account matures fifteen full financial years after the one
+// it was opened in and can be extended in blocks of five years, and
+// withdrawals are allowed from the seventh financial year
+const PPF_YEARLY_LIMIT = 150000;
+const PPF_TENURE_YEARS = 15;
+const PPF_EXTENSION_YEARS = 5;
+const PPF_LOCK_IN_YEARS = 6;
+const PPF_DEFAULT_RATE = 7.1;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Same day of the month `months` later, clamped to the end of shorter months
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(d.getUTCDate(), lastDay)));
+};
+
+// Whole months from one date to another (a month counts once its day is reached)
+const monthsBetween = (from, to) => {
+  const a = new Date(from);
+  const b = new Date(to);
+  const months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + b.getUTCMonth() - a.getUTCMonth();
+  return addMonths(a, months) > b ? months - 1 : months;
+};
+
+// Calendar year an April-to-March financial year starts in
+const financialYear = (date) => {
+  const d = new Date(date);
+  return d.getUTCMonth() >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+};
+
+const financialYearLabel = (year) => `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+
+// A PPF account matures on the first day after its fifteenth full financial year
+const ppfMaturityDate = (openDate) => new Date(Date.UTC(financialYear(openDate) + PPF_TENURE_YEARS + 1, 3, 1));
+
+const ppfLockInEndDate = (openDate) => new Date(Date.UTC(financialYear(openDate) + PPF_LOCK_IN_YEARS, 3, 1));
+
+// Whether a maturity date is the account's own or an extension of it
+const isPpfMaturity = (openDate, maturityDate) => {
+  const base = ppfMaturityDate(openDate);
+  const d = new Date(maturityDate);
+  const years = d.getUTCFullYear() - base.getUTCFullYear();
+  return dayKey(d).slice(4) === dayKey(base).slice(4) && years >= 0 && years % PPF_EXTENSION_YEARS === 0;
+};
+
+// Value of a fixed deposit on a day. Interest compounds at the end of each
+// full period from the start date and accrues simply within the current one;
+// nothing accrues after maturity.
+const fdValue = ({ principal, rate, compounding = 'quarterly', startDate, maturityDate }, date) => {
+  const end = maturityDate && new Date(date) > new Date(maturityDate) ? new Date(maturityDate) : new Date(date);
+  if (!(principal > 0) || !(rate > 0) || end <= new Date(startDate)) return round(principal || 0);
+
+  const r = rate / 100;
+  if (compounding === 'simple') {
+    return round(principal * (1 + r * (end - new Date(startDate)) / DAY_MS / YEAR_DAYS));
+  }
+
+  const perYear = COMPOUNDING[compounding];
+  const periodMonths = 12 / perYear;
+  const periods = Math.floor(monthsBetween(startDate, end) / periodMonths);
+  const compounded = principal * Math.pow(1 + r / perYear, periods);
+  const since = addMonths(startDate, periods * periodMonths);
+  return round(compounded * (1 + r * (end - since) / DAY_MS / YEAR_DAYS));
+};
+
+// Balance of a PPF account on a day from its deposits (withdrawals are
+// negative). Interest is earned each month on the lowest balance between the
+// 5th and the end of the month and credited at the end of each financial
+// year; interest earned but not yet credited is included.
+const ppfValue = ({ rate, startDate, maturityDate }, deposits, date) => {
+  const end = maturityDate && new Date(date) > new Date(maturityDate) ? new Date(maturityDate) : new Date(date);
+  const flows = deposits
+    .filter(d => new Date(d.date) <= end)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  if (flows.length === 0) return 0;
+
+  const first = new Date(Math.min(new Date(startDate), new Date(flows[0].date)));
+  let month = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), 1));
+  let balance = 0;
+  let pending = 0;
+  let next = 0;
+
+  while (month <= end) {
+    const monthEnd = addMonths(month, 1);
+    const fifth = new Date(month.getTime() + 5 * DAY_MS);
+
+    // Deposits up to the 5th count for the whole month; anything later can
+    // only lower the month's balance
+    while (next < flows.length && new Date(flows[next].date) < fifth) balance += flows[next++].amount;
+    let lowest = balance;
+    while (next < flows.length && new Date(flows[next].date) < monthEnd) {
+      balance += flows[next++].amount;
+      lowest = Math.min(lowest, balance);
+    }
+
+    if (monthEnd > end) break;
+    pending += Math.max(lowest, 0) * rate / 100 / 12;
+    if (month.getUTCMonth() === 2) {
+      balance += round(pending);
+      pending = 0;
+    }
+    month = monthEnd;
+  }
+
+  return round(balance + pending);
+};
+
+// Check a PPF account's deposits and withdrawals against the scheme's rules,
+// throwing a 400 for the first one that breaks them
+const checkPpfDeposits = ({ rate, startDate, maturityDate }, deposits) => {
+  const sorted = [...deposits].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const lockInEnd = ppfLockInEndDate(startDate);
+  const yearly = new Map();
+
+  sorted.forEach((d, index) => {
+    const date = new Date(d.date);
+    if (date < new Date(dayKey(startDate))) {
+      throw badRequest(`The PPF account was opened on ${dayKey(startDate)}, after ${dayKey(date)}`);
+    }
+    if (maturityDate && date >= new Date(maturityDate)) {
+      throw badRequest(`The PPF account matured on ${dayKey(maturityDate)}; extend it to record later deposits and withdrawals`);
+    }
+
+    if (d.amount > 0) {
+      const year = financialYear(date);
+      const total = round((yearly.get(year) || 0) + d.amount);
+      if (total > PPF_YEARLY_LIMIT) {
+        throw badRequest(`PPF deposits are limited to ${PPF_YEARLY_LIMIT} per financial year; ${round(PPF_YEARLY_LIMIT - (yearly.get(year) || 0))} more can be deposited in ${financialYearLabel(year)}`);
+      }
+      yearly.set(year, total);
+    } else {
+      if (date < lockInEnd) {
+        throw badRequest(`PPF withdrawals are allowed from ${dayKey(lockInEnd)}`);
+      }
+      const balance = ppfValue({ rate, startDate, maturityDate }, sorted.slice(0, index), date);
+      if (-d.amount > balance) {
+        throw badRequest(`Cannot withdraw ${-d.amount} on ${dayKey(date)}; the balance was ${balance}`);
+      }
+    }
+  });
+};
+
+// Deposits made in each financial year, with what could still be deposited
+const ppfContributions = (deposits) => {
+  const yearly = new Map();
+  for (const d of deposits) {
+    if (d.amount <= 0) continue;
+    const year = financialYear(d.date);
+    yearly.set(year, round((yearly.get(year) || 0) + d.amount));
+  }
+  return [...yearly.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([year, deposited]) => ({
+      financialYear: financialYearLabel(year),
+      deposited,
+      remaining: round(PPF_YEARLY_LIMIT - deposited)
+    }));
+};
+
+module.exports = {
+  COMPOUNDING_OPTIONS,
+  PPF_YEARLY_LIMIT,
+  PPF_DEFAULT_RATE,
+  addMonths,
+  financialYear,
+  ppfMaturityDate,
+  ppfLockInEndDate,
+  isPpfMaturity,
+  fdValue,
+  ppfValue,
+  checkPpfDeposits,
+  ppfContributions
+};
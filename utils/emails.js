@@ -0,0 +1,33 @@
+// Transactional email content
+
+const appUrl = (pathname) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${pathname}`;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const passwordResetEmail = (user, token, ttlMinutes) => {
+  const link = appUrl(`/reset-password?token=${token}`);
+  return {
+    to: user.email,
+    subject: 'Reset your CashCompass password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Use the link below within ${ttlMinutes} minutes to choose a new one:\n\n${link}\n\nIf you didn't ask for this, you can ignore this email; your password won't change.\n`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Use the link below within ${ttlMinutes} minutes to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>If you didn't ask for this, you can ignore this email; your password won't change.</p>`
+  };
+};
+
+const verificationEmail = (user, token, ttlHours) => {
+  const link = appUrl(`/verify-email?token=${token}`);
+  return {
+    to: user.email,
+    subject: 'Verify your CashCompass email address',
+    text: `Hi ${user.name},\n\nPlease confirm that this is your email address by opening the link below within ${ttlHours} hours:\n\n${link}\n\nIf you didn't create a CashCompass account, you can ignore this email.\n`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm that this is your email address by opening the link below within ${ttlHours} hours:</p><p><a href="${link}">Verify email</a></p><p>If you didn't create a CashCompass account, you can ignore this email.</p>`
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  passwordResetEmail,
+  verificationEmail
+};
@@ -0,0 +1,89 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const MIME_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json'
+};
+
+// Export format from ?format= or the Accept header; null means a normal JSON response
+const resolveExportFormat = (req) => {
+  if (req.query.format) return req.query.format;
+  const accepted = req.accepts(['application/json', MIME_TYPES.csv, MIME_TYPES.xlsx]);
+  if (accepted === MIME_TYPES.csv) return 'csv';
+  if (accepted === MIME_TYPES.xlsx) return 'xlsx';
+  return null;
+};
+
+// Text starting with one of these is run as a formula by spreadsheet apps, so
+// imported descriptions like "=HYPERLINK(...)" get a leading ' to stay text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = (value) => (
+  typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value
+);
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString().slice(0, 10) : String(neutralizeFormula(value));
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Write to the response, waiting for it to drain so large exports never buffer
+const write = (res, chunk) => new Promise((resolve) => {
+  if (res.write(chunk)) return resolve();
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+// Stream rows (an array or async iterable such as a Mongoose cursor) as a file
+// download. Columns are { header, value(row) }.
+const sendExport = async (res, { format, filename, sheetName = 'Export', columns, rows }) => {
+  res.setHeader('Content-Type', MIME_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'csv') {
+    await write(res, columns.map(c => escapeCsv(c.header)).join(',') + '\n');
+    for await (const row of rows) {
+      if (res.destroyed) break;
+      await write(res, columns.map(c => escapeCsv(c.value(row))).join(',') + '\n');
+    }
+    return res.end();
+  }
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(c => ({ header: c.header, width: c.width || 18 }));
+    for await (const row of rows) {
+      sheet.addRow(columns.map(c => neutralizeFormula(c.value(row)))).commit();
+    }
+    sheet.commit();
+    return workbook.commit();
+  }
+
+  await write(res, '[');
+  let first = true;
+  for await (const row of rows) {
+    if (res.destroyed) break;
+    const record = columns.reduce((acc, c) => ({ ...acc, [c.key || c.header]: c.value(row) }), {});
+    await write(res, (first ? '' : ',') + JSON.stringify(record));
+    first = false;
+  }
+  await write(res, ']');
+  res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  escapeCsv,
+  sendExport
+};
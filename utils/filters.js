@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const SavedFilter = require('../models/SavedFilter');
+
+// Transaction fields a filter may test, and how their values are read
+const FIELDS = {
+  type: 'string',
+  category: 'string',
+  description: 'string',
+  currency: 'string',
+  amount: 'number',
+  date: 'date',
+  account: 'objectId',
+  // Array field: a condition matches when any tag does (ne/nin when none does)
+  tags: 'string'
+};
+
+const OPERATORS = {
+  eq: ['string', 'number', 'date', 'objectId'],
+  ne: ['string', 'number', 'date', 'objectId'],
+  gt: ['number', 'date'],
+  gte: ['number', 'date'],
+  lt: ['number', 'date'],
+  lte: ['number', 'date'],
+  in: ['string', 'number', 'objectId'],
+  nin: ['string', 'number', 'objectId'],
+  contains: ['string'],
+  regex: ['string']
+};
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const MAX_PATTERN_LENGTH = 100;
+const MAX_QUANTIFIERS = 10;
+const MAX_UNBOUNDED = 2;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether a pattern can backtrack catastrophically (or just for very long):
+// - a group repeated with *, + or {} that itself holds a quantifier or an
+//   alternation, like (a+)+ or (a|ab)*
+// - two unbounded quantifiers with nothing required between them, like .*.*
+//   or \s*\s+
+// - more than MAX_UNBOUNDED unbounded quantifiers (each can multiply the work
+//   by the length of the text) or MAX_QUANTIFIERS quantifiers in all
+// - a backreference
+// Stricter than it needs to be, but patterns for matching descriptions rarely
+// need any of these.
+const isUnsafePattern = (source) => {
+  const groups = []; // per open group: whether it holds a quantifier or |
+  let closed = null; // the group just closed, which a quantifier would repeat
+  let inClass = false;
+  let quantifiers = 0;
+  let unbounded = 0;
+  let required = null; // atoms that must match since the last unbounded quantifier
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    const after = closed;
+    closed = null;
+
+    if (c === '\\') {
+      if (!inClass && /[1-9k]/.test(source[i + 1] || '')) return true;
+      i++;
+      if (!inClass && required !== null) required++;
+    } else if (inClass) {
+      if (c === ']') inClass = false;
+    } else if (c === '[') {
+      inClass = true;
+      if (required !== null) required++;
+    } else if (c === '(') {
+      groups.push(false);
+      i += /^\((\?(:|=|!|<=|<!|<[^>]*>))?/.exec(source.slice(i))[0].length - 1;
+    } else if (c === ')') {
+      closed = { risky: groups.pop() };
+      if (closed.risky && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (c === '|') {
+      if (groups.length > 0) groups[groups.length - 1] = true;
+      required = null;
+    } else if (c === '*' || c === '+' || c === '?' || (c === '{' && /^\{\d+(,\d*)?\}/.test(source.slice(i)))) {
+      const [, min, comma, max] = c === '{' ? /^\{(\d+)(,)?(\d*)\}/.exec(source.slice(i)) : [];
+      const optional = c === '*' || c === '?' || min === '0';
+      const endless = c === '*' || c === '+' || (comma && max === '');
+
+      if (after && after.risky && c !== '?') return true;
+      if (groups.length > 0) groups[groups.length - 1] = true;
+      if (++quantifiers > MAX_QUANTIFIERS) return true;
+      // What was just quantified no longer has to match when it is optional
+      if (optional && required > 0) required--;
+
+      if (endless) {
+        if (++unbounded > MAX_UNBOUNDED) return true;
+        if (required !== null && required - (optional ? 0 : 1) <= 0) return true;
+        required = 0;
+      }
+      if (c === '{') i = source.indexOf('}', i);
+      // A lazy or possessive marker belongs to this quantifier
+      if (source[i + 1] === '?' && (c === '*' || c === '+' || c === '{')) i++;
+    } else if (required !== null) {
+      required++;
+    }
+  }
+  return false;
+};
+
+// Case-insensitive regex from user input, rejecting patterns that don't
+// compile or could take too long to run
+const toRegex = (pattern) => {
+  const source = String(pattern);
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw badRequest(`Regex must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (isUnsafePattern(source)) {
+    throw badRequest(`Regex is too slow to run: ${source} (see the limits on regexes in the README)`);
+  }
+  try {
+    return new RegExp(source, 'i');
+  } catch (err) {
+    throw badRequest(`Invalid regex: ${source}`);
+  }
+};
+
+const castValue = (field, kind, value) => {
+  if (kind === 'number') {
+    const number = Number(value);
+    if (value === '' || value === null || isNaN(number)) throw badRequest(`${field} must be a number`);
+    return number;
+  }
+  if (kind === 'date') {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw badRequest(`${field} must be a date`);
+    return date;
+  }
+  if (kind === 'objectId') {
+    if (!mongoose.isValidObjectId(value)) throw badRequest(`${field} must be an id`);
+    return new mongoose.Types.ObjectId(String(value));
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') throw badRequest(`${field} must be a string`);
+  return String(value);
+};
+
+// Condition on one document path, already checked against FIELDS and OPERATORS
+const compilePath = (path, field, kind, op, value) => {
+  if (op === 'contains') return { [path]: new RegExp(escapeRegex(castValue(field, kind, value)), 'i') };
+  if (op === 'regex') return { [path]: toRegex(castValue(field, kind, value)) };
+  if (op === 'in' || op === 'nin') {
+    if (!Array.isArray(value) || value.length === 0) throw badRequest(`${op} on ${field} needs a non-empty array`);
+    return { [path]: { [`$${op}`]: value.map(v => castValue(field, kind, v)) } };
+  }
+  if (op === 'eq') return { [path]: castValue(field, kind, value) };
+  return { [path]: { [`$${op}`]: castValue(field, kind, value) } };
+};
+
+// One { field, op, value } condition as a MongoDB query
+const compileCondition = ({ field, op, value }) => {
+  const kind = FIELDS[field];
+  if (!kind) throw badRequest(`Unknown filter field: ${field}`);
+  if (!OPERATORS[op]?.includes(kind)) throw badRequest(`Operator ${op} cannot be used with ${field}`);
+
+  // A split transaction is in a category when any of its lines is: it matches
+  // eq/in/contains/regex through either path and ne/nin only through neither
+  if (field === 'category') {
+    const conditions = ['category', 'splits.category'].map(path => compilePath(path, field, kind, op, value));
+    return op === 'ne' || op === 'nin' ? { $and: conditions } : { $or: conditions };
+  }
+  return compilePath(field, field, kind, op, value);
+};
+
+// Compile a filter tree: { and: [...] }, { or: [...] }, { not: node } or a
+// { field, op, value } condition
+const compileFilter = (node) => {
+  let conditions = 0;
+
+  const compile = (n, depth) => {
+    if (depth > MAX_DEPTH) throw badRequest(`Filters can be nested at most ${MAX_DEPTH} levels deep`);
+    if (!n || typeof n !== 'object' || Array.isArray(n)) throw badRequest('Invalid filter');
+
+    for (const key of ['and', 'or']) {
+      if (n[key] !== undefined) {
+        if (!Array.isArray(n[key]) || n[key].length === 0) throw badRequest(`${key} needs a non-empty array`);
+        return { [`$${key}`]: n[key].map(child => compile(child, depth + 1)) };
+      }
+    }
+    if (n.not !== undefined) {
+      return { $nor: [compile(n.not, depth + 1)] };
+    }
+
+    conditions += 1;
+    if (conditions > MAX_CONDITIONS) throw badRequest(`Filters can have at most ${MAX_CONDITIONS} conditions`);
+    return compileCondition(n);
+  };
+
+  return compile(node, 1);
+};
+
+// Copy of a filter tree with category conditions naming `from` (exactly, as
+// eq/ne/in/nin values) pointed at `to` instead; contains and regex
+// conditions are left alone
+const renameCategoryInFilter = (node, from, to) => {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return node;
+
+  for (const key of ['and', 'or']) {
+    if (Array.isArray(node[key])) {
+      return { ...node, [key]: node[key].map(child => renameCategoryInFilter(child, from, to)) };
+    }
+  }
+  if (node.not !== undefined) {
+    return { ...node, not: renameCategoryInFilter(node.not, from, to) };
+  }
+
+  if (node.field !== 'category') return node;
+  if ((node.op === 'eq' || node.op === 'ne') && node.value === from) {
+    return { ...node, value: to };
+  }
+  if ((node.op === 'in' || node.op === 'nin') && Array.isArray(node.value) && node.value.includes(from)) {
+    return { ...node, value: [...new Set(node.value.map(v => (v === from ? to : v)))] };
+  }
+  return node;
+};
+
+// Whether a filter tree has a category condition naming `name` exactly, i.e.
+// one that renameCategoryInFilter would repoint
+const filterNamesCategory = (node, name) => {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return false;
+
+  for (const key of ['and', 'or']) {
+    if (Array.isArray(node[key])) return node[key].some(child => filterNamesCategory(child, name));
+  }
+  if (node.not !== undefined) return filterNamesCategory(node.not, name);
+
+  if (node.field !== 'category') return false;
+  if (node.op === 'eq' || node.op === 'ne') return node.value === name;
+  if (node.op === 'in' || node.op === 'nin') return Array.isArray(node.value) && node.value.includes(name);
+  return false;
+};
+
+// ?category=a,b and ?category=a&category=b both mean [a, b]
+const listParam = (value) => [].concat(value)
+  .flatMap(v => String(v).split(','))
+  .map(v => v.trim())
+  .filter(Boolean);
+
+// Conditions for the shorthand query parameters
+const conditionsFromParams = (params) => {
+  const conditions = [];
+  const { type, category, excludeCategory, tag, excludeTag, minAmount, maxAmount, description, descriptionRegex, account, startDate, endDate } = params;
+
+  if (type) conditions.push({ field: 'type', op: 'in', value: listParam(type) });
+  if (category) conditions.push({ field: 'category', op: 'in', value: listParam(category) });
+  if (excludeCategory) conditions.push({ field: 'category', op: 'nin', value: listParam(excludeCategory) });
+  if (tag) conditions.push({ field: 'tags', op: 'in', value: listParam(tag).map(t => t.toLowerCase()) });
+  if (excludeTag) conditions.push({ field: 'tags', op: 'nin', value: listParam(excludeTag).map(t => t.toLowerCase()) });
+  if (minAmount !== undefined) conditions.push({ field: 'amount', op: 'gte', value: minAmount });
+  if (maxAmount !== undefined) conditions.push({ field: 'amount', op: 'lte', value: maxAmount });
+  if (description) conditions.push({ field: 'description', op: 'contains', value: description });
+  if (descriptionRegex) conditions.push({ field: 'description', op: 'regex', value: descriptionRegex });
+  if (account) conditions.push({ field: 'account', op: 'eq', value: account });
+  if (startDate) conditions.push({ field: 'date', op: 'gte', value: startDate });
+  if (endDate) conditions.push({ field: 'date', op: 'lte', value: endDate });
+
+  return conditions;
+};
+
+// Validators for the filter query parameters shared by lists and reports
+const filterValidators = [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  query('minAmount').optional().isFloat().withMessage('Minimum amount must be a number'),
+  query('maxAmount').optional().isFloat().withMessage('Maximum amount must be a number'),
+  query('account').optional().isMongoId().withMessage('Invalid account'),
+  query('savedFilter').optional().isMongoId().withMessage('Invalid saved filter'),
+  query('filter').optional().isJSON().withMessage('Filter must be valid JSON'),
+];
+
+// MongoDB conditions for a request's filters (shorthand parameters, a ?filter=
+// JSON tree and/or a ?savedFilter= id, all ANDed), or null when there are none
+const buildTransactionFilter = async (userId, params) => {
+  const parts = [];
+
+  const shorthand = conditionsFromParams(params);
+  if (shorthand.length > 0) parts.push(compileFilter({ and: shorthand }));
+
+  // A repeated parameter arrives as an array
+  if (params.filter) {
+    if (typeof params.filter !== 'string') throw badRequest('filter can only be given once');
+    let tree;
+    try {
+      tree = JSON.parse(params.filter);
+    } catch (error) {
+      throw badRequest('Filter must be valid JSON');
+    }
+    parts.push(compileFilter(tree));
+  }
+
+  if (params.savedFilter) {
+    if (typeof params.savedFilter !== 'string') throw badRequest('savedFilter can only be given once');
+    const saved = await SavedFilter.findOne({ _id: params.savedFilter, user: userId });
+    if (!saved) throw Object.assign(new Error('Saved filter not found'), { status: 404 });
+    parts.push(compileFilter(saved.filter));
+  }
+
+  return parts.length > 0 ? { $and: parts } : null;
+};
+
+module.exports = {
+  FIELDS,
+  OPERATORS,
+  toRegex,
+  compileFilter,
+  renameCategoryInFilter,
+  filterNamesCategory,
+  filterValidators,
+  buildTransactionFilter
+};
@@ -0,0 +1,461 @@
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const GoalContribution = require('../models/GoalContribution');
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const { toMonthKey, addMonths, monthRange } = require('./budgets');
+const { lookupRate, createUserConverter } = require('./currency');
+const { getParentNames, resolveCategory } = require('./categories');
+const { splitLines } = require('./splits');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const MAX_FUNDING_RULES = 10;
+
+// A goal saving at least this share of its required monthly amount is at risk
+// rather than behind
+const AT_RISK_RATIO = 0.75;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Goals from before the ledger only have a currentAmount; it becomes an
+// opening deposit the first time the ledger is used
+const ensureOpeningBalance = async (goal) => {
+  if (!(goal.currentAmount > 0)) return;
+  if (await GoalContribution.exists({ goal: goal._id })) return;
+
+  try {
+    await GoalContribution.create({
+      user: goal.user,
+      goal: goal._id,
+      type: 'deposit',
+      amount: goal.currentAmount,
+      date: goal.createdAt,
+      source: 'opening'
+    });
+  } catch (error) {
+    // Another request opened the ledger at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Deposits minus withdrawals
+const ledgerBalance = async (goalId) => {
+  const [totals] = await GoalContribution.aggregate([
+    { $match: { goal: new mongoose.Types.ObjectId(String(goalId)) } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: { $cond: [{ $eq: ['$type', 'deposit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  return round(totals ? totals.balance : 0);
+};
+
+// Store the ledger balance on the goal, completing it when it reaches its
+// target and reopening it when a withdrawal takes it back below
+const syncGoal = async (goal) => {
+  goal.currentAmount = Math.max(await ledgerBalance(goal._id), 0);
+
+  if (goal.status === 'active' && goal.currentAmount >= goal.targetAmount) {
+    goal.status = 'completed';
+    goal.completedAt = new Date();
+  } else if (goal.status === 'completed' && goal.currentAmount < goal.targetAmount) {
+    goal.status = 'active';
+    goal.completedAt = undefined;
+  }
+
+  await goal.save();
+  return goal;
+};
+
+// Add a deposit or withdrawal to a goal's ledger. Cancelled goals only take
+// withdrawals, and a withdrawal can't take out more than the goal holds.
+const recordContribution = async (goal, { type, amount, date, note, transaction, source = 'manual', rule }) => {
+  await ensureOpeningBalance(goal);
+
+  if (type === 'deposit' && goal.status === 'cancelled') {
+    throw badRequest('Cancelled goals cannot take deposits');
+  }
+  if (transaction && !(await Transaction.exists({ _id: transaction, user: goal.user }))) {
+    throw Object.assign(new Error('Transaction not found'), { status: 404 });
+  }
+  if (type === 'withdrawal') {
+    const balance = await ledgerBalance(goal._id);
+    if (round(amount) > balance) {
+      throw badRequest(`Cannot withdraw more than the ${balance} held in ${goal.name}`);
+    }
+  }
+
+  const contribution = await GoalContribution.create({
+    user: goal.user,
+    goal: goal._id,
+    type,
+    amount: round(amount),
+    date: date || new Date(),
+    note,
+    transaction,
+    source,
+    rule
+  });
+  await syncGoal(goal);
+  return contribution;
+};
+
+// Remove a ledger entry, unless losing a deposit would leave the goal below zero
+const removeContribution = async (goal, contribution) => {
+  if (contribution.type === 'deposit' && round(await ledgerBalance(goal._id) - contribution.amount) < 0) {
+    throw badRequest('Removing this deposit would leave the goal below zero; remove the later withdrawals first');
+  }
+  await GoalContribution.deleteOne({ _id: contribution._id });
+  return syncGoal(goal);
+};
+
+// Editing currentAmount directly records the difference as an adjustment
+const adjustBalance = async (goal, amount) => {
+  await ensureOpeningBalance(goal);
+  const difference = round(amount - await ledgerBalance(goal._id));
+  if (difference === 0) return syncGoal(goal);
+
+  await recordContribution(goal, {
+    type: difference > 0 ? 'deposit' : 'withdrawal',
+    amount: Math.abs(difference),
+    source: 'adjustment'
+  });
+  return goal;
+};
+
+// Start of the day, ISO week (Monday) or month a date falls in, in UTC
+const periodStart = (date, interval) => {
+  const d = new Date(date);
+  if (interval === 'month') return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  if (interval === 'week') day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+// Deposits, withdrawals and the running balance per period, for charting a
+// goal's progress. Only periods with ledger activity are listed.
+const contributionHistory = async (goal, { interval = 'month', startDate, endDate } = {}) => {
+  await ensureOpeningBalance(goal);
+  const entries = await GoalContribution.find({ goal: goal._id }).sort({ date: 1, createdAt: 1 });
+
+  const points = [];
+  let balance = 0;
+  for (const entry of entries) {
+    const period = periodStart(entry.date, interval);
+    let point = points[points.length - 1];
+    if (!point || point.period.getTime() !== period.getTime()) {
+      point = { period, deposits: 0, withdrawals: 0 };
+      points.push(point);
+    }
+
+    if (entry.type === 'deposit') {
+      point.deposits = round(point.deposits + entry.amount);
+      balance += entry.amount;
+    } else {
+      point.withdrawals = round(point.withdrawals + entry.amount);
+      balance -= entry.amount;
+    }
+    point.balance = round(balance);
+    point.progress = goal.targetAmount > 0 ? Math.round((balance / goal.targetAmount) * 100) : 0;
+  }
+
+  // The running balance includes earlier entries even when the range cuts them off
+  const from = startDate ? periodStart(startDate, interval) : null;
+  const to = endDate ? new Date(endDate) : null;
+  return points.filter(p => (!from || p.period >= from) && (!to || p.period <= to));
+};
+
+// Same day n calendar months later (clamped to the month's last day), in UTC
+const addCalendarMonths = (date, n) => {
+  const d = new Date(date);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n + 1, 0)).getUTCDate();
+  const result = new Date(d);
+  result.setUTCFullYear(d.getUTCFullYear(), d.getUTCMonth() + n, Math.min(d.getUTCDate(), lastDay));
+  return result;
+};
+
+// Calendar months from one date to another, with the part-month as a fraction
+const monthsBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+  if (addCalendarMonths(start, months) > end) months -= 1;
+
+  const anchor = addCalendarMonths(start, months);
+  const next = addCalendarMonths(start, months + 1);
+  return months + (end - anchor) / (next - anchor);
+};
+
+const addMonthsTo = (date, months) => {
+  const whole = Math.floor(months);
+  const anchor = addCalendarMonths(date, whole);
+  const next = addCalendarMonths(date, whole + 1);
+  return new Date(anchor.getTime() + (months - whole) * (next - anchor));
+};
+
+// Where a goal is heading. recentNet is what was contributed (net of
+// withdrawals) over the last `months` months; the goal is on track when that
+// pace covers the monthly amount still needed to reach the target by the deadline.
+const projectGoal = (goal, recentNet, { months, now = new Date() }) => {
+  const remaining = round(Math.max(goal.targetAmount - goal.currentAmount, 0));
+  const monthsLeft = Math.max(monthsBetween(now, goal.deadline), 0);
+
+  // A goal younger than the lookback has only been saving since it was created
+  const window = Math.max(Math.min(months, monthsBetween(goal.createdAt, now)), 1);
+  const monthlyRate = round(recentNet / window);
+
+  // With less than a month to go, whatever is left is needed now
+  let requiredMonthly = 0;
+  if (remaining > 0) requiredMonthly = round(monthsLeft >= 1 ? remaining / monthsLeft : remaining);
+
+  let projectedCompletionDate = null;
+  if (remaining === 0) projectedCompletionDate = goal.completedAt || now;
+  else if (monthlyRate > 0) projectedCompletionDate = addMonthsTo(now, remaining / monthlyRate);
+
+  let status;
+  if (goal.status === 'cancelled') status = 'cancelled';
+  else if (remaining === 0) status = 'completed';
+  else if (monthsLeft === 0) status = 'behind';
+  else if (monthlyRate >= requiredMonthly) status = 'on-track';
+  else if (monthlyRate >= requiredMonthly * AT_RISK_RATIO) status = 'at-risk';
+  else status = 'behind';
+
+  return {
+    goal: goal._id,
+    name: goal.name,
+    currency: goal.currency,
+    targetAmount: goal.targetAmount,
+    currentAmount: goal.currentAmount,
+    remaining,
+    deadline: goal.deadline,
+    monthsLeft: Math.round(monthsLeft * 10) / 10,
+    requiredMonthly,
+    monthlyRate,
+    projectedCompletionDate,
+    status
+  };
+};
+
+// Net amount contributed to each goal since a date, keyed by goal id. Opening
+// balances are money saved before the ledger existed, so they don't count.
+const recentContributions = async (goalIds, since) => {
+  const totals = await GoalContribution.aggregate([
+    { $match: { goal: { $in: goalIds }, date: { $gte: since }, source: { $ne: 'opening' } } },
+    {
+      $group: {
+        _id: '$goal',
+        net: { $sum: { $cond: [{ $eq: ['$type', 'deposit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  return new Map(totals.map(t => [t._id.toString(), t.net]));
+};
+
+// Average monthly income minus expenses over the last `months` complete
+// months, in the user's base currency
+const averageMonthlySurplus = async (userId, months, converter) => {
+  const lastMonth = addMonths(toMonthKey(new Date()), -1);
+  const transactions = await Transaction.find({
+    user: userId,
+    type: { $in: ['income', 'expense'] },
+    date: { $gte: monthRange(addMonths(lastMonth, -(months - 1))).start, $lte: monthRange(lastMonth).end }
+  }).select('type amount currency date');
+
+  let surplus = 0;
+  for (const t of transactions) {
+    const amount = await converter.convert(t.amount, t.currency, t.date);
+    if (amount === null) continue;
+    surplus += t.type === 'income' ? amount : -amount;
+  }
+  return round(surplus / months);
+};
+
+// Projections for a user's goals, plus how much of their average monthly
+// surplus the active goals need between them (in the base currency)
+const projectGoals = async (userId, goals, { months, converter }) => {
+  const now = new Date();
+  const since = addMonthsTo(now, -months);
+  const recent = await recentContributions(goals.map(g => g._id), since);
+  const averageSurplus = await averageMonthlySurplus(userId, months, converter);
+
+  const projections = [];
+  let requiredByActiveGoals = 0;
+  for (const goal of goals) {
+    const projection = projectGoal(goal, recent.get(goal._id.toString()) || 0, { months, now });
+
+    const required = await converter.convert(projection.requiredMonthly, goal.currency, now);
+    if (goal.status === 'active' && required !== null) requiredByActiveGoals += required;
+    projection.shareOfSurplus = required !== null && averageSurplus > 0
+      ? Math.round((required / averageSurplus) * 100)
+      : null;
+    projections.push(projection);
+  }
+
+  requiredByActiveGoals = round(requiredByActiveGoals);
+  return {
+    lookbackMonths: months,
+    currency: converter.baseCurrency,
+    surplus: {
+      averageMonthly: averageSurplus,
+      requiredByActiveGoals,
+      share: averageSurplus > 0 ? Math.round((requiredByActiveGoals / averageSurplus) * 100) : null,
+      shortfall: round(Math.max(requiredByActiveGoals - Math.max(averageSurplus, 0), 0))
+    },
+    goals: projections,
+    ratesUsed: converter.ratesUsed(),
+    missingRates: converter.missingRates()
+  };
+};
+
+// Whether a transaction's category is the rule's category or one of its subcategories
+const inRuleCategory = (rule, category, parents) => !rule.category
+  || category === rule.category
+  || parents[category] === rule.category;
+
+// Check a funding rule before saving it. Percentages apply to income and
+// round-ups to expenses, so the category must be of that type.
+const validateFundingRule = async (userId, rule) => {
+  if (rule.type === 'percentage') {
+    if (!(rule.percentage > 0 && rule.percentage <= 100)) {
+      throw badRequest('A percentage rule needs a percentage between 0.01 and 100');
+    }
+    delete rule.roundTo;
+  } else {
+    if (!(rule.roundTo > 0)) {
+      throw badRequest('A round-up rule needs an amount to round up to');
+    }
+    delete rule.percentage;
+  }
+
+  if (rule.account && !(await Account.exists({ _id: rule.account, user: userId }))) {
+    throw Object.assign(new Error('Account not found'), { status: 404 });
+  }
+  if (rule.category) {
+    const category = await resolveCategory(userId, rule.category, rule.type === 'percentage' ? 'income' : 'expense');
+    rule.category = category.name;
+  }
+  return rule;
+};
+
+// What a funding rule puts into its goal for a transaction, in the
+// transaction's currency (0 when the rule doesn't apply). A percentage counts
+// only the split lines in the rule's category; a round-up is the change left
+// from rounding the whole expense up to the next multiple of roundTo.
+const fundingAmount = (rule, transaction, parents = {}) => {
+  if (rule.enabled === false) return 0;
+  if (rule.account && String(rule.account) !== String(transaction.account)) return 0;
+
+  const lines = splitLines(transaction).filter(l => inRuleCategory(rule, l.category, parents));
+  if (lines.length === 0) return 0;
+
+  if (rule.type === 'percentage' && transaction.type === 'income') {
+    const base = lines.reduce((sum, l) => sum + l.amount, 0);
+    return round(base * rule.percentage / 100);
+  }
+  if (rule.type === 'round-up' && transaction.type === 'expense') {
+    const cents = toCents(transaction.amount);
+    const step = toCents(rule.roundTo);
+    return (Math.ceil(cents / step) * step - cents) / 100;
+  }
+  return 0;
+};
+
+// Run the user's goal funding rules against a new or edited income or expense.
+// Goals that are finished, cancelled or past their deadline on the
+// transaction's date are skipped, and no contribution takes a goal past its
+// target. A rule that can't be applied is logged rather than failing the
+// transaction it was triggered by.
+const applyFundingRules = async (transaction) => {
+  if (!['income', 'expense'].includes(transaction.type)) return [];
+
+  const goals = await Goal.find({ user: transaction.user, status: 'active', 'fundingRules.enabled': true })
+    .sort({ deadline: 1 });
+  if (goals.length === 0) return [];
+
+  const parents = await getParentNames(transaction.user);
+  const { baseCurrency } = await createUserConverter(transaction.user);
+  const from = transaction.currency || baseCurrency;
+
+  const contributions = [];
+  for (const goal of goals) {
+    if (transaction.date > goal.deadline) continue;
+    const to = goal.currency || baseCurrency;
+
+    for (const rule of goal.fundingRules) {
+      if (goal.status !== 'active') break;
+      try {
+        const amount = fundingAmount(rule, transaction, parents);
+        if (!(amount > 0)) continue;
+
+        const rate = from === to ? { rate: 1 } : await lookupRate(from, to, transaction.date);
+        if (!rate) {
+          console.error(`No ${from}/${to} rate to fund goal ${goal.name} from transaction ${transaction._id}`);
+          continue;
+        }
+
+        const room = round(goal.targetAmount - goal.currentAmount);
+        const deposit = Math.min(round(amount * rate.rate), room);
+        if (deposit < 0.01) continue;
+
+        contributions.push(await recordContribution(goal, {
+          type: 'deposit',
+          amount: deposit,
+          date: transaction.date,
+          note: rule.type === 'percentage'
+            ? `${rule.percentage}% of ${transaction.category}`
+            : `Round-up to the nearest ${rule.roundTo}`,
+          transaction: transaction._id,
+          source: 'rule',
+          rule: rule._id
+        }));
+      } catch (error) {
+        console.error(`Funding rule ${rule._id} for goal ${goal.name} failed: ${error.message}`);
+      }
+    }
+  }
+  return contributions;
+};
+
+// Take back what funding rules put into goals for these transactions, so an
+// edit can run the rules afresh and a delete leaves nothing behind. If money
+// has been withdrawn since, the goal's balance stays at zero until later
+// deposits make up the difference.
+const undoFundingRules = async (transactionIds) => {
+  const contributions = await GoalContribution.find({ transaction: { $in: transactionIds }, source: 'rule' })
+    .select('goal');
+  if (contributions.length === 0) return;
+
+  await GoalContribution.deleteMany({ _id: { $in: contributions.map(c => c._id) } });
+  const goals = await Goal.find({ _id: { $in: [...new Set(contributions.map(c => c.goal.toString()))] } });
+  for (const goal of goals) {
+    await syncGoal(goal);
+  }
+};
+
+// Keep contributions when their transaction is deleted, just without the link
+const unlinkTransactions = (transactionIds) => GoalContribution.updateMany(
+  { transaction: { $in: transactionIds } },
+  { $unset: { transaction: 1 } }
+);
+
+module.exports = {
+  MAX_FUNDING_RULES,
+  ensureOpeningBalance,
+  ledgerBalance,
+  syncGoal,
+  recordContribution,
+  removeContribution,
+  adjustBalance,
+  contributionHistory,
+  projectGoal,
+  projectGoals,
+  validateFundingRule,
+  fundingAmount,
+  applyFundingRules,
+  undoFundingRules,
+  unlinkTransactions
+};
@@ -0,0 +1,225 @@
+// Parsers for bank statement imports. Each parser returns plain row objects;
+// mapRow turns a row into Transaction fields plus a list of row errors.
+
+const DEFAULT_CATEGORY = 'Uncategorized';
+
+// Split CSV text into rows of cells, honouring quoted cells and escaped quotes
+const parseCSV = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// Parse a date string in one of the supported formats
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+  if (!value) return null;
+  const parts = String(value).trim().split(/[-/.]/).map(p => parseInt(p, 10));
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+  let year, month, day;
+  switch (format) {
+    case 'DD/MM/YYYY':
+      [day, month, year] = parts;
+      break;
+    case 'MM/DD/YYYY':
+      [month, day, year] = parts;
+      break;
+    default:
+      [year, month, day] = parts;
+  }
+  if (year < 100) year += 2000;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+};
+
+// Parse an amount, tolerating currency symbols, thousands separators and (parentheses) negatives
+const parseAmount = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  let str = String(value).trim();
+  const negative = /^\(.*\)$/.test(str) || str.includes('-');
+  str = str.replace(/[^0-9.]/g, '');
+  if (str === '') return null;
+  const amount = parseFloat(str);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+// Turn CSV rows into row objects using a column mapping. Mapping values are
+// header names (when hasHeader) or zero-based column indexes.
+const csvToRows = (text, mapping, options = {}) => {
+  const { delimiter = ',', hasHeader = true } = options;
+  const table = parseCSV(text, delimiter);
+  if (table.length === 0) {
+    throw Object.assign(new Error('The file has no rows'), { status: 400 });
+  }
+  const headers = hasHeader ? table.shift().map(h => h.trim()) : [];
+
+  const column = (key) => {
+    const ref = mapping[key];
+    if (ref === undefined || ref === null || ref === '') return -1;
+    if (typeof ref === 'number' || /^\d+$/.test(ref)) return parseInt(ref, 10);
+    return headers.indexOf(ref);
+  };
+
+  const columns = ['date', 'amount', 'debit', 'credit', 'description', 'category', 'type']
+    .reduce((acc, key) => ({ ...acc, [key]: column(key) }), {});
+
+  return table.map(cells => {
+    const get = (key) => (columns[key] >= 0 ? (cells[columns[key]] || '').trim() : undefined);
+    const debit = parseAmount(get('debit'));
+    const credit = parseAmount(get('credit'));
+
+    let amount = parseAmount(get('amount'));
+    if (amount === null && (debit !== null || credit !== null)) {
+      amount = (credit || 0) - Math.abs(debit || 0);
+    }
+
+    return {
+      date: get('date'),
+      amount,
+      description: get('description'),
+      category: get('category'),
+      type: get('type')
+    };
+  });
+};
+
+// OFX (SGML or XML flavour): one row per <STMTTRN> block
+const ofxToRows = (text) => {
+  const tag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : undefined;
+  };
+
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map(block => {
+    const posted = tag(block, 'DTPOSTED');
+    return {
+      date: posted ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}` : undefined,
+      amount: parseAmount(tag(block, 'TRNAMT')),
+      description: [tag(block, 'NAME'), tag(block, 'MEMO')].filter(Boolean).join(' - ') || undefined
+    };
+  });
+};
+
+// QIF: records separated by "^", one field per line keyed by its first letter
+const qifToRows = (text) => {
+  const records = text.split(/^\^\s*$/m);
+
+  return records
+    .map(record => {
+      const row = {};
+      record.split(/\r?\n/).forEach(line => {
+        const code = line[0];
+        const value = line.slice(1).trim();
+        if (code === 'D') {
+          // Quicken writes dates like 1/15'25 or 01/15/2025 (month first)
+          row.date = value.replace("'", '/').replace(/\s/g, '');
+        } else if (code === 'T' || code === 'U') {
+          row.amount = parseAmount(value);
+        } else if (code === 'P') {
+          row.description = value;
+        } else if (code === 'M' && !row.description) {
+          row.description = value;
+        } else if (code === 'L') {
+          // Transfers are written as [Account]; keep only real categories
+          if (!/^\[.*\]$/.test(value)) row.category = value.split(':')[0];
+        }
+      });
+      return row;
+    })
+    .filter(row => row.date || row.amount !== undefined);
+};
+
+// Map a parsed row onto Transaction fields, collecting anything invalid
+const mapRow = (row, options = {}) => {
+  const { dateFormat, defaultCategory = DEFAULT_CATEGORY } = options;
+  const errors = [];
+
+  const date = parseDate(row.date, dateFormat);
+  if (!date) errors.push(`Invalid date: ${row.date || '(empty)'}`);
+
+  const amount = typeof row.amount === 'number' ? row.amount : parseAmount(row.amount);
+  if (amount === null || amount === undefined || amount === 0) {
+    errors.push(`Invalid amount: ${row.amount ?? '(empty)'}`);
+  }
+
+  let type = row.type ? String(row.type).trim().toLowerCase() : null;
+  if (type && ['debit', 'dr', 'withdrawal'].includes(type)) type = 'expense';
+  if (type && ['credit', 'cr', 'deposit'].includes(type)) type = 'income';
+  if (type && !['income', 'expense'].includes(type)) {
+    errors.push(`Invalid type: ${row.type}`);
+  }
+  if (!type && amount) type = amount < 0 ? 'expense' : 'income';
+
+  return {
+    transaction: {
+      type,
+      category: (row.category && row.category.trim()) || defaultCategory,
+      amount: amount ? Math.abs(amount) : amount,
+      description: row.description,
+      date
+    },
+    errors
+  };
+};
+
+// Detect the file format from an explicit value, the file name or the content
+const detectFormat = (format, filename = '', text = '') => {
+  if (format) return format.toLowerCase();
+  const ext = filename.split('.').pop().toLowerCase();
+  if (['csv', 'ofx', 'qif'].includes(ext)) return ext;
+  if (/<OFX>/i.test(text)) return 'ofx';
+  if (/^!Type:/m.test(text)) return 'qif';
+  return 'csv';
+};
+
+module.exports = {
+  parseCSV,
+  parseDate,
+  parseAmount,
+  csvToRows,
+  ofxToRows,
+  qifToRows,
+  mapRow,
+  detectFormat
+};
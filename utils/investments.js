@@ -0,0 +1,554 @@
+const Investment = require('../models/Investment');
+const InvestmentTransaction = require('../models/InvestmentTransaction');
+const InvestmentValuation = require('../models/InvestmentValuation');
+const { startOfDay, findPrice } = require('./prices');
+const { performance } = require('./returns');
+const {
+  PPF_YEARLY_LIMIT,
+  PPF_DEFAULT_RATE,
+  addMonths,
+  ppfMaturityDate,
+  ppfLockInEndDate,
+  isPpfMaturity,
+  fdValue,
+  ppfValue,
+  checkPpfDeposits,
+  ppfContributions
+} = require('./deposits');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+// Units and per-unit costs keep more precision than money (fund units often
+// have three or four decimal places)
+const roundUnits = (units) => Math.round(units * 1e6) / 1e6;
+const roundPrice = (price) => Math.round(price * 1e4) / 1e4;
+
+const TRADE_TYPES = ['buy', 'sell'];
+// Money paid into or taken out of a PPF account
+const DEPOSIT_TYPES = ['deposit', 'withdrawal'];
+// Holding types whose value is accrued from an interest rate
+const ACCRUING_TYPES = ['fd', 'ppf'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const byDate = (a, b) => new Date(a.date) - new Date(b.date) || new Date(a.createdAt) - new Date(b.createdAt);
+
+// Replay a holding's transactions in date order, matching each sale against
+// the oldest lots first (FIFO). Returns the lots still open, the totals, and
+// every realized amount with its date so reports can convert each at that
+// day's rate. Throws when a sale is for more units than were held at the time.
+const replayTransactions = (transactions) => {
+  const lots = [];
+  const realized = [];
+  const deposits = [];
+  let lastPrice = null;
+  let lastPriceDate = null;
+
+  for (const t of [...transactions].sort(byDate)) {
+    if (t.type === 'buy') {
+      lots.push({ date: t.date, units: t.units, unitCost: (t.units * t.price + (t.fees || 0)) / t.units });
+      lastPrice = t.price;
+      lastPriceDate = t.date;
+    } else if (t.type === 'sell') {
+      const held = roundUnits(lots.reduce((sum, l) => sum + l.units, 0));
+      if (t.units > held) {
+        throw badRequest(`Cannot sell ${t.units} units on ${dayKey(t.date)}; only ${held} were held`);
+      }
+
+      let remaining = t.units;
+      let cost = 0;
+      while (remaining > 0 && lots.length > 0) {
+        const lot = lots[0];
+        const used = Math.min(lot.units, remaining);
+        cost += used * lot.unitCost;
+        lot.units = roundUnits(lot.units - used);
+        remaining = roundUnits(remaining - used);
+        if (lot.units <= 0) lots.shift();
+      }
+      realized.push({ kind: 'gain', date: t.date, amount: round(t.units * t.price - (t.fees || 0) - cost) });
+      lastPrice = t.price;
+      lastPriceDate = t.date;
+    } else if (t.type === 'fee') {
+      realized.push({ kind: 'fee', date: t.date, amount: t.amount });
+    } else if (DEPOSIT_TYPES.includes(t.type)) {
+      deposits.push({ date: t.date, amount: t.type === 'deposit' ? t.amount : -t.amount });
+    } else {
+      realized.push({ kind: 'income', date: t.date, amount: t.amount });
+    }
+  }
+
+  const units = roundUnits(lots.reduce((sum, l) => sum + l.units, 0));
+  const costBasis = round(lots.reduce((sum, l) => sum + l.units * l.unitCost, 0));
+  const total = (kind) => round(realized.filter(r => r.kind === kind).reduce((sum, r) => sum + r.amount, 0));
+
+  return {
+    hasTrades: transactions.some(t => TRADE_TYPES.includes(t.type)),
+    hasDeposits: deposits.length > 0,
+    units,
+    costBasis,
+    averageCost: units > 0 ? roundPrice(costBasis / units) : 0,
+    lots: lots.map(l => ({ date: l.date, units: l.units, unitCost: roundPrice(l.unitCost) })),
+    lastPrice,
+    lastPriceDate,
+    realizedGain: total('gain'),
+    income: total('income'),
+    fees: total('fee'),
+    realized,
+    deposits,
+    principal: Math.max(round(deposits.reduce((sum, d) => sum + d.amount, 0)), 0)
+  };
+};
+
+// Whether a holding's value is accrued from its interest rate rather than
+// entered or priced. Fixed deposits entered without a rate keep their value.
+const accrues = (investment) => investment.type === 'ppf'
+  || (investment.type === 'fd' && investment.interestRate != null);
+
+// Fill in and check a deposit's terms before it is saved. A fixed deposit's
+// maturity follows from its tenure (or is entered instead of one); a PPF
+// account always compounds yearly and matures on the scheme's date or an
+// extension of it.
+const applyDepositTerms = (investment) => {
+  if (!accrues(investment)) return;
+
+  if (investment.type === 'ppf') {
+    if (investment.interestRate == null) investment.interestRate = PPF_DEFAULT_RATE;
+    investment.compounding = 'yearly';
+    investment.tenureMonths = undefined;
+    if (!investment.maturityDate || investment.isModified('purchaseDate') && !investment.isModified('maturityDate')) {
+      investment.maturityDate = ppfMaturityDate(investment.purchaseDate);
+    } else if (!isPpfMaturity(investment.purchaseDate, investment.maturityDate)) {
+      throw badRequest(`The PPF account matures on ${dayKey(ppfMaturityDate(investment.purchaseDate))} and can only be extended in blocks of five years`);
+    }
+    if (investment.isModified('investedAmount') && investment.investedAmount > PPF_YEARLY_LIMIT) {
+      throw badRequest(`A PPF account takes at most ${PPF_YEARLY_LIMIT} a year; record later years as deposits`);
+    }
+    return;
+  }
+
+  if (!investment.compounding) investment.compounding = 'quarterly';
+  if (investment.isModified('maturityDate') && !investment.isModified('tenureMonths')) {
+    investment.tenureMonths = undefined;
+  } else if (investment.tenureMonths != null) {
+    investment.maturityDate = addMonths(investment.purchaseDate, investment.tenureMonths);
+  }
+  if (!investment.maturityDate) {
+    throw badRequest('Fixed deposits need a tenure or a maturity date');
+  }
+  if (investment.maturityDate <= investment.purchaseDate) {
+    throw badRequest('The maturity date must be after the purchase date');
+  }
+};
+
+// What an accruing holding is worth on a day. A PPF account without recorded
+// deposits holds its invested amount from its purchase date.
+const accruedValue = (investment, holding, date) => {
+  const terms = {
+    rate: investment.interestRate,
+    compounding: investment.compounding,
+    startDate: investment.purchaseDate,
+    maturityDate: investment.maturityDate
+  };
+  if (investment.type === 'fd') {
+    return fdValue({ ...terms, principal: investment.investedAmount }, date);
+  }
+  const deposits = holding.hasDeposits
+    ? holding.deposits
+    : [{ date: investment.purchaseDate, amount: investment.investedAmount }];
+  return ppfValue(terms, deposits, date);
+};
+
+// Value a holding's units at a price and remember which price it was
+const applyPrice = (investment, price, date) => {
+  investment.currentValue = round(investment.units * price);
+  investment.lastPrice = price;
+  investment.lastPriceDate = date;
+};
+
+// Store what a holding's transactions add up to on it. Holdings with buys and
+// sells get their units, lots and cost from them; with `revalue` (after a buy
+// or sell changed) they are also valued at the latest trade price, or a newer
+// stored price for the holding's symbol. Fixed deposits and PPF accounts get
+// their terms filled in and their value accrued to today.
+const syncInvestment = async (investment, { revalue = false } = {}) => {
+  const transactions = await InvestmentTransaction.find({ investment: investment._id }).lean();
+  const holding = replayTransactions(transactions);
+
+  investment.realizedGain = holding.realizedGain;
+  investment.income = holding.income;
+  investment.fees = holding.fees;
+
+  // Terms are checked against what was entered, before deposits replace it
+  applyDepositTerms(investment);
+  if (holding.hasDeposits) investment.investedAmount = holding.principal;
+
+  if (holding.hasTrades) {
+    investment.units = holding.units;
+    investment.averageCost = holding.averageCost;
+    investment.lots = holding.lots;
+    investment.investedAmount = holding.costBasis;
+    if (revalue) {
+      const stored = investment.symbol ? await findPrice(investment.symbol) : null;
+      if (stored && stored.date >= startOfDay(holding.lastPriceDate)) {
+        applyPrice(investment, stored.price, stored.date);
+      } else {
+        applyPrice(investment, holding.lastPrice, holding.lastPriceDate);
+      }
+    }
+  } else {
+    investment.units = undefined;
+    investment.averageCost = undefined;
+    investment.lots = undefined;
+  }
+
+  if (accrues(investment)) investment.currentValue = accruedValue(investment, holding, new Date());
+
+  await investment.save();
+  return investment;
+};
+
+// Fill in the cash amount of a trade and drop fields that don't apply to the type
+const normalizeTransaction = (fields) => {
+  if (TRADE_TYPES.includes(fields.type)) {
+    if (!(fields.units > 0) || fields.price == null) {
+      throw badRequest('Buys and sells need units and a price');
+    }
+    fields.units = roundUnits(fields.units);
+    fields.amount = round(fields.units * fields.price);
+  } else {
+    if (!(fields.amount > 0)) {
+      throw badRequest('Dividends, interest, fees, deposits and withdrawals need an amount');
+    }
+    fields.units = undefined;
+    fields.price = undefined;
+    fields.fees = 0;
+  }
+  return fields;
+};
+
+// Replay the holding as it would be after a change, so a change that leaves a
+// sale without the units it sold, or breaks a PPF rule, is rejected before
+// anything is saved
+const checkReplay = async (investment, replace, next) => {
+  const others = await InvestmentTransaction.find({
+    investment: investment._id,
+    ...(replace && { _id: { $ne: replace } })
+  }).lean();
+  const holding = replayTransactions(next ? [...others, ...next] : others);
+
+  if (!holding.hasDeposits) return;
+  if (investment.type !== 'ppf') {
+    throw badRequest('Only PPF accounts take deposits and withdrawals');
+  }
+  applyDepositTerms(investment);
+  checkPpfDeposits({
+    rate: investment.interestRate,
+    startDate: investment.purchaseDate,
+    maturityDate: investment.maturityDate
+  }, holding.deposits);
+};
+
+// A PPF account's invested amount becomes its opening deposit once deposits
+// are recorded, so the balance it was created with isn't lost
+const openingDeposit = async (investment, fields) => {
+  if (!DEPOSIT_TYPES.includes(fields.type) || !(investment.investedAmount > 0)) return null;
+  if (await InvestmentTransaction.exists({ investment: investment._id, type: { $in: DEPOSIT_TYPES } })) return null;
+  return new InvestmentTransaction({
+    type: 'deposit',
+    date: investment.purchaseDate,
+    amount: investment.investedAmount,
+    notes: 'Opening balance',
+    user: investment.user,
+    investment: investment._id
+  });
+};
+
+// A holding entered as a lump investedAmount has no lots, so its first buy or
+// sell would replace that amount with the trade's cost. Trades wait until the
+// opening position is recorded as a buy in its place.
+const checkOpeningPosition = (investment, fields) => {
+  if (!TRADE_TYPES.includes(fields.type) || investment.units != null) return;
+  if (investment.investedAmount > 0) {
+    throw badRequest(`${investment.name} has an invested amount without units; set investedAmount to 0 and record it as a buy with units and a price before other trades`);
+  }
+};
+
+// Record a buy, sell, dividend, interest payment, fee, deposit or withdrawal
+// on a holding
+const recordTransaction = async (investment, fields) => {
+  checkOpeningPosition(investment, fields);
+  const transaction = new InvestmentTransaction({
+    ...normalizeTransaction({ ...fields }),
+    user: investment.user,
+    investment: investment._id
+  });
+  const opening = await openingDeposit(investment, transaction);
+  await checkReplay(investment, null, [opening, transaction].filter(Boolean).map(t => t.toObject()));
+  if (opening) await opening.save();
+  await transaction.save();
+  await syncInvestment(investment, { revalue: TRADE_TYPES.includes(transaction.type) });
+  return transaction;
+};
+
+const updateTransaction = async (investment, transaction, fields) => {
+  const wasTrade = TRADE_TYPES.includes(transaction.type);
+  transaction.set(normalizeTransaction({ ...transaction.toObject(), ...fields }));
+  await checkReplay(investment, transaction._id, [transaction.toObject()]);
+  await transaction.save();
+  await syncInvestment(investment, { revalue: wasTrade || TRADE_TYPES.includes(transaction.type) });
+  return transaction;
+};
+
+const removeTransaction = async (investment, transaction) => {
+  await checkReplay(investment, transaction._id, null);
+  await InvestmentTransaction.deleteOne({ _id: transaction._id });
+  return syncInvestment(investment, { revalue: TRADE_TYPES.includes(transaction.type) });
+};
+
+// Value a holding at the latest stored price for its symbol on a day (or, for
+// fixed deposits and PPF, at the interest accrued by then), then record the
+// day's valuation. Other holdings keep their entered value but are still
+// recorded, so the history covers the whole portfolio. Returns whether the
+// value was worked out.
+const revalueInvestment = async (investment, date = new Date()) => {
+  let priced = false;
+  let accrued = false;
+  if (accrues(investment)) {
+    const transactions = await InvestmentTransaction.find({ investment: investment._id }).lean();
+    applyDepositTerms(investment);
+    investment.currentValue = accruedValue(investment, replayTransactions(transactions), date);
+    await investment.save();
+    accrued = true;
+  } else if (investment.symbol && investment.units != null) {
+    const stored = await findPrice(investment.symbol, date);
+    if (stored) {
+      applyPrice(investment, stored.price, stored.date);
+      await investment.save();
+      priced = true;
+    }
+  }
+
+  await InvestmentValuation.updateOne(
+    { investment: investment._id, date: startOfDay(date) },
+    {
+      $set: {
+        user: investment.user,
+        value: investment.currentValue || 0,
+        invested: investment.investedAmount,
+        units: investment.units,
+        price: priced ? investment.lastPrice : undefined,
+        currency: investment.currency
+      }
+    },
+    { upsert: true }
+  );
+  return priced || accrued;
+};
+
+// What a fixed deposit or PPF account will be worth at maturity (a PPF
+// account assuming no further deposits)
+const maturityValue = async (investment) => {
+  const transactions = await InvestmentTransaction.find({ investment: investment._id }).lean();
+  return accruedValue(investment, replayTransactions(transactions), investment.maturityDate);
+};
+
+// The user's fixed deposits and PPF accounts by maturity date, from `from`
+// (all of them without it) up to `until`. PPF accounts also show when
+// withdrawals open and what was deposited each financial year.
+const maturitySchedule = async (userId, { from = null, until = null } = {}) => {
+  const query = { user: userId, type: { $in: ACCRUING_TYPES }, maturityDate: { $exists: true } };
+  if (from) query.maturityDate.$gte = from;
+  if (until) query.maturityDate.$lte = until;
+
+  const today = startOfDay(new Date());
+  const schedule = [];
+  for (const investment of await Investment.find(query).sort({ maturityDate: 1 })) {
+    const transactions = await InvestmentTransaction.find({ investment: investment._id }).lean();
+    const holding = replayTransactions(transactions);
+    schedule.push({
+      _id: investment._id,
+      name: investment.name,
+      type: investment.type,
+      currency: investment.currency,
+      interestRate: investment.interestRate,
+      compounding: investment.compounding,
+      investedAmount: investment.investedAmount,
+      currentValue: investment.currentValue,
+      maturityDate: investment.maturityDate,
+      daysToMaturity: Math.round((startOfDay(investment.maturityDate) - today) / (24 * 60 * 60 * 1000)),
+      maturityValue: accruedValue(investment, holding, investment.maturityDate),
+      ...(investment.type === 'ppf' && {
+        lockInEndDate: ppfLockInEndDate(investment.purchaseDate),
+        contributions: ppfContributions(holding.deposits)
+      })
+    });
+  }
+  return schedule;
+};
+
+// A holding's invested amount, current value and realized returns in the
+// converter's base currency. Lots convert at their purchase dates, realized
+// amounts at the dates they happened and the current value at today's rate;
+// any figure without a rate is null.
+const valueHolding = async (investment, transactions, converter) => {
+  const holding = replayTransactions(transactions);
+  const convertAll = async (items) => {
+    let total = 0;
+    for (const { amount, date } of items) {
+      const converted = await converter.convert(amount, investment.currency, date);
+      if (converted === null) return null;
+      total += converted;
+    }
+    return round(total);
+  };
+
+  const invested = holding.hasTrades
+    ? await convertAll(holding.lots.map(l => ({ amount: l.units * l.unitCost, date: l.date })))
+    : holding.hasDeposits
+      ? await convertAll(holding.deposits)
+      : await converter.convert(investment.investedAmount, investment.currency, investment.purchaseDate);
+  const currentValue = await converter.convert(investment.currentValue || 0, investment.currency, new Date());
+
+  const gains = await convertAll(holding.realized.filter(r => r.kind === 'gain'));
+  const income = await convertAll(holding.realized.filter(r => r.kind === 'income'));
+  const fees = await convertAll(holding.realized.filter(r => r.kind === 'fee'));
+  const realizedReturns = [gains, income, fees].includes(null) ? null : round(gains + income - fees);
+
+  return {
+    units: holding.hasTrades ? holding.units : null,
+    invested,
+    currentValue,
+    unrealizedReturns: invested === null || currentValue === null ? null : round(currentValue - invested),
+    realizedGains: gains,
+    income,
+    fees,
+    realizedReturns
+  };
+};
+
+// A holding's cash flows from the investor's side: buys, deposits and
+// standalone fees are money put in; sales, withdrawals, dividends and interest
+// are money taken out. A holding without buys, sells or deposits put its
+// invested amount in on its purchase date.
+const cashFlows = (investment, transactions) => {
+  const flows = transactions.map(t => {
+    if (t.type === 'buy') return { date: t.date, amount: -(t.amount + (t.fees || 0)) };
+    if (t.type === 'sell') return { date: t.date, amount: t.amount - (t.fees || 0) };
+    if (t.type === 'fee' || t.type === 'deposit') return { date: t.date, amount: -t.amount };
+    return { date: t.date, amount: t.amount };
+  });
+  if (!transactions.some(t => TRADE_TYPES.includes(t.type) || DEPOSIT_TYPES.includes(t.type))
+    && investment.investedAmount > 0) {
+    flows.push({ date: investment.purchaseDate, amount: -investment.investedAmount });
+  }
+  return flows;
+};
+
+// What a holding was worth on a day: its current value from today on, before
+// that its last recorded valuation (null if there is none). A holding with no
+// units left was worth nothing.
+const valueOn = async (investment, transactions, date) => {
+  if (date >= startOfDay(new Date())) return investment.currentValue || 0;
+
+  const holding = replayTransactions(transactions.filter(t => t.date <= date));
+  if (holding.hasTrades && holding.units === 0) return 0;
+
+  const valuation = await InvestmentValuation.findOne({ investment: investment._id, date: { $lte: date } })
+    .sort({ date: -1 });
+  return valuation ? valuation.value : null;
+};
+
+// A holding's cash flows within a period, opening with what it was worth at
+// the start as money put in, and what it was worth at the end. Returns null
+// when nothing happened in the period, or { error } when a value is unknown.
+const periodFlows = async (investment, transactions, { startDate, endDate }) => {
+  const all = cashFlows(investment, transactions).filter(f => f.date <= endDate);
+  const before = startDate ? all.filter(f => f.date < startDate) : [];
+  const flows = startDate ? all.filter(f => f.date >= startDate) : all;
+
+  if (before.length > 0) {
+    const opening = await valueOn(investment, transactions, startDate);
+    if (opening === null) return { error: 'No valuation recorded at the start of the period' };
+    if (opening > 0) flows.unshift({ date: startDate, amount: -opening });
+  }
+  if (flows.length === 0) return null;
+
+  const value = await valueOn(investment, transactions, endDate);
+  if (value === null) return { error: 'No valuation recorded at the end of the period' };
+  return { flows, value };
+};
+
+// XIRR, CAGR and holding period for each of the user's holdings, each type
+// and the whole portfolio over a period (all time without a startDate).
+// Holdings are measured in their own currency; types and the portfolio in the
+// converter's base currency, with each flow converted at its date's rate.
+const portfolioPerformance = async (userId, { startDate = null, endDate = new Date() }, converter) => {
+  const transactions = await InvestmentTransaction.find({ user: userId, date: { $lte: endDate } }).lean();
+  const byInvestment = new Map();
+  for (const t of transactions) {
+    const key = t.investment.toString();
+    if (!byInvestment.has(key)) byInvestment.set(key, []);
+    byInvestment.get(key).push(t);
+  }
+
+  const holdings = [];
+  const excluded = [];
+  const portfolio = { flows: [], value: 0 };
+  const types = {};
+
+  for (const investment of await Investment.find({ user: userId })) {
+    const summary = { _id: investment._id, name: investment.name, type: investment.type };
+    const result = await periodFlows(investment, byInvestment.get(investment._id.toString()) || [], { startDate, endDate });
+    if (!result) continue;
+    if (result.error) {
+      excluded.push({ ...summary, reason: result.error });
+      continue;
+    }
+    holdings.push({ ...summary, currency: investment.currency || converter.baseCurrency, ...performance(result.flows, { value: result.value, endDate }) });
+
+    const converted = [];
+    for (const f of result.flows) {
+      const amount = await converter.convert(f.amount, investment.currency, f.date);
+      if (amount === null) break;
+      converted.push({ date: f.date, amount });
+    }
+    const value = await converter.convert(result.value, investment.currency, endDate);
+    if (converted.length < result.flows.length || value === null) {
+      excluded.push({ ...summary, reason: 'Missing exchange rate' });
+      continue;
+    }
+
+    const group = types[investment.type] || (types[investment.type] = { flows: [], value: 0 });
+    for (const target of [group, portfolio]) {
+      target.flows.push(...converted);
+      target.value += value;
+    }
+  }
+
+  return {
+    portfolio: performance(portfolio.flows, { value: portfolio.value, endDate }),
+    byType: Object.fromEntries(Object.entries(types).map(([type, g]) => [type, performance(g.flows, { value: g.value, endDate })])),
+    investments: holdings,
+    excluded
+  };
+};
+
+module.exports = {
+  TRADE_TYPES,
+  DEPOSIT_TYPES,
+  ACCRUING_TYPES,
+  replayTransactions,
+  accrues,
+  applyDepositTerms,
+  syncInvestment,
+  recordTransaction,
+  updateTransaction,
+  removeTransaction,
+  revalueInvestment,
+  maturityValue,
+  maturitySchedule,
+  valueHolding,
+  cashFlows,
+  portfolioPerformance
+};
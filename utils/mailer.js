@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'CashCompass <no-reply@cashcompass.app>';
+
+// Mail transports. Each implements send({ from, to, subject, text, html }).
+const transports = {
+  smtp: () => {
+    const port = parseInt(process.env.SMTP_PORT || '587');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  // Writes each message as JSON to MAIL_OUTBOX_DIR (logs/mail by default)
+  file: () => ({
+    send: async (message) => {
+      const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'logs', 'mail');
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      return { file };
+    }
+  }),
+
+  console: () => ({
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+  })
+};
+
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  if (process.env.NODE_ENV === 'test') return 'file';
+  return 'console';
+};
+
+let activeTransport = null;
+
+// Swap the transport at runtime (e.g. an in-memory one in tests)
+const setTransport = (transport) => {
+  if (transport && typeof transport.send !== 'function') {
+    throw new Error('Mail transports must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = defaultTransportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+const sendMail = (message) => getTransport().send({
+  from: process.env.MAIL_FROM || DEFAULT_FROM,
+  ...message
+});
+
+module.exports = {
+  sendMail,
+  setTransport
+};
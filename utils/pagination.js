@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Validators for ?limit, ?cursor, ?sort and ?fields on a paginated list
+const paginationValidators = (sortFields) => [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+  query('cursor').optional().isString().withMessage('Invalid cursor'),
+  query('sort').optional().isIn(sortFields.flatMap(f => [f, `-${f}`]))
+    .withMessage(`Sort must be one of: ${sortFields.join(', ')} (prefix with - for descending)`),
+  query('fields').optional().isString().withMessage('Fields must be a comma-separated list'),
+];
+
+// "-date" -> { field: 'date', direction: -1 }
+const parseSort = (sort) => (sort.startsWith('-')
+  ? { field: sort.slice(1), direction: -1 }
+  : { field: sort, direction: 1 });
+
+// Cursors are opaque to clients: the last row's sort value and _id, plus the
+// sort they were issued for so they cannot be replayed against another order
+const encodeCursor = (sort, value, id) => {
+  const v = value instanceof Date ? { d: value.toISOString() } : { v: value };
+  return Buffer.from(JSON.stringify({ s: sort, ...v, id: String(id) })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw badRequest('Invalid cursor');
+  }
+  if (!decoded || decoded.s !== sort || !mongoose.isValidObjectId(decoded.id)) {
+    throw badRequest('Invalid cursor');
+  }
+  return {
+    value: decoded.d !== undefined ? new Date(decoded.d) : decoded.v,
+    id: new mongoose.Types.ObjectId(decoded.id)
+  };
+};
+
+// Rows strictly after the cursor in (field, _id) order, so ties on the sort
+// field never repeat or skip rows between pages. MongoDB sorts missing values
+// first, which only matters when the cursor row itself has none.
+const afterCursor = ({ field, direction }, { value, id }) => {
+  const op = direction === -1 ? '$lt' : '$gt';
+  if (value === null || value === undefined) {
+    const sameValue = { [field]: null, _id: { [op]: id } };
+    return direction === -1 ? sameValue : { $or: [{ [field]: { $ne: null } }, sameValue] };
+  }
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// Fields a client may ask for: everything in the schema except the owner
+const selectableFields = (Model) => Object.keys(Model.schema.paths)
+  .filter(path => !['user', 'userId', '__v'].includes(path));
+
+// Projection for ?fields=a,b,c; the sort field and _id are always included
+// because the next cursor is built from them
+const parseFields = (fields, selectable, sortField) => {
+  if (!fields) return null;
+  const requested = fields.split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = requested.filter(f => !selectable.includes(f));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown fields: ${unknown.join(', ')}`);
+  }
+  return [...new Set([...requested, sortField])].join(' ');
+};
+
+// Run one page of a list query. Returns { data, pagination } where
+// pagination.nextCursor is passed back as ?cursor= to get the following page.
+const paginate = async (Model, filter, params, { defaultSort }) => {
+  const sort = params.sort || defaultSort;
+  const order = parseSort(sort);
+  const limit = params.limit ? parseInt(params.limit) : DEFAULT_LIMIT;
+
+  const pageFilter = params.cursor
+    ? { $and: [filter, afterCursor(order, decodeCursor(params.cursor, sort))] }
+    : filter;
+
+  const find = Model.find(pageFilter)
+    .sort({ [order.field]: order.direction, _id: order.direction })
+    .limit(limit + 1);
+
+  const projection = parseFields(params.fields, selectableFields(Model), order.field);
+  if (projection) find.select(projection);
+
+  const [rows, total] = await Promise.all([find, Model.countDocuments(filter)]);
+
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    pagination: {
+      total,
+      limit,
+      sort,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, last.get(order.field) ?? null, last._id) : null
+    }
+  };
+};
+
+module.exports = {
+  paginationValidators,
+  paginate
+};
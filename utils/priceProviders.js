@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./importParsers');
+
+const normalizeSymbol = (symbol) => String(symbol || '').trim().toUpperCase();
+
+// Rows of a price file: CSV with symbol,date,price columns, or JSON shaped
+// { "YYYY-MM-DD": { "SYMBOL": 123.45 } }
+const readPriceFile = async (file) => {
+  const text = await fs.promises.readFile(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    return Object.entries(JSON.parse(text)).flatMap(([date, prices]) =>
+      Object.entries(prices).map(([symbol, price]) => ({ symbol, date, price })));
+  }
+
+  const [header = [], ...rows] = parseCSV(text);
+  const columns = header.map(h => h.trim().toLowerCase());
+  return rows.map(cells => columns.reduce((acc, col, i) => ({ ...acc, [col]: (cells[i] || '').trim() }), {}));
+};
+
+// Price providers. Each implements fetchPrices(symbols, day) and resolves to
+// [{ symbol, price, date }]: each symbol's latest closing price (or NAV) on or
+// before the YYYY-MM-DD day, with the day it is for.
+const providers = {
+  // Prices only come from admin uploads
+  manual: {
+    fetchPrices: async () => []
+  },
+
+  // Offline prices from PRICES_FILE (CSV or JSON, see readPriceFile)
+  file: {
+    fetchPrices: async (symbols, day) => {
+      const file = process.env.PRICES_FILE;
+      if (!file || !fs.existsSync(file)) return [];
+
+      const latest = new Map();
+      for (const row of await readPriceFile(file)) {
+        const symbol = normalizeSymbol(row.symbol);
+        const date = String(row.date).slice(0, 10);
+        const price = parseFloat(row.price);
+        if (!symbols.includes(symbol) || date > day || !(price > 0)) continue;
+
+        const current = latest.get(symbol);
+        if (!current || date > current.date) latest.set(symbol, { symbol, price, date });
+      }
+      return [...latest.values()];
+    }
+  },
+
+  // Indian mutual fund NAVs by AMFI scheme code from mfapi.in (no API key required)
+  mfapi: {
+    fetchPrices: async (symbols, day) => {
+      const prices = [];
+      for (const code of symbols.filter(s => /^\d+$/.test(s))) {
+        const res = await fetch(`https://api.mfapi.in/mf/${code}`);
+        if (!res.ok) throw new Error(`mfapi.in responded with ${res.status}`);
+        const body = await res.json();
+
+        // Newest first, with DD-MM-YYYY dates
+        const nav = (body.data || [])
+          .map(d => ({ date: d.date.split('-').reverse().join('-'), price: parseFloat(d.nav) }))
+          .find(d => d.date <= day && d.price > 0);
+        if (nav) prices.push({ symbol: code, ...nav });
+      }
+      return prices;
+    }
+  }
+};
+
+// Add or replace a provider at runtime
+const registerProvider = (name, provider) => {
+  if (typeof provider?.fetchPrices !== 'function') {
+    throw new Error('Price providers must implement fetchPrices(symbols, day)');
+  }
+  providers[name] = provider;
+};
+
+// Provider named by PRICE_PROVIDER (manual by default)
+const getProvider = (name = process.env.PRICE_PROVIDER || 'manual') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown price provider: ${name}`);
+  }
+  return { name, ...provider };
+};
+
+module.exports = {
+  normalizeSymbol,
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,46 @@
+const PriceHistory = require('../models/PriceHistory');
+const { normalizeSymbol, getProvider } = require('./priceProviders');
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+const startOfDay = (date) => new Date(`${dayKey(date)}T00:00:00.000Z`);
+
+// Insert or replace prices, one per (symbol, day)
+const upsertPrices = async (prices, source = 'manual') => {
+  if (prices.length === 0) return { upserted: 0, modified: 0 };
+
+  const result = await PriceHistory.bulkWrite(prices.map(p => ({
+    updateOne: {
+      filter: { symbol: normalizeSymbol(p.symbol), date: startOfDay(p.date) },
+      update: { $set: { price: p.price, source: p.source || source } },
+      upsert: true
+    }
+  })));
+  return { upserted: result.upsertedCount, modified: result.modifiedCount };
+};
+
+// Pull the latest prices on or before a day for some symbols from the
+// configured provider and store them
+const syncPrices = async (symbols, date = new Date(), providerName) => {
+  const provider = getProvider(providerName);
+  const wanted = [...new Set(symbols.map(normalizeSymbol).filter(Boolean))];
+  if (wanted.length === 0) return [];
+
+  const prices = (await provider.fetchPrices(wanted, dayKey(date)))
+    .filter(p => wanted.includes(normalizeSymbol(p.symbol)) && p.price > 0)
+    .map(p => ({ symbol: normalizeSymbol(p.symbol), price: p.price, date: p.date || dayKey(date), source: provider.name }));
+
+  await upsertPrices(prices, provider.name);
+  return prices;
+};
+
+// Most recent stored price for a symbol on or before the date
+const findPrice = (symbol, date = new Date()) => PriceHistory
+  .findOne({ symbol: normalizeSymbol(symbol), date: { $lte: date } })
+  .sort({ date: -1 });
+
+module.exports = {
+  startOfDay,
+  upsertPrices,
+  syncPrices,
+  findPrice
+};
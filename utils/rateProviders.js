@@ -0,0 +1,52 @@
+const fs = require('fs');
+
+// Exchange-rate providers. Each implements fetchRates(base, day) and resolves
+// to [{ quote, rate }] for 1 unit of base on the YYYY-MM-DD day.
+const providers = {
+  // Rates only come from admin uploads
+  manual: {
+    fetchRates: async () => []
+  },
+
+  // Offline rates from EXCHANGE_RATES_FILE, shaped { "YYYY-MM-DD": { "USD": { "INR": 83.1 } } }
+  file: {
+    fetchRates: async (base, day) => {
+      const file = process.env.EXCHANGE_RATES_FILE;
+      if (!file || !fs.existsSync(file)) return [];
+      const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      return Object.entries(data[day]?.[base] || {}).map(([quote, rate]) => ({ quote, rate }));
+    }
+  },
+
+  // ECB reference rates from frankfurter.app (no API key required)
+  frankfurter: {
+    fetchRates: async (base, day) => {
+      const res = await fetch(`https://api.frankfurter.app/${day}?from=${base}`);
+      if (!res.ok) throw new Error(`Frankfurter responded with ${res.status}`);
+      const body = await res.json();
+      return Object.entries(body.rates || {}).map(([quote, rate]) => ({ quote, rate }));
+    }
+  }
+};
+
+// Add or replace a provider at runtime
+const registerProvider = (name, provider) => {
+  if (typeof provider?.fetchRates !== 'function') {
+    throw new Error('Exchange rate providers must implement fetchRates(base, day)');
+  }
+  providers[name] = provider;
+};
+
+// Provider named by EXCHANGE_RATE_PROVIDER (manual by default)
+const getProvider = (name = process.env.EXCHANGE_RATE_PROVIDER || 'manual') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown exchange rate provider: ${name}`);
+  }
+  return { name, ...provider };
+};
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
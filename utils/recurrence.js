@@ -0,0 +1,118 @@
+// Date arithmetic for recurring transaction rules. All calculations are done
+// in UTC so an occurrence always lands on the same calendar day as its key.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar-day key (YYYY-MM-DD) used to match occurrences and exceptions
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addUTCMonths = (start, months) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + months;
+  // Clamp to the last day of shorter months (Jan 31 -> Feb 28)
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const date = new Date(start);
+  date.setUTCFullYear(year, month, Math.min(start.getUTCDate(), lastDay));
+  return date;
+};
+
+// Date of the nth (0-based) occurrence of a rule, counted from its start date
+const occurrenceDate = (rule, index) => {
+  const start = new Date(rule.startDate);
+  const step = (rule.interval || 1) * index;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return new Date(start.getTime() + step * DAY_MS);
+    case 'weekly':
+      return new Date(start.getTime() + step * 7 * DAY_MS);
+    case 'monthly':
+      return addUTCMonths(start, step);
+    case 'yearly':
+      return addUTCMonths(start, step * 12);
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+};
+
+// Whether a rule has run out, either by end date or by occurrence count
+const hasEnded = (rule, date, count) => {
+  if (rule.endDate && dayKey(date) > dayKey(rule.endDate)) return true;
+  if (rule.occurrences && count >= rule.occurrences) return true;
+  return false;
+};
+
+// Index of the first occurrence falling on or after the given date. The
+// index is estimated from the elapsed days or months, then nudged onto the
+// exact occurrence (month-end clamping can shift a date by a few days).
+const indexOnOrAfter = (rule, date) => {
+  const target = dayKey(date);
+  const start = new Date(rule.startDate);
+  const end = new Date(target);
+  const interval = rule.interval || 1;
+
+  let index;
+  switch (rule.frequency) {
+    case 'daily':
+    case 'weekly': {
+      const days = Math.round((end - new Date(dayKey(start))) / DAY_MS);
+      index = Math.ceil(days / (interval * (rule.frequency === 'weekly' ? 7 : 1)));
+      break;
+    }
+    case 'monthly':
+    case 'yearly': {
+      const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+      index = Math.floor(months / (interval * (rule.frequency === 'yearly' ? 12 : 1)));
+      break;
+    }
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+
+  index = Math.max(index, 0);
+  while (index > 0 && dayKey(occurrenceDate(rule, index - 1)) >= target) index--;
+  while (dayKey(occurrenceDate(rule, index)) < target) index++;
+  return index;
+};
+
+// Whether the rule has an occurrence on the given calendar day
+const isOccurrence = (rule, date) => {
+  const index = indexOnOrAfter(rule, date);
+  const occurrence = occurrenceDate(rule, index);
+  return dayKey(occurrence) === dayKey(date) && !hasEnded(rule, occurrence, index);
+};
+
+// Next `limit` occurrences from the rule's current position, with exceptions applied
+const upcomingOccurrences = (rule, limit) => {
+  const exceptions = new Map((rule.exceptions || []).map(e => [dayKey(e.date), e]));
+  const result = [];
+  let index = rule.nextIndex || 0;
+  let count = rule.occurrenceCount || 0;
+
+  while (result.length < limit) {
+    const date = occurrenceDate(rule, index);
+    if (hasEnded(rule, date, count)) break;
+
+    const exception = exceptions.get(dayKey(date));
+    result.push({
+      date,
+      skipped: exception?.action === 'skip',
+      amount: exception?.amount ?? rule.amount,
+      category: exception?.category ?? rule.category,
+      description: exception?.description ?? rule.description
+    });
+    index++;
+    count++;
+  }
+
+  return result;
+};
+
+module.exports = {
+  dayKey,
+  occurrenceDate,
+  indexOnOrAfter,
+  isOccurrence,
+  hasEnded,
+  upcomingOccurrences
+};
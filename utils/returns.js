@@ -0,0 +1,148 @@
+// Return metrics from dated cash flows. Flows are { date, amount } seen from
+// the investor: money put in is negative, money taken out positive.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-7;
+// Rates at or below -100% make the discount factor meaningless, and above
+// this (over a few days, usually) annualizing has stopped meaning anything
+const MIN_RATE = -0.999999;
+const MAX_RATE = 1e6;
+
+const TOO_SHORT = 'The period is too short for an annual rate';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+const percent = (rate) => (rate === null ? null : Math.round(rate * 10000) / 100);
+
+const yearsBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS / YEAR_DAYS;
+
+// Net present value of the flows at an annual rate, and its derivative
+const npv = (flows, rate, origin) => flows.reduce((sum, f) => {
+  const t = yearsBetween(origin, f.date);
+  return sum + f.amount / Math.pow(1 + rate, t);
+}, 0);
+
+const dnpv = (flows, rate, origin) => flows.reduce((sum, f) => {
+  const t = yearsBetween(origin, f.date);
+  return sum - (t * f.amount) / Math.pow(1 + rate, t + 1);
+}, 0);
+
+// Annual money-weighted return (the rate that makes the flows' NPV zero).
+// Returns { rate } or { rate: null, reason } when there is no answer: fewer
+// than two flows, flows all on one side or all on one day, or no rate found.
+const xirr = (flows) => {
+  const sorted = flows.filter(f => f.amount !== 0).sort((a, b) => new Date(a.date) - new Date(b.date));
+  if (sorted.length < 2) return { rate: null, reason: 'Needs at least two cash flows' };
+  if (!sorted.some(f => f.amount < 0) || !sorted.some(f => f.amount > 0)) {
+    return { rate: null, reason: 'Needs money both put in and taken out (or still held)' };
+  }
+
+  const origin = sorted[0].date;
+  if (yearsBetween(origin, sorted[sorted.length - 1].date) <= 0) {
+    return { rate: null, reason: 'All cash flows are on the same day' };
+  }
+
+  // Newton's method from a 10% guess usually converges in a few steps
+  let rate = 0.1;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const value = npv(sorted, rate, origin);
+    const slope = dnpv(sorted, rate, origin);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) break;
+
+    const next = rate - value / slope;
+    if (!Number.isFinite(next) || next <= MIN_RATE) break;
+    if (Math.abs(next - rate) < TOLERANCE) {
+      return next > MAX_RATE ? { rate: null, reason: TOO_SHORT } : { rate: next };
+    }
+    rate = next;
+  }
+
+  // Otherwise bisect, widening the upper bound until the NPV changes sign
+  let low = MIN_RATE;
+  let high = 1;
+  const lowValue = npv(sorted, low, origin);
+  while (Math.sign(npv(sorted, high, origin)) === Math.sign(lowValue) && high < MAX_RATE) high *= 10;
+  if (Math.sign(npv(sorted, high, origin)) === Math.sign(lowValue)) {
+    return { rate: null, reason: high >= MAX_RATE ? TOO_SHORT : 'No rate of return solves these cash flows' };
+  }
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(sorted, mid, origin);
+    if (Math.abs(high - low) < TOLERANCE) return { rate: mid };
+    if (Math.sign(value) === Math.sign(lowValue)) low = mid;
+    else high = mid;
+  }
+  return { rate: (low + high) / 2 };
+};
+
+const PERIODS = ['all', 'ytd', '1m', '3m', '6m', '1y', '3y', '5y'];
+
+// Start of a named period ending on `end` (null for all time). Month and
+// year periods go back to the same day, clamped to the end of shorter months.
+const periodStart = (period, end = new Date()) => {
+  if (period === 'all') return null;
+  if (period === 'ytd') return new Date(Date.UTC(end.getUTCFullYear(), 0, 1));
+
+  const [, count, unit] = period.match(/^(\d+)([my])$/);
+  const months = unit === 'y' ? count * 12 : Number(count);
+  const year = end.getUTCFullYear();
+  const month = end.getUTCMonth() - months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(end.getUTCDate(), lastDay)));
+};
+
+// Compound annual growth from a starting to an ending amount, or null when it
+// isn't defined (nothing to start from, or no time passed)
+const cagr = (start, end, years) => {
+  if (!(start > 0) || !(years > 0) || end < 0) return null;
+  const rate = Math.pow(end / start, 1 / years) - 1;
+  return rate > MAX_RATE ? null : rate;
+};
+
+// Metrics for a holding or group of holdings: its cash flows plus what is
+// still held at the end (`value` on `endDate`). CAGR treats everything put in
+// as if it went in on the first day, so XIRR is the fairer figure when money
+// went in over time. A holding that was fully sold ends at its last flow.
+const performance = (flows, { value = 0, endDate }) => {
+  const sorted = [...flows].sort((a, b) => new Date(a.date) - new Date(b.date));
+  if (sorted.length === 0) return null;
+
+  const invested = round(sorted.filter(f => f.amount < 0).reduce((sum, f) => sum - f.amount, 0));
+  const returned = round(sorted.filter(f => f.amount > 0).reduce((sum, f) => sum + f.amount, 0));
+  const gain = round(returned + value - invested);
+
+  const startDate = new Date(sorted[0].date);
+  const end = value > 0 ? new Date(endDate) : new Date(sorted[sorted.length - 1].date);
+  const days = Math.max(Math.round((end - startDate) / DAY_MS), 0);
+  const years = days / YEAR_DAYS;
+
+  const { rate, reason } = xirr(value > 0 ? [...sorted, { date: endDate, amount: value }] : sorted);
+
+  return {
+    invested,
+    returned,
+    value: round(value),
+    gain,
+    absoluteReturn: invested > 0 ? percent(gain / invested) : null,
+    xirr: percent(rate),
+    ...(reason && { xirrUnavailable: reason }),
+    cagr: percent(cagr(invested, returned + value, years)),
+    holdingPeriod: {
+      startDate,
+      endDate: end,
+      days,
+      years: Math.round(years * 100) / 100
+    }
+  };
+};
+
+module.exports = {
+  PERIODS,
+  periodStart,
+  xirr,
+  cagr,
+  performance
+};
@@ -0,0 +1,191 @@
+const CategorizationRule = require('../models/CategorizationRule');
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const { toRegex, compileFilter } = require('./filters');
+const { resolveCategory } = require('./categories');
+const { applyFundingRules, undoFundingRules } = require('./goals');
+
+const BATCH_SIZE = 500;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Tags are stored trimmed, lowercase and without duplicates
+const normalizeTags = (tags) => [...new Set([].concat(tags || [])
+  .map(t => String(t).trim().toLowerCase())
+  .filter(Boolean))];
+
+// A rule's conditions in the filter grammar, so history queries match exactly
+// what matchesRule does in memory
+const ruleConditions = ({ conditions = {} }) => {
+  const list = [];
+  if (conditions.type) list.push({ field: 'type', op: 'eq', value: conditions.type });
+  if (conditions.descriptionContains) list.push({ field: 'description', op: 'contains', value: conditions.descriptionContains });
+  if (conditions.descriptionRegex) list.push({ field: 'description', op: 'regex', value: conditions.descriptionRegex });
+  if (conditions.minAmount != null) list.push({ field: 'amount', op: 'gte', value: conditions.minAmount });
+  if (conditions.maxAmount != null) list.push({ field: 'amount', op: 'lte', value: conditions.maxAmount });
+  if (conditions.account) list.push({ field: 'account', op: 'eq', value: String(conditions.account) });
+  return list;
+};
+
+// MongoDB query for the user's past transactions a rule matches. Transfers are
+// never categorized by rules.
+const ruleQuery = (userId, rule) => ({
+  user: userId,
+  type: { $in: ['income', 'expense'] },
+  ...compileFilter({ and: ruleConditions(rule) })
+});
+
+// Rules saved before patterns were checked for speed may hold one toRegex
+// now rejects; those conditions never match rather than failing every save
+const descriptionPattern = (pattern) => {
+  try {
+    return toRegex(pattern);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Whether a transaction (saved or not) meets every condition of a rule
+const matchesRule = ({ conditions = {} }, txn) => {
+  if (txn.type !== 'income' && txn.type !== 'expense') return false;
+  if (conditions.type && txn.type !== conditions.type) return false;
+  if (conditions.account && String(txn.account || '') !== String(conditions.account)) return false;
+  if (conditions.minAmount != null && !(txn.amount >= conditions.minAmount)) return false;
+  if (conditions.maxAmount != null && !(txn.amount <= conditions.maxAmount)) return false;
+
+  const description = String(txn.description || '');
+  if (conditions.descriptionContains
+    && !description.toLowerCase().includes(conditions.descriptionContains.toLowerCase())) return false;
+  if (conditions.descriptionRegex && !descriptionPattern(conditions.descriptionRegex)?.test(description)) return false;
+  return true;
+};
+
+// Combined actions of every matching rule. Rules are in priority order: the
+// first rule to set a category or payee wins, and tags from all of them add up.
+const applyRules = (rules, txn) => {
+  const result = { category: undefined, payee: undefined, tags: [], rules: [] };
+  for (const rule of rules) {
+    if (rule.enabled === false || !matchesRule(rule, txn)) continue;
+    const { category, payee, tags } = rule.actions || {};
+    if (category && !result.category) result.category = category;
+    if (payee && !result.payee) result.payee = payee;
+    result.tags = normalizeTags([...result.tags, ...(tags || [])]);
+    result.rules.push(rule._id);
+  }
+  return result;
+};
+
+// Fill in what the user left blank on a new transaction. Explicit values win;
+// tags from rules are added to the user's own.
+const fillFromRules = (fields, rules) => {
+  const result = applyRules(rules, fields);
+  if (!fields.category && result.category) fields.category = result.category;
+  if (!fields.payee && result.payee) fields.payee = result.payee;
+  const tags = normalizeTags([...(fields.tags || []), ...result.tags]);
+  if (tags.length > 0) fields.tags = tags;
+  return fields;
+};
+
+// $set for a saved transaction when rule results are re-applied: the rules'
+// category and payee replace the current ones, and their tags are added. Split
+// transactions keep their categories. Returns null when nothing would change.
+const changesFor = (txn, result) => {
+  const changes = {};
+  const isSplit = txn.splits && txn.splits.length > 0;
+  if (result.category && !isSplit && result.category !== txn.category) changes.category = result.category;
+  if (result.payee && result.payee !== txn.payee) changes.payee = result.payee;
+  const tags = normalizeTags([...(txn.tags || []), ...result.tags]);
+  if (tags.length !== (txn.tags || []).length) changes.tags = tags;
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// The user's enabled rules in the order they run
+const loadRules = (userId) => CategorizationRule
+  .find({ user: userId, enabled: true })
+  .sort({ priority: 1, createdAt: 1 });
+
+// Check a rule's conditions and actions before saving it. A rule that sets a
+// category only matches transactions of that category's type, so it can never
+// file income under an expense category.
+const validateRule = async (userId, rule) => {
+  const conditions = rule.conditions || {};
+  const actions = rule.actions || {};
+
+  if (ruleConditions(rule).filter(c => c.field !== 'type').length === 0) {
+    throw badRequest('A rule needs at least one description, amount or account condition');
+  }
+  if (!actions.category && !actions.payee && normalizeTags(actions.tags).length === 0) {
+    throw badRequest('A rule needs a category, payee or tags to set');
+  }
+  if (conditions.descriptionRegex) toRegex(conditions.descriptionRegex);
+  if (conditions.minAmount != null && conditions.maxAmount != null && conditions.minAmount > conditions.maxAmount) {
+    throw badRequest('Minimum amount cannot be greater than maximum amount');
+  }
+  if (conditions.account && !(await Account.exists({ _id: conditions.account, user: userId }))) {
+    throw Object.assign(new Error('Account not found'), { status: 404 });
+  }
+
+  if (actions.category) {
+    const category = await resolveCategory(userId, actions.category, conditions.type);
+    actions.category = category.name;
+    conditions.type = category.type;
+  }
+  if (actions.tags) actions.tags = normalizeTags(actions.tags);
+  return rule;
+};
+
+// Run the user's rules over past transactions (optionally narrowed by a filter)
+// and save the results. Goal funding rules run again on transactions whose
+// category changed, as they do when one is edited. With dryRun nothing is
+// written.
+const reapplyRules = async (userId, { filter = null, dryRun = false } = {}) => {
+  const rules = await loadRules(userId);
+  const query = { user: userId, type: { $in: ['income', 'expense'] } };
+  if (filter) Object.assign(query, filter);
+
+  let scanned = 0;
+  let updated = 0;
+  let batch = [];
+  let recategorized = [];
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await Transaction.bulkWrite(batch);
+      if (recategorized.length > 0) {
+        await undoFundingRules(recategorized);
+        for (const txn of await Transaction.find({ _id: { $in: recategorized } })) {
+          await applyFundingRules(txn);
+        }
+      }
+    }
+    batch = [];
+    recategorized = [];
+  };
+
+  if (rules.length > 0) {
+    for await (const txn of Transaction.find(query).select('type category splits payee tags description amount account').lean().cursor()) {
+      scanned += 1;
+      const changes = changesFor(txn, applyRules(rules, txn));
+      if (!changes) continue;
+
+      updated += 1;
+      batch.push({ updateOne: { filter: { _id: txn._id }, update: { $set: changes } } });
+      if (changes.category) recategorized.push(txn._id);
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+  }
+
+  return { rules: rules.length, scanned, updated, dryRun };
+};
+
+module.exports = {
+  normalizeTags,
+  ruleQuery,
+  matchesRule,
+  applyRules,
+  fillFromRules,
+  changesFor,
+  loadRules,
+  validateRule,
+  reapplyRules
+};
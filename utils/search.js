@@ -0,0 +1,87 @@
+const { escapeHtml } = require('./emails');
+
+// Words MongoDB's English text index ignores anyway; highlighting them is noise
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Terms to highlight from a $text search string: "quoted phrases" and single
+// words, skipping negated (-word) terms and stop words
+const searchTerms = (q) => {
+  const terms = [];
+  const text = String(q || '');
+
+  const withoutPhrases = text.replace(/(-?)"([^"]+)"/g, (match, negated, phrase) => {
+    if (!negated) terms.push({ phrase: phrase.trim().toLowerCase() });
+    return ' ';
+  });
+
+  for (const word of withoutPhrases.split(/\s+/)) {
+    const clean = word.toLowerCase().replace(/[^\p{L}\p{N}-]/gu, '');
+    if (!clean || clean.startsWith('-') || clean.length < 2 || STOP_WORDS.has(clean)) continue;
+    terms.push({ word: clean });
+  }
+
+  return terms.filter((t, i) => terms.findIndex(o => (o.word || o.phrase) === (t.word || t.phrase)) === i);
+};
+
+// Rough English stem so "refunds" still highlights "refunded", mirroring the
+// stemming the text index does when matching
+const stem = (word) => {
+  const stripped = word.replace(/(ing|ed|es|s)$/, '');
+  return stripped.length >= 3 ? stripped : word;
+};
+
+const termsPattern = (terms) => {
+  const parts = terms.map(t => (t.phrase
+    ? escapeRegex(t.phrase)
+    : `${escapeRegex(stem(t.word))}[\\p{L}\\p{N}]*`));
+  return parts.length > 0 ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})`, 'giu') : null;
+};
+
+// HTML snippet of text around the first match with every match wrapped in
+// <mark>, or null when nothing in the text matches
+const highlight = (text, terms, { maxLength = 160, context = 40 } = {}) => {
+  const pattern = termsPattern(terms);
+  if (!text || !pattern) return null;
+
+  const source = String(text);
+  const first = source.search(pattern);
+  if (first === -1) return null;
+
+  // Start a little before the first match, on a word boundary
+  let start = Math.max(0, first - context);
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    start = space !== -1 && space < first ? space + 1 : start;
+  }
+  const end = Math.min(source.length, start + maxLength);
+  const window = source.slice(start, end);
+
+  let snippet = '';
+  let last = 0;
+  for (const match of window.matchAll(pattern)) {
+    snippet += escapeHtml(window.slice(last, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(window.slice(last));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < source.length ? '…' : ''}`;
+};
+
+// Snippets for each of a document's fields that contain a match
+const highlightFields = (doc, fields, terms) => fields.reduce((acc, field) => {
+  const snippet = highlight(doc[field], terms);
+  if (snippet) acc[field] = snippet;
+  return acc;
+}, {});
+
+module.exports = {
+  searchTerms,
+  highlight,
+  highlightFields
+};
@@ -0,0 +1,132 @@
+// Schedules and purchases for systematic investment plans. Instalments are
+// numbered by month from the first one on or after the plan's start date;
+// dates are UTC days, like recurring transactions.
+const Transaction = require('../models/Transaction');
+const InvestmentTransaction = require('../models/InvestmentTransaction');
+const { dayKey } = require('./recurrence');
+const { recordTransaction } = require('./investments');
+const { findPrice } = require('./prices');
+const { findActiveAccount, accountCurrency } = require('./accounts');
+const { userCurrency } = require('./currency');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Date of the nth (0-based) instalment: the plan's day of the month, or the
+// last day of shorter months
+const instalmentDate = (sip, index) => {
+  const start = new Date(sip.startDate);
+  const firstMonth = start.getUTCMonth() + (start.getUTCDate() > sip.dayOfMonth ? 1 : 0);
+  const year = start.getUTCFullYear();
+  const month = firstMonth + index;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(sip.dayOfMonth, lastDay)));
+};
+
+// Amount of the nth instalment, stepped up once every twelve instalments
+const instalmentAmount = (sip, index) => {
+  const years = Math.floor(index / 12);
+  return round(sip.amount * Math.pow(1 + (sip.stepUpPercent || 0) / 100, years));
+};
+
+// Index of the first instalment falling on or after the given day: the one in
+// the day's month, or the next if that one is earlier in the month
+const indexOnOrAfter = (sip, date) => {
+  const target = new Date(date);
+  const first = instalmentDate(sip, 0);
+  const index = Math.max(0, (target.getUTCFullYear() - first.getUTCFullYear()) * 12
+    + target.getUTCMonth() - first.getUTCMonth());
+  return dayKey(instalmentDate(sip, index)) < dayKey(target) ? index + 1 : index;
+};
+
+const hasEnded = (sip, date) => Boolean(sip.endDate) && dayKey(date) > dayKey(sip.endDate);
+
+// Next `limit` instalments from the plan's current position
+const upcomingInstalments = (sip, limit) => {
+  const result = [];
+  for (let index = sip.nextIndex || 0; result.length < limit; index++) {
+    const date = instalmentDate(sip, index);
+    if (hasEnded(sip, date)) break;
+    result.push({ date, amount: instalmentAmount(sip, index) });
+  }
+  return result;
+};
+
+// Instalments that have fallen due (before today) since a paused plan's
+// position; they are missed when it resumes
+const pausedInstalments = (sip, now = new Date()) => {
+  const result = [];
+  const until = indexOnOrAfter(sip, now);
+  for (let index = sip.nextIndex || 0; index < until; index++) {
+    const date = instalmentDate(sip, index);
+    if (hasEnded(sip, date)) break;
+    result.push({ date, amount: instalmentAmount(sip, index), reason: 'paused' });
+  }
+  return result;
+};
+
+// Currency instalments are paid in: the holding's, or the base currency for
+// holdings recorded without one
+const holdingCurrency = async (investment) => investment.currency || userCurrency(investment.user);
+
+// Buy one instalment at the holding's price on its date (the latest stored
+// price for its symbol, or else its last known price), paying for it from
+// the plan's account when it has one. Throws when there is no price to buy at
+// or the account can't be used, so the instalment can be recorded as missed.
+// The payment is recorded first and taken back if the buy fails, so an
+// instalment is either bought and paid for or neither.
+const recordInstalment = async (sip, investment, index) => {
+  const date = instalmentDate(sip, index);
+  const amount = instalmentAmount(sip, index);
+
+  const stored = investment.symbol ? await findPrice(investment.symbol, date) : null;
+  const price = stored ? stored.price : investment.lastPrice;
+  if (!(price > 0)) {
+    throw new Error(`No price for ${investment.name} on ${dayKey(date)}`);
+  }
+  const account = sip.account ? await findActiveAccount(sip.user, sip.account) : null;
+
+  const expense = account && await Transaction.create({
+    user: sip.user,
+    type: 'expense',
+    category: sip.category,
+    amount,
+    description: `SIP: ${investment.name}`,
+    currency: accountCurrency(account, await holdingCurrency(investment)),
+    date,
+    account: account._id
+  });
+
+  try {
+    return await recordTransaction(investment, {
+      type: 'buy',
+      date,
+      units: amount / price,
+      price,
+      notes: 'SIP instalment',
+      sip: sip._id,
+      instalmentDate: date,
+      transaction: expense ? expense._id : undefined
+    });
+  } catch (err) {
+    // The buy is saved before the holding's totals are updated; if it got that
+    // far the instalment was bought, so it and its payment are kept
+    const bought = err.code !== 11000 && await InvestmentTransaction.findOne({ sip: sip._id, instalmentDate: date });
+    if (bought) {
+      console.error(`SIP ${sip._id}: ${investment.name} was not updated after buying an instalment: ${err.message}`);
+      return bought;
+    }
+    if (expense) await Transaction.deleteOne({ _id: expense._id });
+    throw err;
+  }
+};
+
+module.exports = {
+  instalmentDate,
+  instalmentAmount,
+  indexOnOrAfter,
+  hasEnded,
+  upcomingInstalments,
+  pausedInstalments,
+  holdingCurrency,
+  recordInstalment
+};
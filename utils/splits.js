@@ -0,0 +1,52 @@
+const { resolveCategory } = require('./categories');
+
+const MAX_SPLITS = 20;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// The category/amount lines a transaction counts under: its split lines, or
+// the whole amount in its own category
+const splitLines = (t) => (t.splits && t.splits.length > 0
+  ? t.splits
+  : [{ category: t.category, amount: t.amount }]);
+
+// Category of the largest line, stored as the transaction's own category so
+// lists and searches still show something meaningful
+const primaryCategory = (splits) => splits
+  .reduce((largest, line) => (line.amount > largest.amount ? line : largest))
+  .category;
+
+// Check split lines against the transaction: at least two, each in one of the
+// user's categories of the transaction's type, adding up to the total to the cent
+const resolveSplits = async (userId, splits, total, type) => {
+  if (!Array.isArray(splits) || splits.length < 2) {
+    throw badRequest('A split transaction needs at least two lines');
+  }
+  if (splits.length > MAX_SPLITS) {
+    throw badRequest(`A transaction can be split into at most ${MAX_SPLITS} lines`);
+  }
+
+  const lines = [];
+  for (const line of splits) {
+    const amount = Number(line.amount);
+    if (!(amount > 0)) {
+      throw badRequest('Each split line needs a positive amount');
+    }
+    const category = await resolveCategory(userId, line.category, type);
+    lines.push({ category: category.name, amount, description: line.description });
+  }
+
+  const sum = lines.reduce((acc, line) => acc + toCents(line.amount), 0);
+  if (sum !== toCents(total)) {
+    throw badRequest(`Split lines add up to ${sum / 100} but the transaction amount is ${total}`);
+  }
+  return lines;
+};
+
+module.exports = {
+  splitLines,
+  primaryCategory,
+  resolveSplits
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+// File storage backends. Each implements put(key, buffer), get(key) returning
+// a readable stream, and remove(key); keys are relative, slash-separated paths.
+const backends = {
+  // Files under STORAGE_DIR (uploads/ by default)
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+
+    // Keys come from the app, but never let one point outside the root
+    const resolve = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      put: async (key, buffer) => {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+      },
+      get: async (key) => {
+        const file = resolve(key);
+        await fs.promises.access(file);
+        return fs.createReadStream(file);
+      },
+      remove: async (key) => {
+        await fs.promises.rm(resolve(key), { force: true });
+      }
+    };
+  }
+};
+
+let activeBackend = null;
+
+// Swap the backend at runtime (e.g. an in-memory one in tests)
+const setStorage = (backend) => {
+  if (backend && ['put', 'get', 'remove'].some(fn => typeof backend[fn] !== 'function')) {
+    throw new Error('Storage backends must implement put, get and remove');
+  }
+  activeBackend = backend;
+};
+
+const getStorage = () => {
+  if (!activeBackend) {
+    const name = process.env.STORAGE_BACKEND || 'local';
+    if (!backends[name]) {
+      throw new Error(`Unknown storage backend: ${name}`);
+    }
+    activeBackend = backends[name]();
+  }
+  return activeBackend;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
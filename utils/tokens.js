@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+// Rotated token hashes remembered per session for reuse detection
+const TOKEN_HISTORY = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const unauthorized = (message) => Object.assign(new Error(message), { status: 401 });
+
+// Short-lived JWT tied to a session
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Opaque refresh token; the session id prefix lets us find the session without scanning
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+const tokenPair = (session, refreshToken) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a session for the requesting device and issue its first token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+  return tokenPair(session, refreshToken);
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that has already
+// been rotated means it leaked, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const hash = hashToken(refreshToken);
+  if (session.previousTokenHashes.includes(hash)) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'reuse_detected';
+    await session.save();
+    throw unauthorized('Refresh token reuse detected; session revoked');
+  }
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const nextToken = generateRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      $push: { previousTokenHashes: { $each: [hash], $slice: -TOKEN_HISTORY } },
+      lastUsedAt: new Date(),
+      ip: req.ip
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    throw unauthorized('Invalid refresh token');
+  }
+
+  return tokenPair(rotated, nextToken);
+};
+
+// Revoke one of the user's sessions; resolves to null if it was not found
+const revokeSession = (userId, sessionId, reason = 'revoked') => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Revoke every active session for a user, optionally keeping one
+const revokeUserSessions = (userId, { except, reason = 'revoked' } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+  return Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+};
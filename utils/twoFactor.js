@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+const CHALLENGE_TTL = '5m';
+
+// Every secret field, for queries that need to check a code
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes '
+  + '+twoFactor.lastUsedStep +twoFactor.failedAttempts +twoFactor.lockedUntil';
+
+// AES-256-GCM key from TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+// Fresh set of recovery codes; returns the plain codes and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Check a TOTP or recovery code for a user loaded with SECRET_FIELDS. Accepted
+// codes are used up (TOTP by time step, recovery codes by removal) and repeated
+// failures lock the second factor for a while. Throws with a status on failure.
+const verifySecondFactor = async (user, code) => {
+  const tf = user.twoFactor;
+
+  if (tf.lockedUntil && tf.lockedUntil > new Date()) {
+    throw Object.assign(new Error('Too many invalid codes. Try again later.'), { status: 429 });
+  }
+
+  const step = verifyCode(decryptSecret(tf.secret), code);
+  if (step !== null && (tf.lastUsedStep === undefined || step > tf.lastUsedStep)) {
+    await User.updateOne(
+      { _id: user._id },
+      { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null }
+    );
+    return { method: 'totp' };
+  }
+
+  // Pulling the hash in the same query makes each recovery code single use
+  const hash = hashRecoveryCode(code || '');
+  const used = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash }, 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null }
+  );
+  if (used.modifiedCount === 1) {
+    return { method: 'recovery_code', recoveryCodesLeft: tf.recoveryCodes.length - 1 };
+  }
+
+  const failedAttempts = (tf.failedAttempts || 0) + 1;
+  await User.updateOne(
+    { _id: user._id },
+    failedAttempts >= MAX_FAILED_ATTEMPTS
+      ? { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000) }
+      : { 'twoFactor.failedAttempts': failedAttempts }
+  );
+  throw Object.assign(new Error('Invalid two-factor code'), { status: 401 });
+};
+
+// Short-lived token proving the password step of a two-step login. It carries
+// a purpose claim so the auth middleware never accepts it as an access token.
+const signChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+};
+
+// User id from a challenge token, or null if it is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  signChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token of the given type, invalidating any earlier unused ones
+const createUserToken = async (userId, type, ttlMinutes) => {
+  await UserToken.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+  return token;
+};
+
+// Mark a token used and return it, or null if it is unknown, expired or spent.
+// The conditional update makes a token usable exactly once.
+const consumeUserToken = (token, type) => {
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,38 @@
+// What users with an unverified email may do, set by EMAIL_VERIFICATION_POLICY:
+//   off       - no restrictions
+//   grace     - full access for EMAIL_VERIFICATION_GRACE_DAYS after signup, then read-only (default)
+//   read_only - GET requests only until verified
+//   strict    - no access to data until verified
+const POLICIES = ['off', 'grace', 'read_only', 'strict'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const getPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || 'grace';
+  return POLICIES.includes(policy) ? policy : 'grace';
+};
+
+const isVerified = (user) => user.emailVerified !== false;
+
+// Error message when the request isn't allowed for this user, otherwise null
+const checkVerificationPolicy = (user, req) => {
+  if (isVerified(user)) return null;
+
+  const policy = getPolicy();
+  if (policy === 'off') return null;
+  if (policy === 'strict') return 'Please verify your email address to continue.';
+
+  if (policy === 'grace') {
+    const graceDays = parseInt(process.env.EMAIL_VERIFICATION_GRACE_DAYS || '7');
+    const graceEnds = new Date(user.createdAt).getTime() + graceDays * 24 * 60 * 60 * 1000;
+    if (Date.now() < graceEnds) return null;
+  }
+
+  if (READ_METHODS.includes(req.method)) return null;
+  return 'Please verify your email address to make changes.';
+};
+
+module.exports = {
+  isVerified,
+  checkVerificationPolicy
+};